@@ -0,0 +1,71 @@
+/**
+ * Background Service Worker
+ *
+ * Routes messages from the popup and content scripts. Resume parsing happens here so
+ * the popup can close while a large file is still being processed.
+ */
+
+importScripts(
+    'scripts/resumeParser.js',
+    'scripts/documentExtractor.js'
+);
+
+// Message handlers keyed by action name. Each handler returns a promise of the response.
+const messageHandlers = {
+    parseResume: handleParseResume
+};
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+    const handler = messageHandlers[request && request.action];
+    if (!handler) return false;
+
+    handler(request, sender)
+        .then(sendResponse)
+        .catch(error => {
+            console.error(`Error handling ${request.action}:`, error);
+            sendResponse({
+                success: false,
+                reason: error.reason || 'unknown',
+                error: error.message || 'Unknown error'
+            });
+        });
+
+    // Keep the message channel open for the asynchronous response
+    return true;
+});
+
+/**
+ * Extract text from an uploaded resume and parse it into structured data
+ * @param {Object} request - {fileData: data URL, fileName}
+ * @returns {Promise<Object>} - {success, data} or {success: false, reason, error}
+ */
+async function handleParseResume(request) {
+    const { fileData, fileName } = request;
+
+    if (!fileData) {
+        throw new DocumentExtractionError('emptyDocument', 'No file data was received.');
+    }
+
+    const bytes = dataUrlToBytes(fileData);
+    const text = await DocumentExtractor.extractText(bytes, fileName || '');
+    const data = ResumeParser.parse(text);
+
+    return { success: true, data };
+}
+
+/**
+ * Decode a base64 data URL into bytes
+ * @param {string} dataUrl - Data URL produced by FileReader.readAsDataURL
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function dataUrlToBytes(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
@@ -7,6 +7,7 @@ document.addEventListener('DOMContentLoaded', function(){
     const saveDataButton = document.getElementById('save-data');
     const resetDataButton = document.getElementById('reset-data');
     const fillCurrentPageButton = document.getElementById('fill-current-page');
+    const previewFillButton = document.getElementById('preview-fill');
     const autofillEnabledToggle = document.getElementById('autofill-enabled');
     const highlightUncertainToggle = document.getElementById('highlight-uncertain');
 
@@ -14,6 +15,11 @@ document.addEventListener('DOMContentLoaded', function(){
     const initialSetupSection = document.getElementById('initial-setup');
     const resumeDataSection = document.getElementById('resume-data');
     const autofillControlsSection =document.getElementById('autofill-controls');
+    const documentControlsSection = document.getElementById('document-controls');
+
+    const profileSelect = document.getElementById('profile-select');
+    const sitePatternInput = document.getElementById('site-pattern');
+    const siteProfileList = document.getElementById('site-profile-list');
 
     const tabButtons = document.querySelectorAll('.tab-button');
     const tabContents = document.querySelectorAll('.tab-content');
@@ -70,6 +76,75 @@ document.addEventListener('DOMContentLoaded', function(){
 
     let resumeFile = null;
 
+    // Last loaded or saved resume data
+    let currentResumeData = null;
+
+    // Parsed resume file, stored with the profile on the next save
+    let pendingResumeDocument = null;
+
+    // Profiles, active profile and site bindings, as stored by ProfileStore
+    let profileState = { profiles: {}, activeProfileId: null, siteProfiles: [] };
+    let currentTabUrl = '';
+
+    // Original entry objects behind the education and experience editors
+    const entryData = new WeakMap();
+    let entryFieldCount = 0;
+
+    const EDUCATION_FIELDS = [
+        { key: 'school', label: 'School' },
+        { key: 'degree', label: 'Degree' },
+        { key: 'fieldOfStudy', label: 'Field of study' },
+        { key: 'gpa', label: 'GPA' },
+        { key: 'startDate', label: 'Start date', type: 'month' },
+        { key: 'endDate', label: 'End date', type: 'month', allowPresent: true },
+        { key: 'description', label: 'Description', type: 'textarea' }
+    ];
+
+    const EXPERIENCE_FIELDS = [
+        { key: 'title', label: 'Job title' },
+        { key: 'company', label: 'Company' },
+        { key: 'location', label: 'Location' },
+        { key: 'startDate', label: 'Start date', type: 'month' },
+        { key: 'endDate', label: 'End date', type: 'month', allowPresent: true },
+        { key: 'description', label: 'Description', type: 'textarea' }
+    ];
+
+    const YES_NO_OPTIONS = [
+        { value: '', text: 'Not set' },
+        { value: 'yes', text: 'Yes' },
+        { value: 'no', text: 'No' }
+    ];
+
+    const WORK_AUTHORIZATION_FIELDS = [
+        { key: 'country', label: 'Country' },
+        { key: 'authorized', label: 'Authorized to work', type: 'select', options: YES_NO_OPTIONS },
+        { key: 'sponsorshipNow', label: 'Needs visa sponsorship now', type: 'select', options: YES_NO_OPTIONS },
+        { key: 'sponsorshipFuture', label: 'Will need sponsorship in the future', type: 'select', options: YES_NO_OPTIONS },
+        { key: 'visaType', label: 'Visa type (e.g. H-1B, F-1 OPT)' },
+        { key: 'visaExpiry', label: 'Visa expiry', type: 'month' }
+    ];
+
+    const COVER_LETTER_TEMPLATE_FIELDS = [
+        { key: 'name', label: 'Template name' },
+        { key: 'site', label: 'Only on site (optional)' },
+        { key: 'body', label: 'Letter', type: 'textarea', rows: 10 }
+    ];
+
+    // Answer bank entries are edited flat; see toAnswerItem/fromAnswerItem
+    const ANSWER_FIELDS = [
+        { key: 'pattern', label: 'Question keywords' },
+        { key: 'isRegex', label: 'Keywords are a regular expression', type: 'checkbox' },
+        { key: 'site', label: 'Only on site (optional)' },
+        { key: 'text', label: 'Text answer' },
+        { key: 'select', label: 'Dropdown option' },
+        { key: 'radio', label: 'Radio choice' },
+        { key: 'checkbox', label: 'Checkbox', type: 'select', options: [
+            { value: '', text: 'Leave alone' },
+            { value: 'checked', text: 'Check' },
+            { value: 'unchecked', text: 'Uncheck' }
+        ] }
+    ];
+
     resumeUploadInput.addEventListener('change', function(e){
         if(e.target.files.length > 0) {
             resumeFile = e.target.files[0];
@@ -94,6 +169,14 @@ document.addEventListener('DOMContentLoaded', function(){
         reader.onload = function(e){
             const fileData = e.target.result;
 
+            // Keep the original file so it can be attached to upload fields
+            try {
+                pendingResumeDocument = DocumentStore.createDocument(resumeFile.name, resumeFile.type, fileData);
+            } catch (error) {
+                console.warn('Resume file will not be stored:', error.message);
+                pendingResumeDocument = null;
+            }
+
             // Send to background script for parsing
             chrome.runtime.sendMessage(
                 {
@@ -117,31 +200,69 @@ document.addEventListener('DOMContentLoaded', function(){
                         //Show error
                         parseResumeButton.textContent = 'Error! Please Try Again';
                         parseResumeButton.disabled = false;
-                        alert('Failed to parse resume: ' + (response?.error || 'Unknown error'));
+                        alert('Failed to parse resume: ' + (response?.error || chrome.runtime.lastError?.message || 'Unknown error'));
                     }
                 }
             );
         };
-        reader.readAsArrayBuffer(resumeFile);
+        // Messages are JSON serialized, so the file travels as a base64 data URL
+        reader.readAsDataURL(resumeFile);
+    });
+
+
+    // Education and experience editors
+    document.getElementById('add-education').addEventListener('click', function() {
+        addEducationItem({}).querySelector('[data-key]').focus();
     });
 
+    document.getElementById('add-experience').addEventListener('click', function() {
+        addExperienceItem({}).querySelector('[data-key]').focus();
+    });
 
-    // Tab Switching
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const tabName = this.dataset.tab;
+    document.getElementById('add-work-authorization').addEventListener('click', function() {
+        addWorkAuthorizationItem({}).querySelector('[data-key]').focus();
+    });
 
-            //Update active tab button
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            this.classList.add('active');
+    document.getElementById('add-cover-letter-template').addEventListener('click', function() {
+        addCoverLetterTemplateItem({}).querySelector('[data-key]').focus();
+    });
 
+    // Resume file and cover letters of the active profile
+    const resumeDocumentInput = document.getElementById('resume-document-file');
+    const coverLetterInput = document.getElementById('cover-letter-file');
+    const coverLetterSiteInput = document.getElementById('cover-letter-site');
 
-            //Show selected tab content
-            tabcontents.forEach(content => {
-                content.classList.add('hidden');
-                if(content.id === `${tabName}-tab`){
-                    content.classList.remove('hidden');
-                }
+    document.getElementById('upload-resume-document').addEventListener('click', function() {
+        resumeDocumentInput.click();
+    });
+
+    resumeDocumentInput.addEventListener('change', function(e) {
+        const profile = getActiveProfile();
+        const file = e.target.files[0];
+        resumeDocumentInput.value = '';
+        if(!file || !profile) return;
+
+        readDocument(file, function(storedDocument) {
+            DocumentStore.saveResume(profile.id, storedDocument, function() {
+                showDocuments(profile.id);
+            });
+        });
+    });
+
+    document.getElementById('add-cover-letter').addEventListener('click', function() {
+        coverLetterInput.click();
+    });
+
+    coverLetterInput.addEventListener('change', function(e) {
+        const profile = getActiveProfile();
+        const file = e.target.files[0];
+        coverLetterInput.value = '';
+        if(!file || !profile) return;
+
+        readDocument(file, function(storedDocument) {
+            DocumentStore.addCoverLetter(profile.id, storedDocument, coverLetterSiteInput.value, function() {
+                coverLetterSiteInput.value = '';
+                showDocuments(profile.id);
             });
         });
     });
@@ -150,31 +271,102 @@ document.addEventListener('DOMContentLoaded', function(){
     saveDataButton.addEventListener('click', function() {
         const resumeData = collectFormData();
 
-        // Save to chrome storage
-        chrome.storage.local.set({ resumeData }, function(){
-            const saveStatus = document.createElement('span');
-            saveStatus.textContent = ' Saved!';
-            saveStatus.style.color = '#4caf50';
-        });
+        const onSaved = function(profile){
+            currentResumeData = resumeData;
+            refreshProfiles();
+            showSavedStatus(saveDataButton);
+
+            if(pendingResumeDocument && profile) {
+                DocumentStore.saveResume(profile.id, pendingResumeDocument, function() {
+                    pendingResumeDocument = null;
+                    showDocuments(profile.id);
+                });
+            }
+        };
+
+        // Save into the active profile, creating one on first save
+        if(profileState.profiles[profileState.activeProfileId]) {
+            ProfileStore.saveResumeData(profileState.activeProfileId, resumeData, onSaved);
+        } else {
+            ProfileStore.createProfile('Default', resumeData, onSaved);
+        }
     });
 
     // Reset Data
     resetDataButton.addEventListener('click', function(){
-        if(confirm('Are you sure you want to reset all data? An action that cannot be undone.')){
-            chrome.storage.local.remove('resumeData', function(){
-                initialSetupSection.classList.remove('hidden');
-                resumeDataSection.classList.add('hidden');
-                autofillControlsSection.classList.add('hidden');
-
-                // Reset file input
-                resumeUploadInput.value = '';
-                resumeUploadInput.nextElementSibling.textContent = 'Choose file or drag here';
-                parseResumeButton.textContent = 'Parse Resume';
-                parseResumeButton.disabled = true;
+        if(confirm('Are you sure you want to reset all data? An action that cannot be undone. Use "Export Profile" first to keep a copy.')){
+            ProfileStore.clear(function(){
+                DocumentStore.clear(function() {
+                    refreshProfiles();
+                    showInitialSetup();
+                });
             });
         }
     });
 
+    // Profiles
+    profileSelect.addEventListener('change', function() {
+        ProfileStore.setActiveProfile(this.value, function() {
+            refreshProfiles(showActiveProfile);
+        });
+    });
+
+    document.getElementById('new-profile').addEventListener('click', function() {
+        const name = (prompt('Name of the new profile:') || '').trim();
+        if(!name) return;
+
+        ProfileStore.createProfile(name, null, function() {
+            refreshProfiles(showActiveProfile);
+        });
+    });
+
+    document.getElementById('clone-profile').addEventListener('click', function() {
+        const profile = getActiveProfile();
+        if(!profile) return;
+
+        const name = (prompt('Name of the copy:', `${profile.name} (copy)`) || '').trim();
+        if(!name) return;
+
+        ProfileStore.cloneProfile(profile.id, name, function(copy) {
+            DocumentStore.copyProfileDocuments(profile.id, copy.id, function() {
+                refreshProfiles(showActiveProfile);
+            });
+        });
+    });
+
+    document.getElementById('rename-profile').addEventListener('click', function() {
+        const profile = getActiveProfile();
+        if(!profile) return;
+
+        const name = (prompt('New profile name:', profile.name) || '').trim();
+        if(!name) return;
+
+        ProfileStore.renameProfile(profile.id, name, function() {
+            refreshProfiles();
+        });
+    });
+
+    document.getElementById('delete-profile').addEventListener('click', function() {
+        const profile = getActiveProfile();
+        if(!profile || !confirm(`Delete the profile "${profile.name}"? An action that cannot be undone.`)) return;
+
+        ProfileStore.deleteProfile(profile.id, function() {
+            DocumentStore.removeProfileDocuments(profile.id, function() {
+                refreshProfiles(showActiveProfile);
+            });
+        });
+    });
+
+    // Bind the active profile to a hostname or URL pattern
+    document.getElementById('bind-site').addEventListener('click', function() {
+        const pattern = sitePatternInput.value.trim();
+        if(!pattern || !getActiveProfile()) return;
+
+        ProfileStore.setSiteProfile(pattern, profileState.activeProfileId, function() {
+            refreshProfiles();
+        });
+    });
+
     // Fill current page
     fillCurrentPageButton.addEventListener('click', function (){
         chrome.tabs.query({
@@ -183,10 +375,240 @@ document.addEventListener('DOMContentLoaded', function(){
             chrome.tabs.sendMessage(tabs[0].id,{
                 action: 'fillForm',
                 highlightUncertain : highlightUncertainToggle.checked
+            }, function(response) {
+                showFillReport(response);
+            });
+        });
+    });
+
+    // Applications recorded on submit are listed on the options page
+    document.getElementById('open-tracker').addEventListener('click', function() {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // Preview the fill on the current page without writing anything
+    previewFillButton.addEventListener('click', function (){
+        chrome.tabs.query({
+            active : true,
+            currentWindow : true}, function(tabs){
+            chrome.tabs.sendMessage(tabs[0].id,{
+                action: 'previewFill'
+            }, function(response) {
+                const fillStatus = document.getElementById('fill-status');
+
+                if(chrome.runtime.lastError || !response || !response.success) {
+                    fillStatus.textContent = 'Could not preview this page. Is it a job application form?';
+                    return;
+                }
+                fillStatus.textContent = `Review ${response.planned} proposed value(s) in the panel on the page.`;
+            });
+        });
+    });
+
+    // Move a multi-page application to its next page; never submits
+    document.getElementById('next-page').addEventListener('click', function() {
+        chrome.tabs.query({
+            active : true,
+            currentWindow : true}, function(tabs){
+            chrome.tabs.sendMessage(tabs[0].id,{
+                action: 'nextPage'
+            }, function(response) {
+                const fillStatus = document.getElementById('fill-status');
+
+                if(chrome.runtime.lastError || !response || !response.success) {
+                    fillStatus.textContent = 'No next page: this page has no Next or Continue button, or required fields are still empty.';
+                    return;
+                }
+                fillStatus.textContent = 'Moved to the next page.';
             });
         });
     });
 
+    // Screening question answers
+    const saveAnswersButton = document.getElementById('save-answers');
+
+    document.getElementById('add-answer').addEventListener('click', function() {
+        addAnswerItem({}).querySelector('[data-key]').focus();
+    });
+
+    // Example answers are only added to the editor; they apply once the user saves them
+    document.getElementById('add-suggested-answers').addEventListener('click', function() {
+        const listed = collectEntryItems('answer-list').map(item => item.id);
+        AnswerBank.SUGGESTED_ENTRIES
+            .filter(entry => !listed.includes(entry.id))
+            .forEach(entry => addAnswerItem(JSON.parse(JSON.stringify(entry))));
+    });
+
+    saveAnswersButton.addEventListener('click', function() {
+        const entries = collectEntryItems('answer-list').map(fromAnswerItem);
+
+        try {
+            AnswerBank.save(entries, function() {
+                showSavedStatus(saveAnswersButton);
+            });
+        } catch (error) {
+            alert('Could not save answers: ' + error.message);
+        }
+    });
+
+    AnswerBank.load(renderAnswerBank);
+
+    // Self-identification preferences
+    const alwaysDeclineToggle = document.getElementById('always-decline');
+    const selfIdFields = document.getElementById('self-id-fields');
+    const saveSelfIdButton = document.getElementById('save-self-id');
+
+    alwaysDeclineToggle.addEventListener('change', function() {
+        selfIdFields.querySelectorAll('select').forEach(select => {
+            select.disabled = this.checked;
+        });
+    });
+
+    saveSelfIdButton.addEventListener('click', function() {
+        const fields = {};
+        selfIdFields.querySelectorAll('[data-field]').forEach(group => {
+            fields[group.dataset.field] = {
+                answer: group.querySelector('[data-role="answer"]').value,
+                mode: group.querySelector('[data-role="mode"]').value
+            };
+        });
+
+        SelfIdentification.save({ alwaysDecline: alwaysDeclineToggle.checked, fields }, function() {
+            showSavedStatus(saveSelfIdButton);
+        });
+    });
+
+    SelfIdentification.load(renderSelfIdentification);
+
+    // Consent checkbox opt-ins, saved as soon as they change
+    const consentCategories = document.getElementById('consent-categories');
+    const consentSitePatternInput = document.getElementById('consent-site-pattern');
+    const consentSiteCategorySelect = document.getElementById('consent-site-category');
+    const consentSiteList = document.getElementById('consent-site-list');
+    let consentSettings = null;
+
+    Object.entries(ConsentPolicy.CATEGORIES).forEach(([category, definition]) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = definition.label;
+        consentSiteCategorySelect.appendChild(option);
+    });
+
+    document.getElementById('allow-consent-site').addEventListener('click', function() {
+        const pattern = consentSitePatternInput.value.trim();
+        const category = consentSiteCategorySelect.value;
+        if(!pattern || !consentSettings) return;
+
+        const sites = consentSettings.sites.map(site => ({ ...site, categories: [...site.categories] }));
+        const existing = sites.find(site => site.pattern === pattern);
+        if(existing) {
+            if(!existing.categories.includes(category)) existing.categories.push(category);
+        } else {
+            sites.push({ pattern, categories: [category] });
+        }
+
+        saveConsentSettings({ ...consentSettings, sites });
+    });
+
+    ConsentPolicy.load(renderConsentPolicy);
+
+    // Learned field mappings
+    const mappingSummary = document.getElementById('mapping-summary');
+    const mappingFileInput = document.getElementById('mapping-file');
+
+    document.getElementById('export-mappings').addEventListener('click', function() {
+        FieldMappingStore.exportMappings(function(data) {
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'jobfill-field-mappings.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+    });
+
+    document.getElementById('import-mappings').addEventListener('click', function() {
+        mappingFileInput.click();
+    });
+
+    mappingFileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if(!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                FieldMappingStore.importMappings(JSON.parse(reader.result), function(summary) {
+                    showMappingSummary(`Imported ${summary.added} new and ${summary.updated} updated mapping(s).`);
+                });
+            } catch (error) {
+                alert('Could not import mappings: ' + error.message);
+            }
+            mappingFileInput.value = '';
+        };
+        reader.readAsText(file);
+    });
+
+    showMappingSummary();
+
+    // Profile backup
+    const profileFileInput = document.getElementById('profile-file');
+    const backupStatus = document.getElementById('backup-status');
+
+    document.getElementById('export-profile').addEventListener('click', function() {
+        ProfileBackup.exportBackup(function(data) {
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `jobfill-profile-${data.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            backupStatus.textContent = `Exported ${data.profiles.length} profile(s).`;
+        });
+    });
+
+    document.getElementById('import-profile').addEventListener('click', function() {
+        profileFileInput.click();
+    });
+
+    profileFileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if(!file) return;
+
+        const mode = document.getElementById('import-mode').value;
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                const data = JSON.parse(reader.result);
+                if(mode === 'replace' && !confirm('Replace all your profiles, answers, settings and mappings with this file?')) {
+                    return;
+                }
+
+                ProfileBackup.importBackup(data, mode, function(summary) {
+                    backupStatus.textContent = mode === 'replace'
+                        ? `Replaced your data with ${summary.added} profile(s).`
+                        : `Imported ${summary.added} new and updated ${summary.updated} existing profile(s).`;
+
+                    // Show the imported data and settings
+                    refreshProfiles(showActiveProfile);
+                    AnswerBank.load(renderAnswerBank);
+                    SelfIdentification.load(renderSelfIdentification);
+                    ConsentPolicy.load(renderConsentPolicy);
+                    showMappingSummary();
+                    chrome.storage.local.get(['autofillEnabled', 'highlightUncertain'], function(settings) {
+                        autofillEnabledToggle.checked = settings.autofillEnabled !== false;
+                        highlightUncertainToggle.checked = settings.highlightUncertain !== false;
+                    });
+                });
+            } catch (error) {
+                alert('Could not import profile: ' + error.message);
+            } finally {
+                profileFileInput.value = '';
+            }
+        };
+        reader.readAsText(file);
+    });
+
     // Toggle autofill
     autofillEnabledToggle.addEventListener('change', function (){
         chrome.storage.local.set({ autofillEnabled: this.checked});
@@ -200,40 +622,336 @@ document.addEventListener('DOMContentLoaded', function(){
     });
 
     // Load saved Settings
-    chrome.storage.local.get(['resumeData', 'autofillEnabled','highlightUncertain'], function(data) {
+    chrome.storage.local.get(['autofillEnabled','highlightUncertain'], function(data) {
         //Set toggle states
         autofillEnabledToggle.checked = data.autofillEnabled !== false;
         highlightUncertainToggle.checked = data.highlightUncertain !== false;
+    });
+
+    // Load profiles and show the active one
+    refreshProfiles(showActiveProfile);
+
+    // Suggest the current site for profile binding
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        if(!tabs || !tabs[0] || !/^https?:/.test(tabs[0].url || '')) return;
+
+        currentTabUrl = tabs[0].url;
+        sitePatternInput.value = new URL(currentTabUrl).hostname;
+        consentSitePatternInput.value = new URL(currentTabUrl).hostname;
+        renderProfileControls();
+    });
+
+    // Show the job posting on the current page, if the content script found one
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        if(!tabs || !tabs[0]) return;
+
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'extractJobPosting' }, function(response) {
+            if(chrome.runtime.lastError || !response || !response.success) return;
+            showJobPosting(response.posting);
+        });
+    });
+
+    // Helper functions
+    function refreshProfiles(callback) {
+        ProfileStore.load(function(state) {
+            profileState = state;
+            renderProfileControls();
+            if(callback) callback();
+        });
+    }
+
+    function getActiveProfile() {
+        return profileState.profiles[profileState.activeProfileId] || null;
+    }
 
+    function renderProfileControls() {
+        const profiles = Object.values(profileState.profiles).sort((a, b) => a.name.localeCompare(b.name));
 
-        // IF we have resume data, show the appropriate Sections
-        if(data.resumeData) {
-            populateFormWithResumeData(data.resumeData);
+        profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = profileState.activeProfileId || '';
+
+        const hasProfile = !!getActiveProfile();
+        ['clone-profile', 'rename-profile', 'delete-profile', 'bind-site'].forEach(id => {
+            document.getElementById(id).disabled = !hasProfile;
+        });
+
+        // List site bindings, marking the one that applies to the current tab
+        const currentBinding = currentTabUrl ? ProfileStore.findSiteBinding(profileState, currentTabUrl) : null;
+        siteProfileList.innerHTML = '';
+        profileState.siteProfiles.forEach(binding => {
+            const profile = profileState.profiles[binding.profileId];
+            if(!profile) return;
+
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${binding.pattern} \u2192 ${profile.name}${binding === currentBinding ? ' (this page)' : ''}`;
+            item.appendChild(text);
+            item.appendChild(createControlButton('Remove', () => {
+                ProfileStore.removeSiteProfile(binding.pattern, function() {
+                    refreshProfiles();
+                });
+            }));
+            siteProfileList.appendChild(item);
+        });
+    }
+
+    function renderAnswerBank(entries) {
+        document.getElementById('answer-list').innerHTML = '';
+        entries.forEach(entry => addAnswerItem(entry));
+    }
+
+    function showMappingSummary(prefix = '') {
+        FieldMappingStore.getSummary(function(summary) {
+            mappingSummary.textContent = `${prefix} ${summary.mappings} mapping(s) on ${summary.sites} site(s).`.trim();
+        });
+    }
+
+    function renderSelfIdentification(preferences) {
+        alwaysDeclineToggle.checked = !!preferences.alwaysDecline;
+        selfIdFields.innerHTML = '';
+
+        Object.entries(SelfIdentification.FIELDS).forEach(([field, definition]) => {
+            const stored = { ...SelfIdentification.DEFAULT_PREFERENCE, ...preferences.fields[field] };
+
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.dataset.field = field;
+
+            const label = document.createElement('label');
+            label.htmlFor = `self-id-${field}`;
+            label.textContent = definition.label;
+            group.appendChild(label);
+
+            const answerOptions = [{ value: 'decline', text: 'Decline to answer' }]
+                .concat(Object.entries(definition.answers).map(([value, answer]) => ({ value, text: answer.label })));
+            const modeOptions = [
+                { value: 'fill', text: 'Fill' },
+                { value: 'skip', text: 'Skip' },
+                { value: 'manual', text: 'Leave for me' }
+            ];
+
+            const row = document.createElement('div');
+            row.className = 'select-row';
+            row.appendChild(createSelect(answerOptions, stored.answer, 'answer', `self-id-${field}`));
+            row.appendChild(createSelect(modeOptions, stored.mode, 'mode'));
+            group.appendChild(row);
+
+            selfIdFields.appendChild(group);
+        });
+
+        alwaysDeclineToggle.dispatchEvent(new Event('change'));
+    }
+
+    function renderConsentPolicy(settings) {
+        consentSettings = settings;
+        consentCategories.innerHTML = '';
+
+        Object.entries(ConsentPolicy.CATEGORIES).forEach(([category, definition]) => {
+            const group = document.createElement('div');
+            group.className = 'toggle-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `consent-${category}`;
+            label.textContent = `Check ${definition.label.toLowerCase()} on every site`;
+            label.title = definition.description;
+            group.appendChild(label);
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.id = `consent-${category}`;
+            toggle.checked = !!settings.categories[category];
+            toggle.addEventListener('change', function() {
+                saveConsentSettings({
+                    ...consentSettings,
+                    categories: { ...consentSettings.categories, [category]: this.checked }
+                });
+            });
+
+            const slider = document.createElement('span');
+            slider.className = 'slider round';
+
+            const toggleSwitch = document.createElement('label');
+            toggleSwitch.className = 'switch';
+            toggleSwitch.appendChild(toggle);
+            toggleSwitch.appendChild(slider);
+            group.appendChild(toggleSwitch);
+
+            consentCategories.appendChild(group);
+        });
+
+        consentSiteList.innerHTML = '';
+        settings.sites.forEach(site => {
+            const labels = site.categories
+                .filter(category => ConsentPolicy.CATEGORIES[category])
+                .map(category => ConsentPolicy.CATEGORIES[category].label);
+
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${site.pattern}: ${labels.join(', ')}`;
+            item.appendChild(text);
+            item.appendChild(createControlButton('Remove', () => {
+                saveConsentSettings({
+                    ...consentSettings,
+                    sites: consentSettings.sites.filter(candidate => candidate !== site)
+                });
+            }));
+            consentSiteList.appendChild(item);
+        });
+    }
+
+    function saveConsentSettings(settings) {
+        try {
+            ConsentPolicy.save(settings, function() {
+                renderConsentPolicy(settings);
+            });
+        } catch (error) {
+            alert('Could not save consent settings: ' + error.message);
+        }
+    }
+
+    function createSelect(options, value, role, id) {
+        const select = document.createElement('select');
+        if(id) select.id = id;
+        if(role) select.dataset.role = role;
+        options.forEach(({ value: optionValue, text }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    }
+
+    function showSavedStatus(button) {
+        const saveStatus = document.createElement('span');
+        saveStatus.textContent = ' Saved!';
+        saveStatus.style.color = '#4caf50';
+        button.after(saveStatus);
+        setTimeout(() => saveStatus.remove(), 2000);
+    }
+
+    function showActiveProfile() {
+        const profile = getActiveProfile();
+
+        if(profile && profile.resumeData) {
+            populateFormWithResumeData(profile.resumeData);
             initialSetupSection.classList.add('hidden');
             resumeDataSection.classList.remove('hidden');
             autofillControlsSection.classList.remove('hidden');
+            showDocuments(profile.id);
+        } else {
+            showInitialSetup();
         }
-    });
+    }
+
+    function showInitialSetup() {
+        currentResumeData = null;
+        initialSetupSection.classList.remove('hidden');
+        resumeDataSection.classList.add('hidden');
+        autofillControlsSection.classList.add('hidden');
+        documentControlsSection.classList.add('hidden');
+
+        // Reset file input
+        resumeUploadInput.value = '';
+        resumeUploadInput.nextElementSibling.textContent = 'Choose file or drag here';
+        parseResumeButton.textContent = 'Parse Resume';
+        parseResumeButton.disabled = true;
+    }
+
+    function showDocuments(profileId) {
+        DocumentStore.load(profileId, function(documents) {
+            const resumeList = document.getElementById('resume-document');
+            const coverLetterList = document.getElementById('cover-letter-list');
+            resumeList.innerHTML = '';
+            coverLetterList.innerHTML = '';
+
+            const addDocumentItem = (list, text, storedDocument) => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = text;
+                item.appendChild(label);
+                if(storedDocument) {
+                    item.appendChild(createControlButton('Remove', () => {
+                        DocumentStore.removeDocument(profileId, storedDocument.id, function() {
+                            showDocuments(profileId);
+                        });
+                    }));
+                }
+                list.appendChild(item);
+            };
+
+            if(documents.resume) {
+                addDocumentItem(resumeList, DocumentStore.describe(documents.resume), documents.resume);
+            } else {
+                addDocumentItem(resumeList, 'No resume file saved');
+            }
+
+            documents.coverLetters.forEach(coverLetter => {
+                addDocumentItem(coverLetterList, `${DocumentStore.describe(coverLetter)} \u00b7 ${coverLetter.site || 'all sites'}`, coverLetter);
+            });
+            if(documents.coverLetters.length === 0) {
+                addDocumentItem(coverLetterList, 'No cover letters saved');
+            }
+
+            documentControlsSection.classList.remove('hidden');
+        });
+    }
+
+    function readDocument(file, callback) {
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                callback(DocumentStore.createDocument(file.name, file.type, reader.result));
+            } catch (error) {
+                alert('Could not save the file: ' + error.message);
+            }
+        };
+        reader.readAsDataURL(file);
+    }
 
-    // Helper functions
     function populateFormWithResumeData(data) {
+        currentResumeData = data;
+
         // Populate personal info
         if(data.personalInfo){
             document.getElementById('full-name').value = data.personalInfo.fullName || '';
             document.getElementById('email').value = data.personalInfo.email || '';
             document.getElementById('phone').value = data.personalInfo.phone || '';
             document.getElementById('address').value = data.personalInfo.address || '';
+            document.getElementById('linkedin').value = data.personalInfo.linkedin || '';
+            document.getElementById('website').value = data.personalInfo.website || '';
         }
 
         // Populate education
-        if(data.education && data.education.length > 0){
-            const educationList = document.getElementById('education-list');
-            educationList.innerHTML = '';
+        document.getElementById('education-list').innerHTML = '';
+        (data.education || []).forEach(edu => {
+            addEducationItem(edu);
+        });
 
-            data.education.forEach((edu, index) => {
-                addEducationItem(edu,index);
-            });
-        }
+        // Populate experience
+        document.getElementById('experience-list').innerHTML = '';
+        (data.experience || []).forEach(exp => {
+            addExperienceItem(exp);
+        });
+
+        // Populate work authorization
+        document.getElementById('work-authorization-list').innerHTML = '';
+        (data.workAuthorization || []).forEach(entry => {
+            addWorkAuthorizationItem(entry);
+        });
+
+        // Populate cover letter templates
+        document.getElementById('cover-letter-template-list').innerHTML = '';
+        (data.coverLetterTemplates || []).forEach(template => {
+            addCoverLetterTemplateItem(template);
+        });
 
         // Populate Skills
         if(data.skills){
@@ -244,35 +962,318 @@ document.addEventListener('DOMContentLoaded', function(){
     }
 
     function collectFormData(){
+        // Start from the stored data so fields without an editor (like rawText) survive a save
+        const previous = currentResumeData || {};
+
         //Collect personal info
         const personalInfo = {
+            ...previous.personalInfo,
             fullName : document.getElementById('full-name').value,
             email : document.getElementById('email').value,
             phone : document.getElementById('phone').value,
-            address : document.getElementById('address').value
+            address : document.getElementById('address').value,
+            linkedin : document.getElementById('linkedin').value,
+            website : document.getElementById('website').value
+        };
+
+        return {
+            ...previous,
+            personalInfo,
+            education: collectEntryItems('education-list'),
+            experience: collectEntryItems('experience-list'),
+            workAuthorization: collectEntryItems('work-authorization-list'),
+            coverLetterTemplates: collectEntryItems('cover-letter-template-list'),
+            skills: document.getElementById('skills').value.split(',').map(s => s.trim()).filter(Boolean)
         };
+    }
+
+
+    function showJobPosting(posting) {
+        const jobPosting = document.getElementById('job-posting');
+        const details = [posting.location, posting.employmentType, posting.salaryRange].filter(Boolean);
+
+        jobPosting.textContent = `This page: ${posting.title}${posting.company ? ` at ${posting.company}` : ''}` +
+            (details.length > 0 ? ` (${details.join(', ')})` : '');
+        jobPosting.classList.remove('hidden');
+    }
 
+    function showFillReport(response) {
+        const fillStatus = document.getElementById('fill-status');
 
-        // TODO : Collect education, experience, and skills data
-        // This would involve gathering data from dynamically generated form fields
+        if(chrome.runtime.lastError || !response || !response.report) {
+            fillStatus.textContent = 'Could not fill this page. Is it a job application form?';
+            return;
+        }
+
+        const counts = response.report.counts;
+        let message = `Filled ${counts.filled + counts.lowConfidence} field(s)`;
+        if(counts.lowConfidence > 0) {
+            message += `, ${counts.lowConfidence} need review`;
+        }
+        if(counts.failed > 0) {
+            message += `, ${counts.failed} failed`;
+        }
+        const leftForUser = response.report.results.filter(result => result.category === 'question' && result.status === 'skipped');
+        const unanswered = leftForUser.filter(result => result.reason !== 'consentRequired');
+        const unchecked = leftForUser.filter(result => result.reason === 'consentRequired');
+        if(unanswered.length > 0) {
+            message += `. Left for you: ${unanswered.map(result => result.label).join('; ')}`;
+        }
+        if(unchecked.length > 0) {
+            message += `. Not checked without your opt-in: ${unchecked.map(result => result.label).join('; ')}`;
+        }
+        const attached = response.report.results.filter(result =>
+            result.category === 'other' &&
+            (result.subcategory === 'resume' || result.subcategory === 'coverLetter') &&
+            (result.status === 'filled' || result.status === 'lowConfidence'));
+        if(attached.length > 0) {
+            message += `. Attached: ${attached.map(result => `${result.value} to ${result.label}`).join('; ')}`;
+        }
+        if(response.report.results.some(result => result.reason === 'previewRequired')) {
+            message += '. Cover letter ready: use "Preview Fill" to review and insert it';
+        }
+        if(response.report.unplaced && response.report.unplaced.length > 0) {
+            message += `. Could not place: ${response.report.unplaced.map(entry => entry.label).join('; ')}`;
+        }
+        fillStatus.textContent = message;
+    }
+
+
+    function addEducationItem(education = {}) {
+        return addEntryItem('education-list', EDUCATION_FIELDS, education);
+    }
+
+    function addExperienceItem(experience = {}) {
+        return addEntryItem('experience-list', EXPERIENCE_FIELDS, experience);
+    }
+
+    function addWorkAuthorizationItem(entry = {}) {
+        return addEntryItem('work-authorization-list', WORK_AUTHORIZATION_FIELDS, entry);
+    }
+
+    function addCoverLetterTemplateItem(template = {}) {
+        return addEntryItem('cover-letter-template-list', COVER_LETTER_TEMPLATE_FIELDS, template);
+    }
+
+    function addAnswerItem(entry) {
+        return addEntryItem('answer-list', ANSWER_FIELDS, toAnswerItem(entry));
+    }
+
+    /**
+     * Flatten an answer bank entry for the editor
+     * @param {Object} entry - Answer bank entry
+     * @returns {Object} - Editor values
+     */
+    function toAnswerItem(entry) {
+        const answers = entry.answers || {};
+        const checkbox = typeof answers.checkbox === 'boolean' ? (answers.checkbox ? 'checked' : 'unchecked') : '';
 
         return {
-            personalInfo,
-            education: [],
-            experience: [],
-            skills: document.getElementById('skills').value.split(',').map(s => s.trim())
+            id: entry.id,
+            pattern: entry.pattern || '',
+            isRegex: !!entry.isRegex,
+            site: entry.site || '',
+            text: answers.text || '',
+            select: answers.select || '',
+            radio: answers.radio || '',
+            checkbox
+        };
+    }
+
+    /**
+     * Build an answer bank entry from editor values
+     * @param {Object} item - Editor values
+     * @param {number} index - Position in the list
+     * @returns {Object} - Answer bank entry
+     */
+    function fromAnswerItem(item, index) {
+        const answers = {};
+        ['text', 'select', 'radio'].forEach(type => {
+            if(item[type]) answers[type] = item[type];
+        });
+        if(item.checkbox) answers.checkbox = item.checkbox === 'checked';
+
+        return {
+            id: item.id || `answer-${Date.now()}-${index}`,
+            pattern: item.pattern,
+            isRegex: item.isRegex,
+            site: item.site,
+            answers
         };
     }
 
+    /**
+     * Append an editable entry to an education, experience, work authorization, cover letter
+     * template or answer list
+     * @param {string} listId - Id of the list element
+     * @param {Array} fieldDefs - Editor fields of the entry
+     * @param {Object} entry - Entry data
+     * @returns {Element} - The new entry element
+     */
+    function addEntryItem(listId, fieldDefs, entry) {
+        const list = document.getElementById(listId);
+        const item = document.createElement('div');
+        item.className = 'entry-item';
+        entryData.set(item, entry);
+
+        // Reorder and remove controls
+        const controls = document.createElement('div');
+        controls.className = 'entry-controls';
+        controls.appendChild(createControlButton('Up', () => moveEntryItem(item, -1)));
+        controls.appendChild(createControlButton('Down', () => moveEntryItem(item, 1)));
+        controls.appendChild(createControlButton('Remove', () => item.remove()));
+        item.appendChild(controls);
 
-    function addEducationItem(education ={},index) {
-        //TODO : Implement adding education item to the form
-        console.log('Adding education item:', education, index);
+        fieldDefs.forEach(def => {
+            item.appendChild(createEntryField(def, entry[def.key]));
+        });
+
+        list.appendChild(item);
+        return item;
+    }
+
+    function createControlButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'text-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function createEntryField(def, value) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const id = `entry-field-${++entryFieldCount}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = def.label;
+        group.appendChild(label);
+
+        let input;
+        if(def.type === 'checkbox') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = !!value;
+        } else if(def.type === 'select') {
+            input = createSelect(def.options, value || '');
+        } else if(def.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = def.rows || 4;
+            input.value = value || '';
+        } else if(def.type === 'month') {
+            input = document.createElement('input');
+            input.type = 'month';
+            // Keep the parsed text so an untouched date is saved exactly as it was
+            input.dataset.original = value || '';
+            input.value = toMonthValue(value);
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.value = value || '';
+        }
+        input.id = id;
+        input.dataset.key = def.key;
+        group.appendChild(input);
+
+        // Checkboxes sit inside their label
+        if(def.type === 'checkbox') {
+            label.className = 'present-toggle';
+            label.prepend(input);
+        }
+
+        if(def.allowPresent) {
+            const toggle = document.createElement('label');
+            toggle.className = 'present-toggle';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.presentFor = def.key;
+            checkbox.checked = isPresentDate(value);
+            checkbox.addEventListener('change', () => {
+                input.disabled = checkbox.checked;
+            });
+            input.disabled = checkbox.checked;
+
+            toggle.appendChild(checkbox);
+            toggle.appendChild(document.createTextNode('Present'));
+            group.appendChild(toggle);
+        }
+
+        return group;
+    }
+
+    function moveEntryItem(item, direction) {
+        const list = item.parentNode;
+        if(direction < 0 && item.previousElementSibling) {
+            list.insertBefore(item, item.previousElementSibling);
+        } else if(direction > 0 && item.nextElementSibling) {
+            list.insertBefore(item.nextElementSibling, item);
+        }
+    }
+
+    function collectEntryItems(listId) {
+        return Array.from(document.getElementById(listId).querySelectorAll('.entry-item')).map(item => {
+            // Merge over the original entry so fields without an editor are kept
+            const entry = { ...entryData.get(item) };
+
+            item.querySelectorAll('[data-key]').forEach(input => {
+                if(input.type === 'checkbox') {
+                    entry[input.dataset.key] = input.checked;
+                } else if(input.type === 'month') {
+                    entry[input.dataset.key] = readDateInput(input, item.querySelector(`[data-present-for="${input.dataset.key}"]`));
+                } else {
+                    entry[input.dataset.key] = input.value.trim();
+                }
+            });
+
+            return entry;
+        });
+    }
+
+    function readDateInput(input, presentToggle) {
+        const original = input.dataset.original;
+
+        if(presentToggle && presentToggle.checked) {
+            return isPresentDate(original) ? original : 'Present';
+        }
+        if(isPresentDate(original)) {
+            return input.value;
+        }
+
+        // Untouched dates keep the resume's wording ("Jan 2020", "2018")
+        return input.value === toMonthValue(original) ? original : input.value;
+    }
+
+    /**
+     * Convert resume date text to a month input value
+     * @param {string} text - Date text like "Jan 2020", "01/2020" or "2020"
+     * @returns {string} - "YYYY-MM", or empty if the text is not a date
+     */
+    function toMonthValue(text) {
+        const value = (text || '').trim();
+        const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        let match;
+
+        if((match = value.match(/^(\d{4})-(\d{1,2})/))) {
+            return `${match[1]}-${match[2].padStart(2, '0')}`;
+        }
+        if((match = value.match(/^(\d{1,2})\/(\d{4})$/))) {
+            return `${match[2]}-${match[1].padStart(2, '0')}`;
+        }
+        if((match = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i))) {
+            const month = monthNames.indexOf(match[1].toLowerCase());
+            return month >= 0 ? `${match[2]}-${String(month + 1).padStart(2, '0')}` : '';
+        }
+        if((match = value.match(/^(\d{4})$/))) {
+            return `${match[1]}-01`;
+        }
+        return '';
     }
 
-    function addExperienceItem(experience = {}, index) {
-        //TODO: Implement adding experience item to the form
-        console.log('Adding experience item:', experience, index);
+    function isPresentDate(text) {
+        return /^(present|current|now)$/i.test((text || '').trim());
     }
 
     //Implement drag and drop for resume upload
@@ -284,7 +1285,7 @@ document.addEventListener('DOMContentLoaded', function(){
 
     function preventDefaults(e){
         e.preventDefault();
-        e.stopPropogation();
+        e.stopPropagation();
     }
 
     ['dragenter', 'dragover'].forEach(eventName => {
@@ -0,0 +1,257 @@
+/**
+ * Answer Bank Module
+ *
+ * User-managed answers to screening questions ("How did you hear about us?", salary
+ * expectations, ...). Each entry has a question pattern, an answer per input type and an
+ * optional site scope. Site adapters run the bank before their own question handling, and
+ * skip any element the bank already answered.
+ *
+ * Storage key:
+ *   answerBank - [{id, pattern, isRegex, site, answers: {text, select, radio, checkbox}}]
+ *
+ * Patterns are comma-separated keywords (any one matches) or, with isRegex, a case-insensitive
+ * regular expression. Select and radio answers may list alternatives separated by "|".
+ */
+
+class AnswerBank {
+    static STORAGE_KEY = 'answerBank';
+
+    // Example answers the popup offers to add. The bank starts empty, so nothing is answered
+    // until the user adds, reviews and saves an entry
+    static SUGGESTED_ENTRIES = [
+        {
+            id: 'suggested-salary',
+            pattern: 'salary, compensation',
+            isRegex: false,
+            site: '',
+            answers: { text: 'Negotiable based on total compensation package' }
+        },
+        {
+            id: 'suggested-source',
+            pattern: 'how did you hear, how you found, referral source, what source',
+            isRegex: false,
+            site: '',
+            answers: { select: 'Job board|LinkedIn|Indeed|Internet search' }
+        },
+        {
+            id: 'suggested-referral',
+            pattern: 'referred by, referral',
+            isRegex: false,
+            site: '',
+            answers: { text: 'N/A' }
+        },
+        {
+            id: 'suggested-additional',
+            pattern: 'additional information, anything else, other comments',
+            isRegex: false,
+            site: '',
+            answers: { text: 'I am excited about this opportunity and look forward to discussing how my skills align with your needs.' }
+        }
+    ];
+
+    static INPUT_TYPES = ['text', 'select', 'radio', 'checkbox'];
+
+    static entries = [];
+
+    // Elements answered by the last answerQuestions() pass
+    static answeredElements = new WeakSet();
+
+    /**
+     * Load the answer bank
+     * @param {Function} callback - Receives the entries
+     */
+    static load(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            this.entries = data[this.STORAGE_KEY] || [];
+            if (callback) callback(this.entries);
+        });
+    }
+
+    /**
+     * Save the answer bank
+     * @param {Array} entries - Answer entries
+     * @param {Function} [callback] - Called when saved
+     * @throws {Error} - If an entry is invalid
+     */
+    static save(entries, callback) {
+        entries.forEach((entry, index) => {
+            const error = this.validateEntry(entry);
+            if (error) throw new Error(`Answer ${index + 1}: ${error}`);
+        });
+
+        this.entries = entries;
+        chrome.storage.local.set({ [this.STORAGE_KEY]: entries }, callback);
+    }
+
+    /**
+     * Check an entry for problems
+     * @param {Object} entry - Answer entry
+     * @returns {string|null} - Problem description, or null if the entry is valid
+     */
+    static validateEntry(entry) {
+        if (!entry.pattern || !entry.pattern.trim()) {
+            return 'the question pattern is empty';
+        }
+
+        if (entry.isRegex) {
+            try {
+                new RegExp(entry.pattern, 'i');
+            } catch (error) {
+                return `the pattern is not a valid regular expression (${error.message})`;
+            }
+        }
+
+        const hasAnswer = this.INPUT_TYPES.some(type => this.hasAnswer(entry, type));
+        return hasAnswer ? null : 'no answer is given';
+    }
+
+    /**
+     * Check if an entry answers an input type
+     * @param {Object} entry - Answer entry
+     * @param {string} inputType - 'text', 'select', 'radio' or 'checkbox'
+     * @returns {boolean} - Whether the entry has an answer for the type
+     */
+    static hasAnswer(entry, inputType) {
+        const answer = entry.answers ? entry.answers[inputType] : undefined;
+        return inputType === 'checkbox' ? typeof answer === 'boolean' : typeof answer === 'string' && answer.trim() !== '';
+    }
+
+    /**
+     * Check if an entry's pattern matches a question
+     * @param {Object} entry - Answer entry
+     * @param {string} questionText - Question text
+     * @returns {boolean} - Whether the pattern matches
+     */
+    static matchesQuestion(entry, questionText) {
+        const text = questionText.toLowerCase().replace(/\s+/g, ' ');
+
+        if (entry.isRegex) {
+            try {
+                return new RegExp(entry.pattern, 'i').test(text);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        return entry.pattern.split(',')
+            .map(keyword => keyword.trim().toLowerCase())
+            .some(keyword => keyword && text.includes(keyword));
+    }
+
+    /**
+     * Find the answer to a question. Entries scoped to the current site come before global ones
+     * @param {string} questionText - Question text
+     * @param {string} inputType - 'text', 'select', 'radio' or 'checkbox'
+     * @param {string} [url] - Page URL
+     * @returns {Object|null} - {entry, answer}
+     */
+    static findAnswer(questionText, inputType, url = window.location.href) {
+        if (!questionText) return null;
+
+        const profileStore = window.ProfileStore || ProfileStore;
+        const matching = this.entries.filter(entry =>
+            this.hasAnswer(entry, inputType) &&
+            (!entry.site || profileStore.matchesPattern(entry.site, url)) &&
+            this.matchesQuestion(entry, questionText)
+        );
+
+        const entry = matching.find(candidate => candidate.site) || matching[0];
+        return entry ? { entry, answer: entry.answers[inputType] } : null;
+    }
+
+    /**
+     * Answer every empty question on the page that matches an entry
+     * @param {Element|Document} [root] - Where to look for questions
+     * @returns {number} - Number of questions answered
+     */
+    static answerQuestions(root = document) {
+        this.answeredElements = new WeakSet();
+        if (this.entries.length === 0) return 0;
+
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const handledGroups = new Set();
+        let answered = 0;
+
+        root.querySelectorAll('input, select, textarea').forEach(element => {
+            if (element.disabled || ['hidden', 'submit', 'button', 'reset', 'file', 'image', 'password'].includes(element.type)) return;
+
+            if (element.type === 'radio') {
+                const groupKey = autoFiller.getRadioGroupKey(element);
+                if (handledGroups.has(groupKey)) return;
+                handledGroups.add(groupKey);
+            }
+
+            // Never replace what is already there
+            if (autoFiller.hasValue(element)) return;
+
+            const inputType = this.getInputType(element);
+            const found = this.findAnswer(autoFiller.getQuestionText(element), inputType);
+            if (!found || !this.applyAnswer(element, inputType, found.answer)) return;
+
+            const elements = element.type === 'radio' ? autoFiller.getRadioGroup(element) : [element];
+            elements.forEach(answeredElement => this.answeredElements.add(answeredElement));
+            answered++;
+        });
+
+        return answered;
+    }
+
+    /**
+     * Write an answer into an element
+     * @param {Element} element - Form element
+     * @param {string} inputType - Input type of the element
+     * @param {string|boolean} answer - Answer from the bank
+     * @returns {boolean} - Whether the answer was written
+     */
+    static applyAnswer(element, inputType, answer) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const alternatives = typeof answer === 'string' ? answer.split('|').map(text => text.trim()).filter(Boolean) : [];
+
+        switch (inputType) {
+            case 'select': {
+                const options = Array.from(element.options);
+                const option = alternatives.map(text => autoFiller.matchOption(options, text)).find(Boolean);
+                return !!option && autoFiller.writeValue(element, option.value, 'answerBank');
+            }
+
+            case 'radio': {
+                const options = autoFiller.getRadioGroup(element).map(input => ({
+                    input,
+                    text: autoFiller.getOptionLabel(input),
+                    value: input.value
+                }));
+                const match = alternatives.map(text => autoFiller.matchOption(options, text)).find(Boolean);
+                return !!match && autoFiller.writeValue(match.input, true, 'answerBank');
+            }
+
+            // Checkboxes take true/false, text fields the answer itself
+            default:
+                return autoFiller.writeValue(element, answer, 'answerBank');
+        }
+    }
+
+    /**
+     * Check if the last answerQuestions() pass answered an element
+     * @param {Element} element - Form element
+     * @returns {boolean} - Whether the element was answered from the bank
+     */
+    static isAnswered(element) {
+        return this.answeredElements.has(element);
+    }
+
+    /**
+     * Get the answer type of an element
+     * @param {Element} element - Form element
+     * @returns {string} - 'text', 'select', 'radio' or 'checkbox'
+     */
+    static getInputType(element) {
+        if (element.tagName === 'SELECT') return 'select';
+        if (element.type === 'radio' || element.type === 'checkbox') return element.type;
+        return 'text';
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnswerBank;
+}
@@ -0,0 +1,444 @@
+/**
+ * Application Tracker Module
+ *
+ * Keeps a log of the applications submitted from pages JobFill worked on, in
+ * chrome.storage.local. The content script adds a record when SubmissionDetector sees an
+ * application go through; the tracker page lists the records and updates their status
+ * and notes.
+ *
+ * The log can be exported as CSV or JSON and imported again; imported records are merged
+ * with stored ones that have the same URL or requisition ID.
+ *
+ * Storage key:
+ *   applications - [{id, title, company, location, url, requisitionId, ats, appliedAt, status,
+ *                    profileId, profileName, answers: [{label, value}], notes, updatedAt}]
+ */
+
+class ApplicationTracker {
+    static STORAGE_KEY = 'applications';
+
+    static STATUSES = {
+        applied: 'Applied',
+        interviewing: 'Interviewing',
+        rejected: 'Rejected',
+        offer: 'Offer'
+    };
+
+    // A second submission of the same posting within this window updates the first record
+    static DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+    static EXPORT_FORMAT = 'jobfill-applications';
+    static EXPORT_VERSION = 1;
+
+    // CSV columns in export order. The names are part of the export format; keep them stable
+    static CSV_COLUMNS = [
+        { name: 'company', key: 'company' },
+        { name: 'title', key: 'title' },
+        { name: 'url', key: 'url' },
+        { name: 'date_applied', key: 'appliedAt' },
+        { name: 'status', key: 'status' },
+        { name: 'profile', key: 'profileName' },
+        { name: 'ats', key: 'ats' },
+        { name: 'location', key: 'location' },
+        { name: 'requisition_id', key: 'requisitionId' },
+        { name: 'notes', key: 'notes' },
+        { name: 'updated_at', key: 'updatedAt' }
+    ];
+
+    // Cells a spreadsheet would run as a formula (=, +, -, @, or a leading tab or carriage
+    // return), and the same cells once escaped with an apostrophe
+    static CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+    static CSV_ESCAPED_FORMULA_PATTERN = /^'(?=[=+\-@\t\r])/;
+
+    /**
+     * Load every application, newest first
+     * @param {Function} callback - Receives the applications
+     */
+    static load(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const applications = (data[this.STORAGE_KEY] || []).slice()
+                .sort((a, b) => String(b.appliedAt).localeCompare(String(a.appliedAt)));
+            callback(applications);
+        });
+    }
+
+    /**
+     * Load the applications, apply a change and save them back
+     * @param {Function} mutator - Changes the list in place, may return a result
+     * @param {Function} [callback] - Receives the result
+     */
+    static update(mutator, callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const applications = data[this.STORAGE_KEY] || [];
+            const result = mutator(applications);
+
+            chrome.storage.local.set({ [this.STORAGE_KEY]: applications }, () => {
+                if (callback) callback(result);
+            });
+        });
+    }
+
+    /**
+     * Record a submitted application. Submitting the same posting again within a day
+     * updates the earlier record instead of adding another
+     * @param {Object} application - {title, company, location, url, requisitionId, ats, profileId, profileName, answers}
+     * @param {Function} [callback] - Receives the stored record
+     */
+    static addApplication(application, callback) {
+        const now = new Date();
+
+        this.update(applications => {
+            const existing = applications.find(record =>
+                record.url === application.url &&
+                now - new Date(record.appliedAt) < this.DUPLICATE_WINDOW_MS);
+
+            if (existing) {
+                Object.assign(existing, this.pickDetails(application), { updatedAt: now.toISOString() });
+                return existing;
+            }
+
+            const record = {
+                id: `application-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                ...this.pickDetails(application),
+                appliedAt: now.toISOString(),
+                status: 'applied',
+                notes: '',
+                updatedAt: now.toISOString()
+            };
+            applications.push(record);
+            return record;
+        }, callback);
+    }
+
+    /**
+     * Keep the fields of a record that describe the application itself
+     * @param {Object} application - Application details
+     * @returns {Object} - Record fields
+     */
+    static pickDetails(application) {
+        return {
+            title: application.title || '',
+            company: application.company || '',
+            location: application.location || '',
+            url: application.url || '',
+            requisitionId: application.requisitionId || '',
+            ats: application.ats || '',
+            profileId: application.profileId || null,
+            profileName: application.profileName || '',
+            answers: application.answers || []
+        };
+    }
+
+    /**
+     * Change the status or notes of an application
+     * @param {string} id - Application id
+     * @param {Object} changes - {status, notes}
+     * @param {Function} [callback] - Receives the updated record, or null if it no longer exists
+     * @throws {Error} - If the status is unknown
+     */
+    static updateApplication(id, changes, callback) {
+        if (changes.status !== undefined && !this.STATUSES[changes.status]) {
+            throw new Error(`Unknown status "${changes.status}"`);
+        }
+
+        this.update(applications => {
+            const record = applications.find(candidate => candidate.id === id);
+            if (!record) return null;
+
+            ['status', 'notes'].forEach(key => {
+                if (changes[key] !== undefined) record[key] = changes[key];
+            });
+            record.updatedAt = new Date().toISOString();
+            return record;
+        }, callback);
+    }
+
+    /**
+     * Remove an application
+     * @param {string} id - Application id
+     * @param {Function} [callback] - Called when done
+     */
+    static removeApplication(id, callback) {
+        this.update(applications => {
+            const index = applications.findIndex(record => record.id === id);
+            if (index !== -1) applications.splice(index, 1);
+        }, callback);
+    }
+
+    /**
+     * Filter applications by status and a search text
+     * @param {Array} applications - Applications
+     * @param {Object} filter - {query, status} where '' matches everything
+     * @returns {Array} - Matching applications
+     */
+    static filterApplications(applications, { query = '', status = '' } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return applications.filter(record => {
+            if (status && record.status !== status) return false;
+
+            const text = [record.title, record.company, record.location, record.url, record.profileName, record.notes]
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    /**
+     * Build a JSON export of every application
+     * @param {Function} callback - Receives the export object
+     */
+    static exportJson(callback) {
+        this.load(applications => {
+            callback({
+                format: this.EXPORT_FORMAT,
+                version: this.EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                applications
+            });
+        });
+    }
+
+    /**
+     * Write applications as CSV with the CSV_COLUMNS header row. Values scraped from pages
+     * that a spreadsheet would run as a formula are prefixed with an apostrophe
+     * @param {Array} applications - Applications
+     * @returns {string} - CSV text
+     */
+    static toCsv(applications) {
+        const quote = value => {
+            let text = String(value === undefined || value === null ? '' : value);
+            if (this.CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [this.CSV_COLUMNS.map(column => column.name)]
+            .concat(applications.map(record => this.CSV_COLUMNS.map(column => record[column.key])));
+        return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Read applications from CSV with a header row. Columns are found by name, so their order
+     * does not matter and unknown columns are ignored. The apostrophe toCsv() puts before
+     * formula-like values is removed
+     * @param {string} text - CSV text
+     * @returns {Array} - Applications
+     * @throws {Error} - If the file has no url or title column
+     */
+    static fromCsv(text) {
+        const [header = [], ...rows] = this.parseCsv(text);
+        const names = header.map(name => name.trim().toLowerCase());
+
+        if (!names.includes('url') && !names.includes('title')) {
+            throw new Error('This file is not a JobFill application export');
+        }
+
+        return rows
+            .filter(row => row.some(value => value.trim()))
+            .map(row => {
+                const record = {};
+                this.CSV_COLUMNS.forEach(column => {
+                    const index = names.indexOf(column.name);
+                    if (index !== -1 && row[index] !== undefined) {
+                        record[column.key] = row[index].trim().replace(this.CSV_ESCAPED_FORMULA_PATTERN, '');
+                    }
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Split CSV text into rows of values, with quoted values that may hold commas, quotes
+     * and line breaks
+     * @param {string} text - CSV text
+     * @returns {Array} - Rows
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Merge imported applications into the stored ones. A record with the same URL, or the
+     * same requisition ID at the same company, is merged: the more recently updated side's
+     * status and notes win and empty fields are filled in. Other records are added
+     * @param {Object|Array} data - Parsed JSON export, or applications read from CSV
+     * @param {Function} [callback] - Receives {added, updated, skipped}
+     * @throws {Error} - If the data is not an application export
+     */
+    static importApplications(data, callback) {
+        const imported = this.validateImport(data);
+
+        this.update(applications => {
+            const summary = { added: 0, updated: 0, skipped: 0 };
+
+            imported.forEach(record => {
+                const existing = applications.find(candidate => this.isSameApplication(candidate, record));
+                if (!existing) {
+                    // Records from another browser may reuse an id
+                    if (applications.some(candidate => candidate.id === record.id)) {
+                        record.id = `application-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+                    }
+                    record.updatedAt = record.updatedAt || record.appliedAt;
+                    applications.push(record);
+                    summary.added++;
+                    return;
+                }
+
+                summary[this.mergeApplication(existing, record) ? 'updated' : 'skipped']++;
+            });
+
+            return summary;
+        }, callback);
+    }
+
+    /**
+     * Check imported data and turn it into complete records
+     * @param {Object|Array} data - Parsed JSON export, or applications read from CSV
+     * @returns {Array} - Records
+     * @throws {Error} - If the data is not an application export
+     */
+    static validateImport(data) {
+        let applications = data;
+        if (!Array.isArray(data)) {
+            if (!data || data.format !== this.EXPORT_FORMAT || !Array.isArray(data.applications)) {
+                throw new Error('This file is not a JobFill application export');
+            }
+            if (data.version > this.EXPORT_VERSION) {
+                throw new Error('This file was exported by a newer version of JobFill');
+            }
+            applications = data.applications;
+        }
+
+        return applications
+            .filter(record => record && typeof record === 'object' && (this.isWebUrl(record.url) || record.title))
+            .map((record, index) => {
+                const appliedAt = new Date(record.appliedAt);
+                const updatedAt = new Date(record.updatedAt);
+                const status = String(record.status || '').toLowerCase();
+
+                return {
+                    id: record.id || `application-${Date.now().toString(36)}-${index}`,
+                    ...this.pickDetails(record),
+                    // The tracker links to the URL, so a javascript: or data: URL must not get in
+                    url: this.isWebUrl(record.url) ? record.url : '',
+                    answers: Array.isArray(record.answers) ? record.answers : [],
+                    appliedAt: isNaN(appliedAt) ? new Date().toISOString() : appliedAt.toISOString(),
+                    status: this.STATUSES[status] ? status : 'applied',
+                    notes: record.notes || '',
+                    // Without a date of its own, an imported status never overrides a stored one
+                    updatedAt: isNaN(updatedAt) ? '' : updatedAt.toISOString()
+                };
+            });
+    }
+
+    /**
+     * Check whether two records describe the same application
+     * @param {Object} a - Record
+     * @param {Object} b - Record
+     * @returns {boolean} - Whether they share a URL, or a requisition ID at the same company
+     */
+    static isSameApplication(a, b) {
+        if (a.url && b.url && this.normalizeUrl(a.url) === this.normalizeUrl(b.url)) return true;
+
+        return !!a.requisitionId && a.requisitionId === b.requisitionId &&
+            (!a.company || !b.company || a.company.toLowerCase() === b.company.toLowerCase());
+    }
+
+    /**
+     * Check whether a URL is an http or https address
+     * @param {string} url - URL
+     * @returns {boolean} - Whether the URL can be opened as a web page
+     */
+    static isWebUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Compare URLs without their fragment, trailing slash or host case
+     * @param {string} url - URL
+     * @returns {string} - Comparable URL
+     */
+    static normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+        } catch (error) {
+            return String(url).trim();
+        }
+    }
+
+    /**
+     * Merge an imported record into a stored one
+     * @param {Object} existing - Stored record, changed in place
+     * @param {Object} record - Imported record
+     * @returns {boolean} - Whether anything changed
+     */
+    static mergeApplication(existing, record) {
+        const before = JSON.stringify(existing);
+
+        if (record.updatedAt > (existing.updatedAt || '')) {
+            existing.status = record.status;
+            existing.notes = record.notes;
+            existing.updatedAt = record.updatedAt;
+        }
+
+        ['title', 'company', 'location', 'url', 'requisitionId', 'ats', 'profileName'].forEach(key => {
+            if (!existing[key] && record[key]) existing[key] = record[key];
+        });
+        if ((!existing.answers || existing.answers.length === 0) && record.answers.length > 0) {
+            existing.answers = record.answers;
+        }
+        if (record.appliedAt < existing.appliedAt) {
+            existing.appliedAt = record.appliedAt;
+        }
+
+        return JSON.stringify(existing) !== before;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApplicationTracker;
+}
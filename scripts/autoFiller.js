@@ -0,0 +1,1134 @@
+/**
+ * Auto Filler Module
+ *
+ * This module takes the field objects produced by FormDetector (or a site adapter),
+ * resolves the matching value from the stored resume data and writes it into the page
+ * in a way that framework-controlled inputs (React, Angular, Vue) pick up.
+ */
+
+class AutoFiller {
+    // Fields below this confidence are not filled at all
+    static MIN_CONFIDENCE = 0.3;
+
+    // Fields filled below this confidence are reported as uncertain
+    static LOW_CONFIDENCE = 0.7;
+
+    // While set, writeValue() collects adapter writes here instead of applying them
+    static recordedWrites = null;
+
+    // Questions adapters left for the user, added to the next fill report
+    static questionNotices = [];
+
+    // Upload widgets that take files dropped on them: Workday's "Select files" and
+    // Greenhouse's "Attach" boxes, and generic dropzones
+    static DROPZONE_SELECTORS = [
+        '[data-automation-id="file-upload-drop-zone"]',
+        '[data-automation-id="attachments-FileUpload"]',
+        '.attach-or-paste',
+        '[class*="dropzone"]',
+        '[class*="drop-zone"]',
+        '[class*="drop_zone"]'
+    ];
+
+    // Name of the file attached to each file input (or its dropzone) by this page's fills
+    static attachedFiles = new WeakMap();
+
+    // Selects whose options are only read when a value is written => function adding them
+    static optionLoaders = new WeakMap();
+
+    // Words up to this length ("yes", "no") only match options starting with the whole word
+    static SHORT_ANSWER_LENGTH = 3;
+
+    // Degree levels, for selects listing levels ("Bachelor's Degree") instead of degrees
+    // ("B.S. in Computer Science"); matched against the degree without dots or apostrophes
+    static DEGREE_LEVELS = [
+        { pattern: /\b(phd|doctorate|doctoral|doctor|dphil|edd)\b/, names: ['Doctorate', 'Doctoral Degree', 'PhD'] },
+        { pattern: /\b(masters?|ms|ma|msc|meng|mba|mfa|mtech)\b/, names: ["Master's Degree", 'Master'] },
+        { pattern: /\b(bachelors?|bs|ba|bsc|beng|bba|bfa|btech)\b/, names: ["Bachelor's Degree", 'Bachelor'] },
+        { pattern: /\b(associates?|aa|aas)\b/, names: ["Associate's Degree", 'Associate'] },
+        { pattern: /\b(high school|secondary school|ged)\b/, names: ['High School', 'High School Diploma'] }
+    ];
+
+    /**
+     * Fill detected fields with resume data
+     * @param {Array} fields - Field objects ({element, category, subcategory, confidence})
+     * @param {Object} resumeData - Stored resume data
+     * @param {Object} options - Fill options ({overwrite, minConfidence, lowConfidence, dryRun})
+     *   With dryRun, nothing is written and fillable fields are reported as 'planned'
+     * @returns {Object} - Fill report with a result per field and status counts
+     */
+    static fillFields(fields, resumeData, options = {}) {
+        const minConfidence = options.minConfidence ?? this.MIN_CONFIDENCE;
+        const lowConfidence = options.lowConfidence ?? this.LOW_CONFIDENCE;
+        const handledGroups = new Set();
+        const results = [];
+
+        fields.forEach(field => {
+            const { element } = field;
+
+            // Radio buttons are reported once per group
+            if (element.type === 'radio') {
+                const groupKey = this.getRadioGroupKey(element);
+                if (handledGroups.has(groupKey)) return;
+                handledGroups.add(groupKey);
+            }
+
+            const result = {
+                element,
+                label: this.getFieldLabel(field),
+                category: field.category,
+                subcategory: field.subcategory,
+                entryIndex: field.entryIndex,
+                confidence: field.confidence,
+                status: 'skipped',
+                value: null,
+                reason: null
+            };
+            results.push(result);
+
+            if (field.category === 'unknown') {
+                result.reason = 'unrecognized';
+                return;
+            }
+
+            if (field.confidence < minConfidence) {
+                result.reason = 'confidence';
+                return;
+            }
+
+            // Never overwrite what is already on the page unless asked to
+            if (!options.overwrite && this.hasValue(element)) {
+                result.reason = 'prefilled';
+                return;
+            }
+
+            const value = this.resolveValue(field, resumeData);
+            const candidates = (Array.isArray(value) ? value : [value])
+                .filter(candidate => candidate !== null && candidate !== undefined && candidate !== '');
+
+            if (candidates.length === 0) {
+                result.reason = 'noValue';
+                return;
+            }
+
+            if (element.type === 'checkbox' && this.isCheckRestricted(element, candidates[0])) {
+                result.reason = 'consentRequired';
+                return;
+            }
+
+            // Generated cover letters are only written once the user reviewed them in the preview
+            if (!options.dryRun && field.category === 'other' && field.subcategory === 'coverLetter' && typeof candidates[0] === 'string') {
+                result.reason = 'previewRequired';
+                return;
+            }
+
+            // Stored attachments are reported by file name, not by their contents
+            result.value = typeof candidates[0] === 'object' ? candidates[0].name : candidates[0];
+
+            if (options.dryRun) {
+                result.status = 'planned';
+                result.candidates = candidates;
+                return;
+            }
+
+            try {
+                if (this.fillElement(element, candidates)) {
+                    result.status = field.confidence < lowConfidence ? 'lowConfidence' : 'filled';
+                } else {
+                    result.status = 'failed';
+                    result.reason = 'noMatchingOption';
+                }
+            } catch (error) {
+                console.warn('Could not fill field:', element, error);
+                result.status = 'failed';
+                result.reason = error.message;
+            }
+        });
+
+        return {
+            results,
+            counts: this.countResults(results)
+        };
+    }
+
+    /**
+     * Count report results by status
+     * @param {Array} results - Fill results
+     * @returns {Object} - Number of results per status
+     */
+    static countResults(results) {
+        const counts = { filled: 0, lowConfidence: 0, skipped: 0, failed: 0 };
+
+        results.forEach(result => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+
+        return counts;
+    }
+
+    /**
+     * Convert a fill report into a form that can be sent through chrome messaging
+     * @param {Object} report - Fill report
+     * @returns {Object} - Report without element references
+     */
+    static serializeReport(report) {
+        return {
+            counts: report.counts,
+            results: report.results.map(({ element, ...result }) => result),
+            unplaced: report.unplaced || []
+        };
+    }
+
+    /**
+     * Write a value on behalf of a site adapter's question handling. While writes are
+     * being recorded (dry-run), the write is collected for preview instead
+     * @param {Element} element - Form element
+     * @param {string|boolean} value - Text or option value; true/false to check a radio button or checkbox
+     * @param {string} subcategory - What the question is about, e.g. 'veteranStatus'
+     * @returns {boolean} - Whether the value was written (or recorded)
+     */
+    static writeValue(element, value, subcategory = 'commonQuestion') {
+        if (element.type === 'checkbox' && this.isCheckRestricted(element, value)) return false;
+
+        if (this.recordedWrites) {
+            this.recordWrite(element, value, subcategory);
+            return true;
+        }
+
+        return this.applyValue(element, value);
+    }
+
+    /**
+     * Apply a raw value written by an adapter
+     * @param {Element} element - Form element
+     * @param {string|boolean} value - Text or option value; true/false for radio buttons and checkboxes
+     * @returns {boolean} - Whether the value was written
+     */
+    static applyValue(element, value) {
+        if (element.type === 'radio') {
+            if (value) this.checkRadio(element);
+            return true;
+        }
+
+        if (element.type === 'checkbox') {
+            return this.fillCheckbox(element, value);
+        }
+
+        this.setNativeValue(element, String(value));
+        this.dispatchEvents(element, ['input', 'change', 'blur']);
+        return element.value === String(value);
+    }
+
+    /**
+     * Run a callback and collect the adapter writes it makes instead of applying them
+     * @param {Function} callback - Code that calls writeValue()
+     * @returns {Array} - Planned results, one per element (or radio group)
+     */
+    static recordWrites(callback) {
+        this.recordedWrites = [];
+
+        try {
+            callback();
+            return this.recordedWrites;
+        } finally {
+            this.recordedWrites = null;
+        }
+    }
+
+    /**
+     * Add an adapter write to the recording, replacing earlier writes to the same element
+     * @param {Element} element - Form element
+     * @param {string|boolean} value - Value passed to writeValue()
+     * @param {string} subcategory - Question subcategory
+     */
+    static recordWrite(element, value, subcategory) {
+        // Checking a radio button replaces any earlier choice in its group
+        const key = element.type === 'radio' ? this.getRadioGroupKey(element) : element;
+        this.recordedWrites = this.recordedWrites.filter(write =>
+            (write.element.type === 'radio' ? this.getRadioGroupKey(write.element) : write.element) !== key
+        );
+
+        // A radio button that is not being checked changes nothing
+        if (element.type === 'radio' && !value) return;
+
+        const formDetector = window.FormDetector || FormDetector;
+        this.recordedWrites.push({
+            element,
+            label: this.getQuestionLabel(element) || this.getFieldLabel({ metadata: formDetector.getFieldMetadata(element) }),
+            category: 'question',
+            subcategory,
+            entryIndex: undefined,
+            confidence: null,
+            status: 'planned',
+            value,
+            candidates: [value],
+            reason: null,
+            raw: true
+        });
+    }
+
+    /**
+     * Report a question an adapter did not answer, so the fill report can point the user to it
+     * @param {Element} element - Form element (any radio button of a group)
+     * @param {string} subcategory - What the question is about, e.g. 'disability'
+     * @param {string} reason - Why it was left, e.g. 'manualEntry'
+     */
+    static reportQuestion(element, subcategory, reason) {
+        const formDetector = window.FormDetector || FormDetector;
+        const key = element.type === 'radio' ? this.getRadioGroupKey(element) : element;
+        if (this.questionNotices.some(notice => (notice.element.type === 'radio' ? this.getRadioGroupKey(notice.element) : notice.element) === key)) return;
+
+        this.questionNotices.push({
+            element,
+            label: this.getQuestionText(element) || this.getFieldLabel({ metadata: formDetector.getFieldMetadata(element) }),
+            category: 'question',
+            subcategory,
+            entryIndex: undefined,
+            confidence: null,
+            status: 'skipped',
+            value: null,
+            reason
+        });
+    }
+
+    /**
+     * Take the questions reported since the last call
+     * @returns {Array} - Skipped results, one per question
+     */
+    static takeQuestionNotices() {
+        const notices = this.questionNotices;
+        this.questionNotices = [];
+        return notices;
+    }
+
+    /**
+     * Apply a planned result, optionally with a value the user edited
+     * @param {Object} result - Planned result from a dry-run
+     * @param {string} [editedValue] - Replacement value
+     * @returns {boolean} - Whether the value was written
+     */
+    static applyPlanned(result, editedValue) {
+        if (editedValue !== undefined) {
+            return this.fillElement(result.element, editedValue);
+        }
+
+        // Adapter writes hold raw option values; resume values are matched against the options
+        return result.raw
+            ? this.applyValue(result.element, result.value)
+            : this.fillElement(result.element, result.candidates);
+    }
+
+    /**
+     * Describe the value an element currently holds
+     * @param {Element} element - Form element
+     * @returns {string} - Display text
+     */
+    static describeCurrentValue(element) {
+        if (element.type === 'radio') {
+            const checked = this.getRadioGroup(element).find(radio => radio.checked);
+            return checked ? this.getOptionLabel(checked) : '';
+        }
+
+        if (element.type === 'checkbox') {
+            return element.checked ? 'Checked' : 'Unchecked';
+        }
+
+        if (element.type === 'file') {
+            return element.files && element.files.length > 0 ? element.files[0].name : '';
+        }
+
+        if (element.tagName === 'SELECT') {
+            const selected = element.options[element.selectedIndex];
+            return selected && selected.value !== '' ? selected.text.trim() : '';
+        }
+
+        return element.value || '';
+    }
+
+    /**
+     * Describe the value a planned result would write
+     * @param {Object} result - Planned result
+     * @returns {string} - Display text
+     */
+    static describePlannedValue(result) {
+        const { element, value } = result;
+
+        if (element.type === 'radio') {
+            return result.raw ? this.getOptionLabel(element) : String(value);
+        }
+
+        if (element.type === 'checkbox') {
+            return this.toBoolean(value) ? 'Checked' : 'Unchecked';
+        }
+
+        if (element.tagName === 'SELECT') {
+            const options = Array.from(element.options);
+            const option = result.raw
+                ? options.find(candidate => candidate.value === String(value))
+                : result.candidates.map(candidate => this.matchOption(options, String(candidate))).find(Boolean);
+            return option ? option.text.trim() : String(value);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Find the profile attribute whose resume value matches what a field currently holds
+     * @param {Object} field - Field object ({element, metadata, entryIndex})
+     * @param {Object} resumeData - Stored resume data
+     * @param {Object} attributes - Candidate attributes: {category: {subcategories: {subcategory: label}}}
+     * @returns {Object|null} - {category, subcategory} of the first match, or null
+     */
+    static matchAttribute(field, resumeData, attributes) {
+        const { element } = field;
+        if (element.type === 'checkbox') return null;
+
+        // Compare without spacing or punctuation, so "5551234567" matches "(555) 123-4567"
+        const compact = text => this.normalizeText(text).replace(/[\s.]/g, '');
+        const currentTexts = [this.describeCurrentValue(element), element.tagName === 'SELECT' ? element.value : '']
+            .map(compact)
+            .filter(Boolean);
+        if (currentTexts.length === 0) return null;
+
+        for (const [category, { subcategories }] of Object.entries(attributes)) {
+            for (const subcategory of Object.keys(subcategories)) {
+                const value = this.resolveValue({ ...field, category, subcategory }, resumeData);
+                const candidates = (Array.isArray(value) ? value : [value])
+                    .filter(candidate => typeof candidate === 'string' && candidate !== '');
+
+                if (candidates.some(candidate => currentTexts.includes(compact(candidate)))) {
+                    return { category, subcategory };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the question a radio button or checkbox answers, from its group's legend or wrapper label
+     * @param {Element} element - Form element
+     * @returns {string} - Question text, or empty if not found
+     */
+    static getQuestionLabel(element) {
+        if (element.type !== 'radio' && element.type !== 'checkbox') return '';
+
+        const fieldset = element.closest('fieldset');
+        const legend = fieldset && fieldset.querySelector('legend');
+        if (legend) return legend.textContent.trim();
+
+        const group = element.closest('[role="radiogroup"], [role="group"]');
+        if (group && group.getAttribute('aria-label')) return group.getAttribute('aria-label');
+
+        return element.type === 'checkbox' ? this.getOptionLabel(element) : '';
+    }
+
+    /**
+     * Get the question an element answers, for matching it against stored answers
+     * @param {Element} element - Form element
+     * @returns {string} - Question text
+     */
+    static getQuestionText(element) {
+        if (element.type === 'radio') {
+            const legend = this.getQuestionLabel(element);
+            if (legend) return legend;
+
+            // The closest container holding the whole group carries the question
+            const group = this.getRadioGroup(element);
+            let container = element.parentElement;
+            while (container && !group.every(radio => container.contains(radio))) {
+                container = container.parentElement;
+            }
+            return container ? container.textContent.replace(/\s+/g, ' ').trim() : '';
+        }
+
+        if (element.type === 'checkbox') {
+            return this.getQuestionLabel(element);
+        }
+
+        const formDetector = window.FormDetector || FormDetector;
+        const metadata = formDetector.getFieldMetadata(element);
+        return metadata.labelText || metadata.ariaLabel || metadata.placeholder || '';
+    }
+
+    /**
+     * Resolve the value for a field from the resume data
+     * @param {Object} field - Field object
+     * @param {Object} resumeData - Stored resume data
+     * @returns {string|boolean|Array|null} - Value to fill, a list of alternatives
+     *   for option matching, or null if none is known
+     */
+    static resolveValue(field, resumeData) {
+        if (!resumeData) return null;
+
+        const { category, subcategory } = field;
+
+        // Upload fields only take the stored resume or cover letter, or a letter rendered from
+        // a template that fillElement() turns into a file
+        if (field.element && field.element.type === 'file') {
+            if (category !== 'other' || (subcategory !== 'resume' && subcategory !== 'coverLetter')) return null;
+
+            const documentStore = window.DocumentStore || DocumentStore;
+            const coverLetterTemplate = window.CoverLetterTemplate || CoverLetterTemplate;
+            const storedDocument = documentStore.getDocument(subcategory);
+            if (storedDocument || subcategory === 'resume') return storedDocument;
+            return coverLetterTemplate.renderForPage(resumeData);
+        }
+
+        const personalInfo = resumeData.personalInfo || {};
+        const education = resumeData.education || [];
+        const experience = resumeData.experience || [];
+
+        switch (category) {
+            case 'personal':
+                return this.resolvePersonalValue(subcategory, personalInfo, field.element);
+
+            case 'education': {
+                // Fields inside a repeatable sub-form belong to that entry, others to the first
+                const entry = education[field.entryIndex || 0];
+                if (!entry) return null;
+
+                if (subcategory === 'graduationDate') {
+                    return this.formatDatePart(entry.endDate, field);
+                }
+                if (subcategory === 'startDate' || subcategory === 'endDate') {
+                    return this.formatDatePart(entry[subcategory], field);
+                }
+                if (subcategory === 'degree' && entry.degree && field.element && field.element.tagName === 'SELECT') {
+                    return [entry.degree, ...this.getDegreeLevelNames(entry.degree)];
+                }
+                return entry[subcategory] || null;
+            }
+
+            case 'experience': {
+                const entry = experience[field.entryIndex || 0];
+                if (!entry) return null;
+
+                if (subcategory === 'currentJob') {
+                    return this.isCurrentDate(entry.endDate);
+                }
+                if (subcategory === 'endDate' && this.isCurrentDate(entry.endDate) && field.element.type !== 'text') {
+                    // Date pickers cannot say "Present"; the current job checkbox covers it
+                    return null;
+                }
+                if (subcategory === 'startDate' || subcategory === 'endDate') {
+                    return this.formatDatePart(entry[subcategory], field);
+                }
+                return entry[subcategory] || null;
+            }
+
+            case 'skills': {
+                const values = resumeData[subcategory];
+                if (Array.isArray(values)) {
+                    return values.length > 0 ? values.join(', ') : null;
+                }
+                return values || null;
+            }
+
+            case 'other':
+                if (['linkedin', 'website', 'github', 'twitter'].includes(subcategory)) {
+                    return personalInfo[subcategory] || null;
+                }
+                if (subcategory === 'citizenship') {
+                    const workAuthorization = window.WorkAuthorization || WorkAuthorization;
+                    return workAuthorization.resolveAnswer(field.element, resumeData);
+                }
+                if (subcategory === 'coverLetter' && field.element && field.element.tagName === 'TEXTAREA') {
+                    const coverLetterTemplate = window.CoverLetterTemplate || CoverLetterTemplate;
+                    return coverLetterTemplate.renderForPage(resumeData);
+                }
+                return null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the level names a degree may be listed under in a select
+     * @param {string} degree - Degree such as "B.S. in Computer Science"
+     * @returns {Array} - Level names such as ["Bachelor's Degree", "Bachelor"], or [] if the
+     *   level is not recognized
+     */
+    static getDegreeLevelNames(degree) {
+        const text = degree.toLowerCase().replace(/[.'’]/g, '');
+        const level = this.DEGREE_LEVELS.find(({ pattern }) => pattern.test(text));
+        return level ? level.names : [];
+    }
+
+    /**
+     * Resolve a personal information value
+     * @param {string} subcategory - Field subcategory
+     * @param {Object} personalInfo - Personal information from the resume
+     * @param {Element} element - Field element, used to pick the right format
+     * @returns {string|Array|null} - Value to fill
+     */
+    static resolvePersonalValue(subcategory, personalInfo, element) {
+        const profile = ProfileNormalizer.normalizePersonalInfo(personalInfo);
+        const isSelect = !!element && element.tagName === 'SELECT';
+
+        switch (subcategory) {
+            case 'name':
+                return profile.fullName || null;
+            case 'middleName':
+                // Single-character boxes want the middle initial
+                return element && element.maxLength === 1 ? profile.middleInitial : profile.middleName;
+            case 'address':
+                // A multi-line box takes the whole address, a single line only the street
+                if (element && element.tagName === 'TEXTAREA') return personalInfo.address || null;
+                return profile.street || personalInfo.address || null;
+            case 'state':
+                return isSelect
+                    ? [ProfileNormalizer.getStateName(profile.state), profile.stateCode]
+                    : profile.state;
+            case 'country':
+                return isSelect ? [profile.country, profile.countryCode] : profile.country;
+            case 'phone':
+                return this.formatPhone(profile, element);
+            case 'phoneCountryCode':
+                if (!profile.phoneCountryCode) return null;
+                return isSelect
+                    ? [`+${profile.phoneCountryCode}`, profile.country, profile.phoneCountryCode]
+                    : `+${profile.phoneCountryCode}`;
+            case 'phoneAreaCode':
+                return profile.phoneAreaCode || null;
+            default:
+                return profile[subcategory] || null;
+        }
+    }
+
+    /**
+     * Pick the phone number format that fits a field
+     * @param {Object} profile - Normalized personal information
+     * @param {Element} element - Phone field
+     * @returns {string|null} - Phone number
+     */
+    static formatPhone(profile, element) {
+        if (!profile.phoneE164) return profile.phone || null;
+
+        // Domestic numbers are entered in national format, foreign ones in E.164
+        const preferred = profile.phoneCountryCode === '1' ? profile.phoneNational : profile.phoneE164;
+
+        // Short boxes only fit the bare digits
+        if (element && element.maxLength > 0 && element.maxLength < preferred.length) {
+            const nationalDigits = profile.phoneNational.replace(/\D/g, '');
+            return element.maxLength >= nationalDigits.length ? nationalDigits : null;
+        }
+
+        return preferred;
+    }
+
+    /**
+     * Reduce a date to the part a split date field asks for, or write it in the format a
+     * date picker expects
+     * @param {string} date - Resume date text
+     * @param {Object} field - Field object; metadata.datePart may be 'month' or 'year', and
+     *   metadata.dateFormat a pattern like 'MM/DD/YYYY' or 'MM/YYYY'
+     * @returns {string|Array|null} - Date, month or year
+     */
+    static formatDatePart(date, field) {
+        if (!date) return null;
+
+        const datePart = field.metadata && field.metadata.datePart;
+        const dateFormat = field.metadata && field.metadata.dateFormat;
+        if (!datePart && !dateFormat) return date;
+
+        // A formatted date cannot say "Present"; the current job checkbox covers it
+        if (dateFormat && this.isCurrentDate(date)) return null;
+
+        const parsed = this.parseDate(date);
+        if (!parsed) return null;
+
+        if (dateFormat) {
+            return this.formatDate(parsed, dateFormat);
+        }
+
+        if (datePart === 'year') {
+            return parsed.year;
+        }
+
+        // Month pickers show either numbers or names
+        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'];
+        const monthIndex = parseInt(parsed.month, 10) - 1;
+        return [parsed.month, monthNames[monthIndex], String(monthIndex + 1)];
+    }
+
+    /**
+     * Write a parsed date in a format like 'MM/DD/YYYY', 'DD.MM.YYYY' or 'MMM YYYY'. Resume
+     * dates have no day, so the first of the month is used
+     * @param {Object} parsed - {year, month} from parseDate()
+     * @param {string} format - Date format
+     * @returns {string} - Formatted date
+     */
+    static formatDate(parsed, format) {
+        const monthIndex = parseInt(parsed.month, 10) - 1;
+        const shortMonthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const tokens = {
+            YYYY: parsed.year,
+            YY: parsed.year.slice(2),
+            MMM: shortMonthNames[monthIndex],
+            MM: parsed.month,
+            M: String(monthIndex + 1),
+            DD: '01',
+            D: '1'
+        };
+
+        return format.toUpperCase().replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => tokens[token]);
+    }
+
+    /**
+     * Check whether a resume date means "still ongoing"
+     * @param {string} date - Date text
+     * @returns {boolean} - Whether the date is a present marker
+     */
+    static isCurrentDate(date) {
+        return /^(present|current|now)$/i.test((date || '').trim());
+    }
+
+    /**
+     * Write a value into a form element
+     * @param {Element} element - Form element
+     * @param {string|boolean|Array} value - Value to write, or alternatives to try in order
+     * @returns {boolean} - Whether the value was written
+     */
+    static fillElement(element, value) {
+        const candidates = Array.isArray(value) ? value : [value];
+
+        if (element.tagName === 'SELECT') {
+            return candidates.some(candidate => this.fillSelect(element, candidate));
+        }
+
+        if (element.type === 'checkbox') {
+            return this.fillCheckbox(element, candidates[0]);
+        }
+
+        if (element.type === 'radio') {
+            return candidates.some(candidate => this.fillRadioGroup(element, candidate));
+        }
+
+        // Text for an upload field is a cover letter to attach as a generated file
+        if (element.type === 'file') {
+            const coverLetterTemplate = window.CoverLetterTemplate || CoverLetterTemplate;
+            const storedDocument = typeof candidates[0] === 'object'
+                ? candidates[0]
+                : coverLetterTemplate.createDocument(String(candidates[0]), element);
+            return this.attachFile(element, storedDocument);
+        }
+
+        value = candidates[0];
+        const formattedValue = this.formatValueForInput(element, value);
+        if (formattedValue === null) return false;
+
+        this.setNativeValue(element, formattedValue);
+        this.dispatchEvents(element, ['input', 'change', 'blur']);
+        return true;
+    }
+
+    /**
+     * Set an element's value through the native setter so frameworks that
+     * track the value property notice the change
+     * @param {Element} element - Input or textarea element
+     * @param {string} value - Value to set
+     */
+    static setNativeValue(element, value) {
+        const prototype = element.tagName === 'TEXTAREA'
+            ? HTMLTextAreaElement.prototype
+            : element.tagName === 'SELECT'
+                ? HTMLSelectElement.prototype
+                : HTMLInputElement.prototype;
+
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+
+        if (descriptor && descriptor.set) {
+            descriptor.set.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+
+    /**
+     * Dispatch a series of bubbling events on an element
+     * @param {Element} element - Target element
+     * @param {Array} eventNames - Event names to dispatch in order
+     */
+    static dispatchEvents(element, eventNames) {
+        eventNames.forEach(eventName => {
+            const EventType = eventName === 'blur' || eventName === 'focus' ? FocusEvent : Event;
+            element.dispatchEvent(new EventType(eventName, { bubbles: true }));
+        });
+    }
+
+    /**
+     * Select the option that best matches a value
+     * @param {Element} select - Select element
+     * @param {string} value - Desired value
+     * @returns {boolean} - Whether an option was selected
+     */
+    static fillSelect(select, value) {
+        this.loadOptions(select);
+
+        const option = this.matchOption(Array.from(select.options), String(value));
+        if (!option) return false;
+
+        this.setNativeValue(select, option.value);
+        option.selected = true;
+        this.dispatchEvents(select, ['input', 'change', 'blur']);
+        return true;
+    }
+
+    /**
+     * Read the options of a select that loads them on demand, once
+     * @param {Element} select - Select element
+     */
+    static loadOptions(select) {
+        const loader = this.optionLoaders.get(select);
+        if (!loader) return;
+
+        this.optionLoaders.delete(select);
+        loader();
+    }
+
+    /**
+     * Find the option whose text or value best matches a value
+     * @param {Array} options - Option elements
+     * @param {string} value - Desired value
+     * @returns {Element|null} - Matching option
+     */
+    static matchOption(options, value) {
+        const target = this.normalizeText(value);
+        if (!target) return null;
+
+        // Ignore placeholder options like "Select..." with an empty value
+        const candidates = options.filter(option => option.value !== '' && !option.disabled);
+
+        const exact = candidates.find(option =>
+            this.normalizeText(option.text) === target ||
+            this.normalizeText(option.value) === target
+        );
+        if (exact) return exact;
+
+        // Short answers like "No" only match options starting with the whole word ("No, I do
+        // not"), or a one-letter option ("N"), so they never pick "Not a veteran"
+        if (target.length <= this.SHORT_ANSWER_LENGTH && /^[a-z ]+$/.test(target)) {
+            const prefix = new RegExp(`^${target}(?:$|[\\s.])`);
+
+            return candidates.find(option => {
+                const text = this.normalizeText(option.text);
+                return prefix.test(text) || (text.length === 1 && !target.includes(' ') && target.startsWith(text));
+            }) || null;
+        }
+
+        const startsWith = candidates.find(option => {
+            const text = this.normalizeText(option.text);
+            return text.startsWith(target) || target.startsWith(text);
+        });
+        if (startsWith) return startsWith;
+
+        return candidates.find(option => {
+            const text = this.normalizeText(option.text);
+            return text.length > 1 && (text.includes(target) || target.includes(text));
+        }) || null;
+    }
+
+    /**
+     * Check or uncheck a checkbox
+     * @param {Element} checkbox - Checkbox element
+     * @param {string|boolean} value - Desired state
+     * @returns {boolean} - Whether the checkbox is in the desired state
+     */
+    static fillCheckbox(checkbox, value) {
+        const shouldCheck = this.toBoolean(value);
+        if (this.isCheckRestricted(checkbox, shouldCheck)) return false;
+
+        if (checkbox.checked !== shouldCheck) {
+            // A real click keeps framework state in sync with the DOM
+            checkbox.click();
+        }
+
+        if (checkbox.checked !== shouldCheck) {
+            checkbox.checked = shouldCheck;
+            this.dispatchEvents(checkbox, ['input', 'change']);
+        }
+
+        return true;
+    }
+
+    /**
+     * Attach a stored document to an upload field. The file is set on the input through a
+     * DataTransfer; widgets whose input does not take it get the file dropped on their dropzone
+     * @param {Element} input - File input
+     * @param {Object} storedDocument - Document from DocumentStore
+     * @returns {boolean} - Whether the file was attached
+     */
+    static attachFile(input, storedDocument) {
+        const documentStore = window.DocumentStore || DocumentStore;
+        const file = documentStore.toFile(storedDocument);
+        const transfer = new DataTransfer();
+        transfer.items.add(file);
+
+        try {
+            input.files = transfer.files;
+        } catch (error) {
+            console.warn('Upload field did not take the file:', input, error);
+        }
+
+        if (input.files && input.files.length > 0 && input.files[0].name === file.name) {
+            this.dispatchEvents(input, ['input', 'change']);
+            this.attachedFiles.set(input, file.name);
+            return true;
+        }
+
+        const dropzone = this.findDropzone(input);
+        if (!dropzone) return false;
+
+        ['dragenter', 'dragover', 'drop'].forEach(eventName => {
+            dropzone.dispatchEvent(new DragEvent(eventName, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+        });
+        this.attachedFiles.set(input, file.name);
+        return true;
+    }
+
+    /**
+     * Find the dropzone an upload field belongs to
+     * @param {Element} input - File input
+     * @returns {Element|null} - Dropzone element
+     */
+    static findDropzone(input) {
+        const selector = this.DROPZONE_SELECTORS.join(', ');
+        const dropzone = input.closest(selector);
+        if (dropzone) return dropzone;
+
+        // Some widgets keep the input next to the dropzone rather than inside it
+        return input.parentElement ? input.parentElement.querySelector(selector) : null;
+    }
+
+    /**
+     * Check if checking a checkbox needs a consent opt-in the user has not given
+     * @param {Element} checkbox - Checkbox element
+     * @param {string|boolean} value - Desired state
+     * @returns {boolean} - Whether the checkbox must be left unchecked
+     */
+    static isCheckRestricted(checkbox, value) {
+        if (checkbox.checked || !this.toBoolean(value)) return false;
+
+        const consentPolicy = window.ConsentPolicy || ConsentPolicy;
+        return consentPolicy.isRestricted(checkbox);
+    }
+
+    /**
+     * Pick the radio button in a group whose label matches a value
+     * @param {Element} radio - Any radio button in the group
+     * @param {string|boolean} value - Desired answer
+     * @returns {boolean} - Whether a radio button was selected
+     */
+    static fillRadioGroup(radio, value) {
+        const radios = this.getRadioGroup(radio);
+        const desired = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+
+        const options = radios.map(input => ({
+            input,
+            text: this.getOptionLabel(input),
+            value: input.value
+        }));
+
+        const match = this.matchOption(options, desired);
+        if (!match) return false;
+
+        this.checkRadio(match.input);
+        return true;
+    }
+
+    /**
+     * Select a radio button
+     * @param {Element} radio - Radio button to select
+     */
+    static checkRadio(radio) {
+        if (!radio.checked) {
+            radio.click();
+        }
+
+        if (!radio.checked) {
+            radio.checked = true;
+            this.dispatchEvents(radio, ['input', 'change']);
+        }
+    }
+
+    /**
+     * Get all radio buttons in the same group as a radio button
+     * @param {Element} radio - Radio button
+     * @returns {Array} - Radio buttons in the group
+     */
+    static getRadioGroup(radio) {
+        if (!radio.name) return [radio];
+
+        // A radio button inside a shadow root has no form, and its group shares the root
+        const root = radio.form || radio.getRootNode();
+        return Array.from(root.querySelectorAll('input[type="radio"]'))
+            .filter(input => input.name === radio.name);
+    }
+
+    /**
+     * Get a key that identifies a radio button's group
+     * @param {Element} radio - Radio button
+     * @returns {*} - Group key
+     */
+    static getRadioGroupKey(radio) {
+        return radio.name ? `${radio.form ? radio.form.id : ''}:${radio.name}` : radio;
+    }
+
+    /**
+     * Get the visible label of a radio button or checkbox
+     * @param {Element} input - Input element
+     * @returns {string} - Label text
+     */
+    static getOptionLabel(input) {
+        if (input.id) {
+            const label = input.getRootNode().querySelector(`label[for="${CSS.escape(input.id)}"]`);
+            if (label) return label.textContent.trim();
+        }
+
+        const parentLabel = input.closest('label');
+        if (parentLabel) return parentLabel.textContent.trim();
+
+        const ariaLabel = input.getAttribute('aria-label');
+        if (ariaLabel) return ariaLabel;
+
+        const nextSibling = input.nextSibling;
+        if (nextSibling && nextSibling.textContent) return nextSibling.textContent.trim();
+
+        return input.value || '';
+    }
+
+    /**
+     * Get a human readable label for a field, used in reports
+     * @param {Object} field - Field object
+     * @returns {string} - Label text
+     */
+    static getFieldLabel(field) {
+        const metadata = field.metadata || {};
+        return (
+            metadata.labelText ||
+            metadata.ariaLabel ||
+            metadata.placeholder ||
+            metadata.name ||
+            metadata.id ||
+            ''
+        ).trim();
+    }
+
+    /**
+     * Format a value for the element's input type
+     * @param {Element} element - Input element
+     * @param {string} value - Raw value
+     * @returns {string|null} - Formatted value or null if it cannot be represented
+     */
+    static formatValueForInput(element, value) {
+        const text = String(value);
+
+        switch (element.type) {
+            case 'date': {
+                const date = this.parseDate(text);
+                return date ? `${date.year}-${date.month}-01` : null;
+            }
+            case 'month': {
+                const date = this.parseDate(text);
+                return date ? `${date.year}-${date.month}` : null;
+            }
+            case 'number': {
+                const number = text.match(/-?\d+(\.\d+)?/);
+                return number ? number[0] : null;
+            }
+            default:
+                return element.maxLength > 0 ? text.slice(0, element.maxLength) : text;
+        }
+    }
+
+    /**
+     * Parse resume date text like "Jan 2020", "01/2020" or "2020"
+     * @param {string} text - Date text
+     * @returns {Object|null} - {year, month} with zero-padded month
+     */
+    static parseDate(text) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+        if (this.isCurrentDate(text)) {
+            const now = new Date();
+            return { year: String(now.getFullYear()), month: String(now.getMonth() + 1).padStart(2, '0') };
+        }
+
+        const isoMatch = text.match(/(\d{4})-(\d{1,2})/);
+        if (isoMatch) {
+            return { year: isoMatch[1], month: isoMatch[2].padStart(2, '0') };
+        }
+
+        const numericMatch = text.match(/(\d{1,2})\/(?:\d{1,2}\/)?(\d{4})/);
+        if (numericMatch) {
+            return { year: numericMatch[2], month: numericMatch[1].padStart(2, '0') };
+        }
+
+        const yearMatch = text.match(/\b(19|20)\d{2}\b/);
+        if (!yearMatch) return null;
+
+        const monthMatch = text.toLowerCase().match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/);
+        const month = monthMatch ? months.indexOf(monthMatch[1]) + 1 : 1;
+
+        return { year: yearMatch[0], month: String(month).padStart(2, '0') };
+    }
+
+    /**
+     * Check whether an element already holds a value
+     * @param {Element} element - Form element
+     * @returns {boolean} - Whether the element has a value
+     */
+    static hasValue(element) {
+        if (element.type === 'radio') {
+            return this.getRadioGroup(element).some(radio => radio.checked);
+        }
+
+        if (element.type === 'checkbox') {
+            return element.checked;
+        }
+
+        // Dropzone widgets upload the file without keeping it in their input
+        if (element.type === 'file') {
+            return (element.files && element.files.length > 0) || this.attachedFiles.has(element);
+        }
+
+        if (element.tagName === 'SELECT') {
+            const selected = element.options[element.selectedIndex];
+            return !!selected && selected.value !== '' && element.selectedIndex > 0;
+        }
+
+        return !!(element.value && element.value.trim());
+    }
+
+    /**
+     * Interpret a value as a yes/no answer
+     * @param {string|boolean} value - Value
+     * @returns {boolean} - Boolean interpretation
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        return /^(true|yes|y|1|on|checked)$/i.test(String(value).trim());
+    }
+
+    /**
+     * Normalize text for comparisons
+     * @param {string} text - Text to normalize
+     * @returns {string} - Lowercased text without punctuation or extra whitespace
+     */
+    static normalizeText(text) {
+        return (text || '')
+            .toString()
+            .toLowerCase()
+            .replace(/[^a-z0-9+@.\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoFiller;
+}
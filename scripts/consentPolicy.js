@@ -0,0 +1,169 @@
+/**
+ * Consent Policy Module
+ *
+ * Decides which checkboxes JobFill may check on the user's behalf. Checkboxes are classified
+ * as consent (privacy policy, terms, data processing), attestation ("I certify the above is
+ * true"), marketing opt-in (newsletters, talent community) or informational (anything else).
+ * Consent, attestation and marketing boxes are never checked unless the user opted in to the
+ * category, everywhere or on the current site; otherwise they are listed in the fill report.
+ *
+ * Storage key:
+ *   consentPolicy - {categories: {consent, attestation, marketing}, sites: [{pattern, categories: []}]}
+ *   where categories holds true for the categories checked on every site
+ */
+
+class ConsentPolicy {
+    static STORAGE_KEY = 'consentPolicy';
+
+    // Categories that need an opt-in, checked in this order so a marketing or attestation box
+    // that also says "I agree" gets the more specific category
+    static CATEGORIES = {
+        attestation: {
+            label: 'Attestations',
+            description: '"I certify the information above is true"',
+            pattern: /certify|attest|hereby (confirm|declare)|true,? (complete|correct|and (complete|correct|accurate))|complete and accurate|accurate and complete|to the best of my knowledge|penalty of perjury|(false|misleading) (information|statements?)|misrepresentation/
+        },
+        marketing: {
+            label: 'Marketing opt-ins',
+            description: 'newsletters, job alerts, talent community',
+            pattern: /newsletter|marketing|promotional|job alerts?|talent (community|network|pool)|future (job )?(opportunities|openings|roles|positions|jobs|vacancies)|keep me (informed|updated|in mind)|subscribe|text messages?|\bsms\b|updates (about|on|from)|news and|events and/
+        },
+        consent: {
+            label: 'Consent',
+            description: 'privacy policy, terms, data processing',
+            pattern: /consent|agree|terms|privacy|policy|gdpr|data (processing|protection|retention)|process(ing)? (of )?my (personal )?(data|information)|(retain|store|share) my|acknowledge|background check|authori[sz]e (you|the company|[\w\s]+ to (contact|verify|conduct|obtain|share))/
+        }
+    };
+
+    static DEFAULT_SETTINGS = {
+        categories: { consent: false, attestation: false, marketing: false },
+        sites: []
+    };
+
+    static settings = { categories: {}, sites: [] };
+
+    /**
+     * Load the policy
+     * @param {Function} callback - Receives the settings
+     */
+    static load(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const stored = data[this.STORAGE_KEY] || {};
+            this.settings = {
+                categories: { ...this.DEFAULT_SETTINGS.categories, ...stored.categories },
+                sites: stored.sites || []
+            };
+            if (callback) callback(this.settings);
+        });
+    }
+
+    /**
+     * Save the policy
+     * @param {Object} settings - {categories, sites}
+     * @param {Function} [callback] - Called when saved
+     * @throws {Error} - If the settings or a site opt-in are invalid
+     */
+    static save(settings, callback) {
+        const error = this.validateSettings(settings);
+        if (error) throw new Error(error);
+
+        this.settings = settings;
+        chrome.storage.local.set({ [this.STORAGE_KEY]: settings }, callback);
+    }
+
+    /**
+     * Check settings for problems, such as a policy read from a backup file
+     * @param {Object} settings - {categories, sites}
+     * @returns {string|null} - Problem description, or null if the settings are valid
+     */
+    static validateSettings(settings) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(settings)) return 'the consent policy must be an object';
+
+        if (!isObject(settings.categories)) return 'categories must be an object';
+        const notBoolean = Object.keys(this.CATEGORIES).find(category =>
+            settings.categories[category] !== undefined && typeof settings.categories[category] !== 'boolean');
+        if (notBoolean) return `categories.${notBoolean} must be true or false`;
+
+        if (!Array.isArray(settings.sites)) return 'sites must be a list';
+        for (const site of settings.sites) {
+            if (!isObject(site) || typeof site.pattern !== 'string' || !site.pattern.trim()) {
+                return 'A site opt-in has no site pattern';
+            }
+            if (!Array.isArray(site.categories) || !site.categories.some(category => this.CATEGORIES[category])) {
+                return `No category is chosen for ${site.pattern}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Classify a checkbox
+     * @param {Element} checkbox - Checkbox
+     * @returns {string} - 'consent', 'attestation', 'marketing' or 'informational'
+     */
+    static classify(checkbox) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        // The group's legend and the box's own label together say what is being agreed to
+        const text = [autoFiller.getQuestionLabel(checkbox), autoFiller.getOptionLabel(checkbox)]
+            .join(' ')
+            .toLowerCase()
+            .replace(/\s+/g, ' ');
+
+        const category = Object.keys(this.CATEGORIES).find(key => this.CATEGORIES[key].pattern.test(text));
+        return category || 'informational';
+    }
+
+    /**
+     * Check if the user opted in to checking a category on a page
+     * @param {string} category - Checkbox category
+     * @param {string} [url] - Page URL
+     * @returns {boolean} - Whether boxes of the category may be checked
+     */
+    static isAllowed(category, url = window.location.href) {
+        if (!this.CATEGORIES[category]) return true;
+        if (this.settings.categories[category]) return true;
+
+        const profileStore = window.ProfileStore || ProfileStore;
+        return this.settings.sites.some(site =>
+            site.categories.includes(category) && profileStore.matchesPattern(site.pattern, url));
+    }
+
+    /**
+     * Check if checking a checkbox needs an opt-in the user has not given
+     * @param {Element} checkbox - Checkbox
+     * @returns {boolean} - Whether the checkbox must be left for the user
+     */
+    static isRestricted(checkbox) {
+        return !this.isAllowed(this.classify(checkbox));
+    }
+
+    /**
+     * Check the unchecked consent, attestation and marketing boxes the user opted in to, and
+     * report the others so the fill report lists them
+     * @param {Element|Document} [root] - Where to look for checkboxes
+     */
+    static reviewCheckboxes(root = document) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        root.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            if (checkbox.disabled || checkbox.checked) return;
+
+            const category = this.classify(checkbox);
+            if (category === 'informational') return;
+
+            if (this.isAllowed(category)) {
+                autoFiller.writeValue(checkbox, true, category);
+            } else {
+                autoFiller.reportQuestion(checkbox, category, 'consentRequired');
+            }
+        });
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentPolicy;
+}
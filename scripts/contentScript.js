@@ -1,51 +1,106 @@
 // Global Variables
 let resumeData = null;
+let activeProfile = null;
 let autofillEnabled = true;
 let highlightUncertain = true;
+let lastFillReport = null;
 
 // Inititalize when the content script loads
 (function() {
     console.log('JobFill content script loaded');
 
     //Check if we're on a job application page
-    if(isJobApplicationPage()) {
-        //Load resume data from storage
-        chrome.storage.local.get(['resumeData', 'autofillEnabled', 'highlightUncertain'], function(data)
+    if(!isReadByParentFrame() && isJobApplicationPage()) {
+        //Load settings and the profile for this site from storage
+        chrome.storage.local.get(['autofillEnabled', 'highlightUncertain'], function(data)
         {
-            resumeData = data.resumeData;
             autofillEnabled = data.autofillEnabled !== false;
             highlightUncertain = data.highlightUncertain !== false;
 
-            if(resumeData && autofillEnabled) {
-                //Add a small delay to ensure the page is fully loaded
-                setTimeout(() => {
-                    detectAndFillForm();
-                },1000);
-            }
+            loadStoredData(function() {
+                if(resumeData && autofillEnabled) {
+                    //Add a small delay to ensure the page is fully loaded
+                    setTimeout(() => {
+                        detectAndFillForm();
+                    },1000);
+                }
+            });
         });
         setupFormObserver();
+        SubmissionDetector.start(describeApplication, recordApplication);
     }
 })();
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+    // The parent frame's content script answers for this frame
+    if(isReadByParentFrame()) return false;
+
     if(request.action === 'fillForm') {
         highlightUncertain = request.highlightUncertain;
 
-        if(!resumeData) {
-            chrome.storage.local.get('resumeData', function(data) {
-                resumeData = data.resumeData;
-                detectAndFillForm();
-            });
+        const respond = report => sendResponse({ success : !!report, report });
 
-        }else {
-            detectAndFillForm();
-        }
-        sendResponse({ success : true});
+        // Reload so a profile switched in the popup takes effect
+        loadStoredData(function() {
+            detectAndFillForm(true).then(respond);
+        });
+    } else if(request.action === 'previewFill') {
+        loadStoredData(function() {
+            previewFill().then(preview => sendResponse({ success : !!preview, ...preview }));
+        });
+    } else if(request.action === 'nextPage') {
+        sendResponse({ success : AdapterRegistry.getAdapter().navigateToNextPage() });
+    } else if(request.action === 'extractJobPosting') {
+        const posting = AdapterRegistry.getAdapter().getJobPosting();
+        sendResponse({ success : !!posting.title, posting });
     }
     return true;
 });
 
+// Load the resume data, this site's saved field mappings, the answer bank, the
+// self-identification preferences and the consent policy
+function loadStoredData(callback) {
+    loadResumeData(function() {
+        FieldMappingStore.load(window.location.hostname, function() {
+            AnswerBank.load(function() {
+                SelfIdentification.load(function() {
+                    ConsentPolicy.load(function() {
+                        callback();
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Load the resume data and documents of the profile bound to this page, or of the active profile
+function loadResumeData(callback) {
+    ProfileStore.getProfileForUrl(window.location.href, function(profile) {
+        activeProfile = profile;
+        resumeData = profile ? profile.resumeData : null;
+        if(profile) {
+            console.log(`JobFill: using profile "${profile.name}"`);
+        }
+        DocumentStore.load(profile ? profile.id : null, function() {
+            callback();
+        });
+    });
+}
+
+// Check if this is a frame whose parent can read it, such as the iCIMS application iframe on
+// an icims.com career portal; the content script in the parent fills it
+function isReadByParentFrame() {
+    if(window === window.top) return false;
+
+    try {
+        return !!window.parent.document;
+    } catch(error) {
+        // Embedded by another origin, the frame is filled by its own content script
+        return false;
+    }
+}
+
 // Check if the current page is a job application page
 function isJobApplicationPage(){
     const url = window.location.href.toLowerCase();
@@ -81,8 +136,281 @@ function isJobApplicationPage(){
 
 
     return (
-        urlPatterns.some(pattern => url.inclued(pattern)) ||
+        urlPatterns.some(pattern => url.includes(pattern)) ||
             titlePatterns.some(pattern => title.includes(pattern)) ||
             hasApplicationFormElements
     );
-}
\ No newline at end of file
+}
+
+// Detect the fields on the page and fill them with the resume data.
+// Resolves with the serialized fill report once repeatable sections are done too.
+function detectAndFillForm(force = false) {
+    if(!resumeData) {
+        console.warn('JobFill: no resume data saved, nothing to fill');
+        return Promise.resolve(null);
+    }
+
+    const adapter = AdapterRegistry.getAdapter();
+    const fields = detectFields(adapter);
+    FormObserver.markSeen(fields);
+
+    const report = fillFields(adapter, fields);
+
+    lastFillReport = report;
+    console.log('JobFill fill report:', report.counts);
+
+    return fillRepeatableSections(adapter, force)
+        .then(() => {
+            highlightUncertainFields();
+            return AutoFiller.serializeReport(lastFillReport);
+        });
+}
+
+// Add a sub-form for every experience and education entry, then fill the new ones
+function fillRepeatableSections(adapter, force) {
+    return RepeatableSectionFiller.addMissingGroups(adapter, resumeData)
+        .then(({ unplaced }) => {
+            fillNewFields(force);
+
+            lastFillReport.unplaced = unplaced;
+            if(unplaced.length > 0) {
+                console.warn('JobFill could not place these resume entries:', unplaced);
+            }
+        })
+        .catch(error => console.error('JobFill: error filling repeatable sections', error));
+}
+
+// Fill fields that appeared since the last pass (next step of a multi-step form, etc.)
+function fillNewFields(force = false) {
+    if(!resumeData || (!autofillEnabled && !force)) return;
+
+    const adapter = AdapterRegistry.getAdapter();
+    FormObserver.observeRoots(adapter.getObservedRoots(), adapter.USES_SHADOW_DOM);
+
+    const newFields = FormObserver.takeNewFields(detectFields(adapter));
+    if(newFields.length === 0) return;
+
+    const report = fillFields(adapter, newFields);
+
+    // Keep one report covering every pass on this page
+    const results = (lastFillReport ? lastFillReport.results : []).concat(report.results);
+    lastFillReport = {
+        ...lastFillReport,
+        results,
+        counts: AutoFiller.countResults(results)
+    };
+    console.log(`JobFill filled ${newFields.length} new field(s):`, report.counts);
+    highlightUncertainFields();
+}
+
+// Detect the adapter's fields, applying the mappings saved for this site
+function detectFields(adapter) {
+    return FieldMappingStore.applyToFields(adapter.detectFields());
+}
+
+// Fill the given fields, leaving anything the user edited themselves untouched
+function fillFields(adapter, fields) {
+    const fillableFields = fields.filter(field => !FormObserver.isUserEdited(field.element));
+
+    // Fields inside an "Add Another" block take the matching resume entry
+    RepeatableSectionFiller.assignEntryIndexes(fillableFields, adapter);
+
+    return FormObserver.ignoreEdits(() => {
+        const report = AutoFiller.fillFields(fillableFields, resumeData);
+
+        // Site-specific questions (EEO, veteran status, consent, ...) are handled after the mapped fields
+        adapter.handleCommonQuestions(resumeData);
+
+        // Questions left for the user show up in the report as skipped, in place of the
+        // detected field's own result
+        const notices = AutoFiller.takeQuestionNotices();
+        if(notices.length > 0) {
+            const noticed = new Set(notices.map(notice => notice.element));
+            report.results = report.results.filter(result => !noticed.has(result.element)).concat(notices);
+            report.counts = AutoFiller.countResults(report.results);
+        }
+
+        return report;
+    });
+}
+
+// Compute every value a fill would write, without touching the page, and let the user
+// accept, edit or reject each one in the preview panel
+function previewFill() {
+    if(!resumeData) {
+        console.warn('JobFill: no resume data saved, nothing to preview');
+        return Promise.resolve(null);
+    }
+
+    const adapter = AdapterRegistry.getAdapter();
+    const fields = detectFields(adapter).filter(field => !FormObserver.isUserEdited(field.element));
+    FormObserver.markSeen(fields);
+    RepeatableSectionFiller.assignEntryIndexes(fields, adapter);
+
+    const report = AutoFiller.fillFields(fields, resumeData, { dryRun : true });
+    const planned = report.results.filter(result => result.status === 'planned');
+
+    // Site-specific question answers, unless a mapped field already covers the element
+    const questionWrites = AutoFiller.recordWrites(() => adapter.handleCommonQuestions(resumeData));
+    const manual = AutoFiller.takeQuestionNotices();
+    const plannedElements = planned.map(result => result.element);
+    const covered = element => plannedElements.some(plannedElement =>
+        plannedElement === element ||
+        (element.type === 'radio' && AutoFiller.getRadioGroup(plannedElement).includes(element)));
+    const results = planned.concat(questionWrites.filter(result => !covered(result.element)));
+
+    return RepeatableSectionFiller.addMissingGroups(adapter, resumeData, { dryRun : true })
+        .then(({ unplaced }) => {
+            FillPreview.show(results, { unplaced, manual, onApply : applyPreview });
+            return { planned : results.length, unplaced };
+        });
+}
+
+// Write the values accepted in the preview panel and record them in the fill report
+function applyPreview(decisions) {
+    const results = FormObserver.ignoreEdits(() => decisions.map(({ result, editedValue }) => {
+        let written = false;
+        try {
+            written = AutoFiller.applyPlanned(result, editedValue);
+        } catch (error) {
+            console.warn('Could not fill field:', result.element, error);
+        }
+
+        const uncertain = typeof result.confidence === 'number' && result.confidence < AutoFiller.LOW_CONFIDENCE;
+        // Attachments are reported by the name of the file that went in
+        const value = editedValue !== undefined ? editedValue : result.value;
+        return {
+            ...result,
+            value : written && result.element.type === 'file' ? AutoFiller.attachedFiles.get(result.element) : value,
+            status : written ? (uncertain ? 'lowConfidence' : 'filled') : 'failed',
+            reason : written ? null : 'noMatchingOption'
+        };
+    }));
+
+    const allResults = (lastFillReport ? lastFillReport.results : []).concat(results);
+    lastFillReport = {
+        ...lastFillReport,
+        results : allResults,
+        counts : AutoFiller.countResults(allResults)
+    };
+
+    highlightUncertainFields();
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    return { applied : results.length - failed, failed };
+}
+
+// Outline fields filled (or skipped) with low confidence, if the setting is on
+function highlightUncertainFields() {
+    if(!highlightUncertain || !lastFillReport) {
+        FieldHighlighter.clear();
+        return;
+    }
+
+    FieldHighlighter.highlight(lastFillReport.results, { onReassign : reassignField });
+}
+
+// Apply a mapping the user picked for a field and remember it for this site
+function reassignField(result, mapping) {
+    FieldMappingStore.saveMapping(result.element, { ...mapping, source : 'correction' });
+
+    const field = {
+        element : result.element,
+        metadata : FormDetector.getFieldMetadata(result.element),
+        category : mapping.category,
+        subcategory : mapping.subcategory,
+        entryIndex : result.entryIndex,
+        confidence : 1
+    };
+
+    FormObserver.ignoreEdits(() => {
+        if(mapping.category === 'unknown') {
+            // Take back what we wrote into a field that is not about the profile
+            if(result.status === 'lowConfidence' && result.element.type !== 'radio' && result.element.type !== 'checkbox') {
+                AutoFiller.applyValue(result.element, '');
+            }
+            Object.assign(result, { category : 'unknown', subcategory : 'unknown', status : 'skipped', reason : 'unrecognized', value : null });
+            return;
+        }
+
+        const value = AutoFiller.resolveValue(field, resumeData);
+        const candidates = (Array.isArray(value) ? value : [value]).filter(candidate => candidate !== null && candidate !== undefined && candidate !== '');
+        const written = candidates.length > 0 && AutoFiller.fillElement(result.element, candidates);
+
+        Object.assign(result, {
+            category : mapping.category,
+            subcategory : mapping.subcategory,
+            confidence : 1,
+            status : written ? 'filled' : 'skipped',
+            value : written ? candidates[0] : null,
+            reason : written ? null : 'noValue'
+        });
+    });
+
+    lastFillReport.counts = AutoFiller.countResults(lastFillReport.results);
+}
+
+// When the user replaces a value we filled with another profile value, remember that
+// profile attribute for the field on this site
+function learnFromEdit(element) {
+    if(!resumeData || !lastFillReport) return;
+
+    const result = lastFillReport.results.find(candidate =>
+        candidate.element === element ||
+        (element.type === 'radio' && candidate.element.type === 'radio' && AutoFiller.getRadioGroup(candidate.element).includes(element)));
+    if(!result || (result.status !== 'filled' && result.status !== 'lowConfidence')) return;
+
+    const mapping = AutoFiller.matchAttribute({
+        element,
+        metadata : FormDetector.getFieldMetadata(element),
+        entryIndex : result.entryIndex
+    }, resumeData, FieldHighlighter.ATTRIBUTES);
+    if(!mapping || (mapping.category === result.category && mapping.subcategory === result.subcategory)) return;
+
+    console.log(`JobFill: learned ${mapping.category}/${mapping.subcategory} for "${result.label}"`);
+    FieldMappingStore.saveMapping(result.element, { ...mapping, source : 'edit' });
+    FieldHighlighter.removeHighlight(result.element);
+    Object.assign(result, { category : mapping.category, subcategory : mapping.subcategory, confidence : 1 });
+}
+
+// Describe the application being submitted: the posting, the profile used and the
+// values in the fields JobFill filled, as they are at the moment of submitting
+function describeApplication() {
+    const adapter = AdapterRegistry.getAdapter();
+    const posting = adapter.getJobPosting();
+    const answers = (lastFillReport ? lastFillReport.results : [])
+        .filter(result => result.status === 'filled' || result.status === 'lowConfidence')
+        .map(result => ({
+            label : result.label,
+            // Dropzones upload the file without keeping it in their input
+            value : result.element && result.element.isConnected
+                ? AutoFiller.describeCurrentValue(result.element) || AutoFiller.attachedFiles.get(result.element) || ''
+                : String(result.value)
+        }));
+
+    return {
+        title : posting.title,
+        company : posting.company,
+        location : posting.location,
+        url : posting.url,
+        requisitionId : posting.requisitionId,
+        ats : adapter.ATS_TYPE,
+        profileId : activeProfile ? activeProfile.id : null,
+        profileName : activeProfile ? activeProfile.name : '',
+        answers
+    };
+}
+
+// Add a submitted application to the tracker
+function recordApplication(application) {
+    ApplicationTracker.addApplication(application, function(record) {
+        console.log(`JobFill: recorded application for "${record.title}" at ${record.company || 'unknown company'}`);
+    });
+}
+
+// Watch for fields rendered after the initial fill
+function setupFormObserver() {
+    FormObserver.start(fillNewFields, learnFromEdit);
+    const adapter = AdapterRegistry.getAdapter();
+    FormObserver.observeRoots(adapter.getObservedRoots(), adapter.USES_SHADOW_DOM);
+}
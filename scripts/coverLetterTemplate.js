@@ -0,0 +1,234 @@
+/**
+ * Cover Letter Template Module
+ *
+ * Renders the cover letter templates stored in a profile for the posting on the current page.
+ * Templates use {{placeholders}} filled from the posting (company, job title) and the resume
+ * (top skills, most recent role). A rendered letter goes into cover letter text areas, or into
+ * a generated PDF or text file for upload fields. Letters are only written after the user
+ * reviewed them in the fill preview.
+ *
+ * Profile data (resumeData.coverLetterTemplates):
+ *   [{name, site, body}] where site optionally limits a template to a site pattern
+ */
+
+class CoverLetterTemplate {
+    // Placeholders a template can use
+    static VARIABLES = {
+        company: 'Company of the posting',
+        jobTitle: 'Job title of the posting',
+        topSkills: 'Your first three skills',
+        recentRole: 'Your most recent job title and employer',
+        fullName: 'Your name'
+    };
+
+    static PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+    // Letter-sized PDF pages in points, with one-inch margins and 11pt Helvetica
+    static PDF_PAGE = { width: 612, height: 792, margin: 72, fontSize: 11, lineHeight: 15, lineLength: 88 };
+
+    /**
+     * Render the letter for the current page
+     * @param {Object} resumeData - Stored resume data
+     * @param {string} [url] - Page URL
+     * @returns {string|null} - Letter text, or null if the profile has no template
+     */
+    static renderForPage(resumeData, url = window.location.href) {
+        const template = this.selectTemplate(resumeData, url);
+        if (!template) return null;
+
+        return this.render(template.body, this.getVariables(resumeData)).text;
+    }
+
+    /**
+     * Pick the template for a page. Templates limited to the site come first
+     * @param {Object} resumeData - Stored resume data
+     * @param {string} url - Page URL
+     * @returns {Object|null} - Template
+     */
+    static selectTemplate(resumeData, url) {
+        const profileStore = window.ProfileStore || ProfileStore;
+        const templates = ((resumeData && resumeData.coverLetterTemplates) || [])
+            .filter(template => template.body && template.body.trim());
+
+        return templates.find(template => template.site && profileStore.matchesPattern(template.site, url)) ||
+            templates.find(template => !template.site) ||
+            null;
+    }
+
+    /**
+     * Replace the placeholders in a template. Unknown or empty placeholders are left in place
+     * so they stand out in the preview
+     * @param {string} body - Template text
+     * @param {Object} variables - Values by placeholder name
+     * @returns {Object} - {text, missing} where missing lists the placeholders left unfilled
+     */
+    static render(body, variables) {
+        const missing = [];
+        const text = body.replace(this.PLACEHOLDER_PATTERN, (placeholder, name) => {
+            if (variables[name]) return variables[name];
+
+            if (!missing.includes(name)) missing.push(name);
+            return placeholder;
+        });
+
+        return { text, missing };
+    }
+
+    /**
+     * Collect the placeholder values for the current page
+     * @param {Object} resumeData - Stored resume data
+     * @returns {Object} - Values by placeholder name
+     */
+    static getVariables(resumeData) {
+        const jobPostingExtractor = window.JobPostingExtractor || JobPostingExtractor;
+        const posting = jobPostingExtractor.extract();
+        const personalInfo = resumeData.personalInfo || {};
+        const recent = (resumeData.experience || [])[0];
+        const skills = Array.isArray(resumeData.skills)
+            ? resumeData.skills
+            : String(resumeData.skills || '').split(',').map(skill => skill.trim()).filter(Boolean);
+
+        return {
+            company: posting.company,
+            jobTitle: posting.title,
+            topSkills: this.formatList(skills.slice(0, 3)),
+            recentRole: recent && recent.title ? (recent.company ? `${recent.title} at ${recent.company}` : recent.title) : '',
+            fullName: personalInfo.fullName || ''
+        };
+    }
+
+    /**
+     * Join items as "A, B and C"
+     * @param {Array} items - Items
+     * @returns {string} - Joined text
+     */
+    static formatList(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+
+    /**
+     * Turn a letter into a document for an upload field: a PDF, or a text file when the field
+     * takes text files but not PDFs
+     * @param {string} text - Letter text
+     * @param {Element} input - File input
+     * @returns {Object} - Document in DocumentStore's format
+     */
+    static createDocument(text, input) {
+        const documentStore = window.DocumentStore || DocumentStore;
+        const accept = (input.getAttribute('accept') || '').toLowerCase();
+        const asText = accept !== '' && !/pdf/.test(accept) && /\.txt|text\/plain/.test(accept);
+
+        if (asText) {
+            const bytes = new TextEncoder().encode(text);
+            const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+            return documentStore.createDocument('Cover Letter.txt', 'text/plain', `data:text/plain;base64,${btoa(binary)}`);
+        }
+
+        return documentStore.createDocument('Cover Letter.pdf', 'application/pdf', `data:application/pdf;base64,${btoa(this.createPdf(text))}`);
+    }
+
+    /**
+     * Lay out text on letter-sized pages as a minimal PDF
+     * @param {string} text - Letter text
+     * @returns {string} - PDF file as a binary string
+     */
+    static createPdf(text) {
+        const { width, height, margin, fontSize, lineHeight, lineLength } = this.PDF_PAGE;
+        const linesPerPage = Math.floor((height - margin * 2) / lineHeight);
+
+        // Helvetica's built-in encoding only covers Latin-1
+        const latin1 = text
+            .replace(/\r/g, '')
+            .replace(/\t/g, '    ')
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/…/g, '...')
+            .replace(/[^\n\x20-\x7e\xa0-\xff]/g, '?');
+
+        const lines = latin1.split('\n').flatMap(paragraph => this.wrapLine(paragraph, lineLength));
+        const pages = [];
+        for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+            pages.push(lines.slice(i, i + linesPerPage));
+        }
+
+        // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+        const objects = [];
+        const pageIds = pages.map((page, index) => 4 + index * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+        pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const escape = line => line.replace(/[\\()]/g, '\\$&');
+            const stream = [
+                'BT',
+                `/F1 ${fontSize} Tf`,
+                `${lineHeight} TL`,
+                // Each ' operator moves down a line before showing its text
+                `${margin} ${height - margin} Td`,
+                ...page.map(line => `(${escape(line)}) '`),
+                'ET'
+            ].join('\n');
+
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return pdf;
+    }
+
+    /**
+     * Wrap a paragraph at word boundaries. Words longer than a line, such as URLs, are broken
+     * across lines so they stay within the margins
+     * @param {string} paragraph - Text without line breaks
+     * @param {number} lineLength - Maximum characters per line
+     * @returns {Array} - Lines
+     */
+    static wrapLine(paragraph, lineLength) {
+        const lines = [];
+        let line = '';
+
+        const words = paragraph.split(/\s+/).filter(Boolean).flatMap(word => {
+            const pieces = [];
+            for (let start = 0; start < word.length; start += lineLength) {
+                pieces.push(word.slice(start, start + lineLength));
+            }
+            return pieces;
+        });
+
+        words.forEach(word => {
+            if (line && line.length + word.length + 1 > lineLength) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+
+        lines.push(line);
+        return lines;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverLetterTemplate;
+}
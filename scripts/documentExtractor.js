@@ -0,0 +1,982 @@
+/**
+ * Document Extractor Module
+ *
+ * This module extracts plain text from resume files (PDF, DOCX, DOC and TXT)
+ * entirely inside the extension, without any network access or third-party libraries.
+ * It relies on the browser's built-in DecompressionStream for deflate data.
+ */
+
+/**
+ * Error raised when a document cannot be turned into text.
+ * The reason is a stable code the popup can react to.
+ */
+class DocumentExtractionError extends Error {
+    /**
+     * @param {string} reason - Machine readable reason (e.g. 'encryptedPdf', 'noTextLayer', 'corruptArchive')
+     * @param {string} message - Human readable message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'DocumentExtractionError';
+        this.reason = reason;
+    }
+}
+
+class DocumentExtractor {
+    /**
+     * Extract text from a resume file
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} fileName - Original file name
+     * @returns {Promise<string>} - Plain text content
+     */
+    static async extractText(bytes, fileName = '') {
+        const type = this.detectFileType(bytes, fileName);
+        let text;
+
+        switch (type) {
+            case 'pdf':
+                text = await this.extractPdfText(bytes);
+                break;
+            case 'docx':
+                text = await this.extractDocxText(bytes);
+                break;
+            case 'doc':
+                text = this.extractDocText(bytes);
+                break;
+            case 'encryptedOffice':
+                throw new DocumentExtractionError(
+                    'encryptedDocument',
+                    'This Word document is password protected. Remove the password and upload it again.'
+                );
+            case 'txt':
+                text = new TextDecoder('utf-8').decode(bytes);
+                break;
+            default:
+                throw new DocumentExtractionError(
+                    'unsupportedFormat',
+                    'Unsupported file type. Please upload a PDF, DOCX, DOC or TXT file.'
+                );
+        }
+
+        text = this.cleanText(text);
+
+        if (!text) {
+            throw new DocumentExtractionError('emptyDocument', 'No text could be found in this file.');
+        }
+
+        return text;
+    }
+
+    /**
+     * Detect the file type from its magic bytes, falling back to the extension
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} fileName - Original file name
+     * @returns {string} - 'pdf', 'docx', 'doc', 'encryptedOffice', 'txt' or 'unknown'
+     */
+    static detectFileType(bytes, fileName) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        const header = String.fromCharCode(...bytes.subarray(0, 8));
+
+        if (header.startsWith('%PDF-')) {
+            return 'pdf';
+        }
+
+        if (header.startsWith('PK\x03\x04')) {
+            return 'docx';
+        }
+
+        // OLE compound file: either a legacy .doc or an encrypted .docx container
+        if (header === '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1') {
+            return extension === 'docx' ? 'encryptedOffice' : 'doc';
+        }
+
+        if (extension === 'pdf') {
+            throw new DocumentExtractionError('corruptFile', 'This PDF file is damaged and cannot be read.');
+        }
+
+        if (extension === 'docx') {
+            throw new DocumentExtractionError('corruptArchive', 'This DOCX file is damaged and cannot be read.');
+        }
+
+        if (extension === 'txt' || extension === 'text' || extension === 'md') {
+            return 'txt';
+        }
+
+        return 'unknown';
+    }
+
+    /**
+     * Normalize whitespace in extracted text
+     * @param {string} text - Extracted text
+     * @returns {string} - Cleaned text
+     */
+    static cleanText(text) {
+        return (text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u0000/g, '')
+            .replace(/[ \t\u00A0]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Inflate deflate-compressed data
+     * @param {Uint8Array} bytes - Compressed data
+     * @param {string} format - 'deflate' (zlib wrapped) or 'deflate-raw'
+     * @returns {Promise<Uint8Array>} - Decompressed data
+     */
+    static async inflate(bytes, format = 'deflate') {
+        const reader = new Blob([bytes]).stream()
+            .pipeThrough(new DecompressionStream(format))
+            .getReader();
+
+        const chunks = [];
+        let length = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (error) {
+            // Many PDF writers leave trailing bytes after the deflate data.
+            // Keep whatever was decoded before the error.
+            if (length === 0) throw error;
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert bytes to a binary string where each character is one byte
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Binary string
+     */
+    static toBinaryString(bytes) {
+        let result = '';
+        const chunkSize = 0x8000;
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return result;
+    }
+
+    // ---------------------------------------------------------------------
+    // PDF
+    // ---------------------------------------------------------------------
+
+    /**
+     * Extract text from the text layer of a PDF
+     * @param {Uint8Array} bytes - PDF file contents
+     * @returns {Promise<string>} - Text content
+     */
+    static async extractPdfText(bytes) {
+        const source = this.toBinaryString(bytes);
+
+        if (/\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(source)) {
+            throw new DocumentExtractionError(
+                'encryptedPdf',
+                'This PDF is encrypted or password protected. Save an unprotected copy and upload it again.'
+            );
+        }
+
+        const objects = await this.readPdfObjects(bytes, source);
+        if (objects.size === 0) {
+            throw new DocumentExtractionError('corruptFile', 'This PDF file is damaged and cannot be read.');
+        }
+
+        const fontCMaps = await this.readPdfFonts(objects);
+        const contentStreams = this.findPdfContentStreams(objects, fontCMaps);
+
+        const pages = [];
+        for (const { object, fonts } of contentStreams) {
+            const data = await this.decodePdfStream(object);
+            if (data) {
+                pages.push(this.extractPdfContentText(this.toBinaryString(data), fonts));
+            }
+        }
+
+        const text = pages.join('\n\n');
+
+        if (!text.trim()) {
+            const hasImages = Array.from(objects.values()).some(object => /\/Subtype\s*\/Image/.test(object.dict));
+            throw new DocumentExtractionError(
+                'noTextLayer',
+                hasImages
+                    ? 'This PDF appears to be a scanned image with no text layer. Upload a text-based PDF or a DOCX file.'
+                    : 'No readable text was found in this PDF.'
+            );
+        }
+
+        return text;
+    }
+
+    /**
+     * Read all indirect objects of a PDF, including those stored in object streams
+     * @param {Uint8Array} bytes - PDF file contents
+     * @param {string} source - PDF contents as a binary string
+     * @returns {Promise<Map>} - Object number => {dict, stream}
+     */
+    static async readPdfObjects(bytes, source) {
+        const objects = new Map();
+        const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+        let match;
+
+        while ((match = objectPattern.exec(source)) !== null) {
+            const number = parseInt(match[1], 10);
+            const bodyStart = objectPattern.lastIndex;
+            const endObj = source.indexOf('endobj', bodyStart);
+            const streamStart = source.indexOf('stream', bodyStart);
+
+            if (streamStart !== -1 && (endObj === -1 || streamStart < endObj)) {
+                // Stream data begins after the end-of-line that follows the keyword
+                let dataStart = streamStart + 'stream'.length;
+                if (source[dataStart] === '\r') dataStart++;
+                if (source[dataStart] === '\n') dataStart++;
+
+                const dataEnd = source.indexOf('endstream', dataStart);
+                if (dataEnd === -1) break;
+
+                objects.set(number, {
+                    dict: source.slice(bodyStart, streamStart),
+                    stream: bytes.subarray(dataStart, dataEnd)
+                });
+
+                objectPattern.lastIndex = dataEnd + 'endstream'.length;
+            } else {
+                objects.set(number, {
+                    dict: source.slice(bodyStart, endObj === -1 ? source.length : endObj),
+                    stream: null
+                });
+
+                if (endObj !== -1) {
+                    objectPattern.lastIndex = endObj + 'endobj'.length;
+                }
+            }
+        }
+
+        // PDF 1.5+ files keep most dictionaries inside compressed object streams
+        for (const object of Array.from(objects.values())) {
+            if (!/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+
+            const data = await this.decodePdfStream(object);
+            if (!data) continue;
+
+            const content = this.toBinaryString(data);
+            const count = parseInt((object.dict.match(/\/N\s+(\d+)/) || [])[1], 10) || 0;
+            const first = parseInt((object.dict.match(/\/First\s+(\d+)/) || [])[1], 10) || 0;
+            const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+
+            for (let i = 0; i < count; i++) {
+                const number = header[i * 2];
+                const start = first + header[i * 2 + 1];
+                const end = i + 1 < count ? first + header[(i + 1) * 2 + 1] : content.length;
+
+                if (!objects.has(number)) {
+                    objects.set(number, { dict: content.slice(start, end), stream: null });
+                }
+            }
+        }
+
+        return objects;
+    }
+
+    /**
+     * Decode the stream of a PDF object
+     * @param {Object} object - PDF object with dict and stream
+     * @returns {Promise<Uint8Array|null>} - Decoded data, or null for unsupported filters
+     */
+    static async decodePdfStream(object) {
+        if (!object.stream) return null;
+
+        const filters = (object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+
+        if (!filters) {
+            return object.stream;
+        }
+
+        // Images and other binary encodings carry no text
+        if (filters.replace(/\/FlateDecode|\/Fl\b/g, '').match(/\/\w+/)) {
+            return null;
+        }
+
+        try {
+            return await this.inflate(object.stream, 'deflate');
+        } catch (error) {
+            console.warn('Could not inflate PDF stream:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the content streams of all pages, in page order, with the fonts each one uses
+     * @param {Map} objects - PDF objects
+     * @param {Map} fontCMaps - Font object number => character map, see readPdfFonts()
+     * @returns {Array} - {object, fonts} per content stream, fonts being resource name => character map
+     */
+    static findPdfContentStreams(objects, fontCMaps) {
+        const streams = [];
+        const seen = new Set();
+
+        const addStream = (number, fonts) => {
+            const object = objects.get(number);
+            if (object && object.stream && !seen.has(number)) {
+                seen.add(number);
+                streams.push({ object, fonts });
+            }
+        };
+
+        this.findPdfPages(objects).forEach(object => {
+            const contents = object.dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+            if (!contents) return;
+
+            const fonts = this.getPdfResourceFonts(object, objects, fontCMaps);
+            const references = contents[1].match(/(\d+)\s+\d+\s+R/g) || [];
+            references.forEach(reference => {
+                const number = parseInt(reference, 10);
+                const target = objects.get(number);
+
+                // /Contents may point at an array object listing the real streams
+                if (target && !target.stream) {
+                    (target.dict.match(/(\d+)\s+\d+\s+R/g) || []).forEach(inner => addStream(parseInt(inner, 10), fonts));
+                } else {
+                    addStream(number, fonts);
+                }
+            });
+        });
+
+        // Form XObjects can hold text drawn on the page as well
+        objects.forEach((object, number) => {
+            if (/\/Subtype\s*\/Form/.test(object.dict)) {
+                addStream(number, this.getPdfResourceFonts(object, objects, fontCMaps));
+            }
+        });
+
+        return streams;
+    }
+
+    /**
+     * Find the page objects in page order, by walking the page tree from the catalog. Files
+     * without a readable page tree fall back to every page object, in object number order
+     * @param {Map} objects - PDF objects
+     * @returns {Array} - Page objects
+     */
+    static findPdfPages(objects) {
+        const isPage = object => /\/Type\s*\/Page\b/.test(object.dict);
+        const catalog = Array.from(objects.values()).find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+        const root = catalog && catalog.dict.match(/\/Pages\s+(\d+)\s+\d+\s+R/);
+
+        const pages = [];
+        const visited = new Set();
+        const walk = number => {
+            const node = objects.get(number);
+            if (!node || visited.has(number)) return;
+            visited.add(number);
+
+            if (isPage(node)) {
+                pages.push(node);
+                return;
+            }
+
+            const kids = node.dict.match(/\/Kids\s*\[([^\]]*)\]/);
+            (kids ? kids[1].match(/(\d+)\s+\d+\s+R/g) || [] : []).forEach(kid => walk(parseInt(kid, 10)));
+        };
+
+        if (root) walk(parseInt(root[1], 10));
+
+        return pages.length > 0 ? pages : Array.from(objects.values()).filter(isPage);
+    }
+
+    /**
+     * Read the ToUnicode maps of all fonts
+     * @param {Map} objects - PDF objects
+     * @returns {Promise<Map>} - Font object number => {codeLength, map}
+     */
+    static async readPdfFonts(objects) {
+        const cmapsByFont = new Map();
+
+        for (const [number, object] of objects) {
+            if (!/\/Type\s*\/Font\b/.test(object.dict)) continue;
+
+            const toUnicode = object.dict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/);
+            if (!toUnicode) continue;
+
+            const cmapObject = objects.get(parseInt(toUnicode[1], 10));
+            const data = cmapObject ? await this.decodePdfStream(cmapObject) : null;
+
+            if (data) {
+                cmapsByFont.set(number, this.parseToUnicodeCMap(this.toBinaryString(data)));
+            }
+        }
+
+        return cmapsByFont;
+    }
+
+    /**
+     * Get the fonts a page or form XObject refers to, keyed by resource name. Pages may
+     * inherit their resources from the page tree, and each page may use the same name
+     * (e.g. /F1) for a different subset font
+     * @param {Object} object - Page or form XObject
+     * @param {Map} objects - PDF objects
+     * @param {Map} fontCMaps - Font object number => character map
+     * @returns {Object} - Resource name => character map
+     */
+    static getPdfResourceFonts(object, objects, fontCMaps) {
+        let resources = null;
+
+        // Follow /Parent up the page tree, with a limit in case of a cycle
+        for (let node = object, depth = 0; node && !resources && depth < 32; depth++) {
+            resources = this.readPdfDictValue(node.dict, 'Resources', objects);
+            const parent = node.dict.match(/\/Parent\s+(\d+)\s+\d+\s+R/);
+            node = parent ? objects.get(parseInt(parent[1], 10)) : null;
+        }
+
+        const fontDict = resources ? this.readPdfDictValue(resources, 'Font', objects) : null;
+        const fonts = {};
+        const resourcePattern = /\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g;
+        let match;
+
+        while (fontDict && (match = resourcePattern.exec(fontDict)) !== null) {
+            const cmap = fontCMaps.get(parseInt(match[2], 10));
+            if (cmap) {
+                fonts[match[1]] = cmap;
+            }
+        }
+
+        return fonts;
+    }
+
+    /**
+     * Read a dictionary value of a PDF dictionary, given inline or as a reference
+     * @param {string} dict - Dictionary source
+     * @param {string} key - Key without the slash, e.g. "Resources"
+     * @param {Map} objects - PDF objects
+     * @returns {string|null} - Source of the value's dictionary, or null if it has none
+     */
+    static readPdfDictValue(dict, key, objects) {
+        const match = new RegExp(`/${key}\\s*(<<|(\\d+)\\s+\\d+\\s+R)`).exec(dict);
+        if (!match) return null;
+
+        if (match[2]) {
+            const target = objects.get(parseInt(match[2], 10));
+            return target ? target.dict : null;
+        }
+
+        // Inline dictionary: find its matching ">>"
+        const start = match.index + match[0].length;
+        let depth = 1;
+        for (let i = start; i < dict.length - 1; i++) {
+            if (dict[i] === '<' && dict[i + 1] === '<') {
+                depth++;
+                i++;
+            } else if (dict[i] === '>' && dict[i + 1] === '>') {
+                depth--;
+                if (depth === 0) return dict.slice(start, i);
+                i++;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a ToUnicode CMap
+     * @param {string} content - CMap program
+     * @returns {Object} - {codeLength, map} where map is code => unicode string
+     */
+    static parseToUnicodeCMap(content) {
+        const map = new Map();
+        let codeLength = 1;
+
+        const hexToUnicode = hex => {
+            let result = '';
+            for (let i = 0; i + 4 <= hex.length; i += 4) {
+                result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+            }
+            return hex.length === 2 ? String.fromCharCode(parseInt(hex, 16)) : result;
+        };
+
+        const charBlocks = content.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+        charBlocks.forEach(block => {
+            const pairPattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+            let pair;
+            while ((pair = pairPattern.exec(block)) !== null) {
+                codeLength = Math.max(codeLength, pair[1].length / 2);
+                map.set(parseInt(pair[1], 16), hexToUnicode(pair[2]));
+            }
+        });
+
+        const rangeBlocks = content.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+        rangeBlocks.forEach(block => {
+            const rangePattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+            let range;
+            while ((range = rangePattern.exec(block)) !== null) {
+                const start = parseInt(range[1], 16);
+                const end = parseInt(range[2], 16);
+                codeLength = Math.max(codeLength, range[1].length / 2);
+
+                if (range[3].startsWith('[')) {
+                    const targets = range[3].match(/<([0-9a-fA-F]*)>/g) || [];
+                    targets.forEach((target, index) => {
+                        map.set(start + index, hexToUnicode(target.slice(1, -1)));
+                    });
+                } else {
+                    const base = range[3].slice(1, -1);
+                    const baseCode = parseInt(base.slice(-4), 16);
+                    const prefix = hexToUnicode(base.slice(0, -4));
+
+                    for (let code = start; code <= end && code - start < 0x10000; code++) {
+                        map.set(code, prefix + String.fromCharCode(baseCode + code - start));
+                    }
+                }
+            }
+        });
+
+        return { codeLength, map };
+    }
+
+    /**
+     * Decode the bytes of a PDF string using the current font
+     * @param {string} bytes - String bytes as a binary string
+     * @param {Object|null} font - Font character map
+     * @returns {string} - Unicode text
+     */
+    static decodePdfString(bytes, font) {
+        if (font) {
+            let result = '';
+            for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+                let code = 0;
+                for (let j = 0; j < font.codeLength; j++) {
+                    code = (code << 8) | bytes.charCodeAt(i + j);
+                }
+                result += font.map.has(code) ? font.map.get(code) : '';
+            }
+            return result;
+        }
+
+        // Without a character map assume WinAnsi, which matches Latin-1 for most characters
+        const winAnsi = {
+            0x91: '\u2018', 0x92: '\u2019', 0x93: '\u201C', 0x94: '\u201D',
+            0x95: '\u2022', 0x96: '\u2013', 0x97: '\u2014', 0x85: '\u2026'
+        };
+
+        return Array.from(bytes).map(char => winAnsi[char.charCodeAt(0)] || char).join('');
+    }
+
+    /**
+     * Run the text operators of a content stream and collect the text they draw
+     * @param {string} content - Decoded content stream as a binary string
+     * @param {Object} fonts - Font resource name => character map
+     * @returns {string} - Text drawn by the stream
+     */
+    static extractPdfContentText(content, fonts) {
+        const tokens = this.tokenizePdfContent(content);
+        let text = '';
+        let operands = [];
+        let font = null;
+        let lineY = null;
+        let inNewTextObject = false;
+
+        const newLine = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+
+        const space = () => {
+            if (text && !/[\s]$/.test(text)) text += ' ';
+        };
+
+        tokens.forEach(token => {
+            if (token.type !== 'operator') {
+                operands.push(token);
+                return;
+            }
+
+            switch (token.value) {
+                case 'Tf': {
+                    const name = operands.find(operand => operand.type === 'name');
+                    font = name ? fonts[name.value] || null : null;
+                    break;
+                }
+                case 'Td':
+                case 'TD':
+                case 'Tm': {
+                    // Track the baseline so a vertical move starts a new line
+                    const y = token.value === 'Tm'
+                        ? (operands[5] ? operands[5].value : 0)
+                        : (inNewTextObject ? 0 : lineY || 0) + (operands[1] ? operands[1].value : 0);
+
+                    if (lineY !== null && Math.abs(y - lineY) > 0.5) {
+                        newLine();
+                    } else {
+                        space();
+                    }
+                    lineY = y;
+                    inNewTextObject = false;
+                    break;
+                }
+                case 'T*':
+                    newLine();
+                    break;
+                case 'Tj':
+                case '\'':
+                case '"': {
+                    if (token.value !== 'Tj') newLine();
+                    const string = operands.filter(operand => operand.type === 'string').pop();
+                    if (string) text += this.decodePdfString(string.value, font);
+                    break;
+                }
+                case 'TJ': {
+                    const array = operands.find(operand => operand.type === 'array');
+                    if (array) {
+                        array.value.forEach(item => {
+                            if (item.type === 'string') {
+                                text += this.decodePdfString(item.value, font);
+                            } else if (item.type === 'number' && item.value < -250) {
+                                // Large negative kerning is how many writers encode a word gap
+                                space();
+                            }
+                        });
+                    }
+                    break;
+                }
+                case 'BT':
+                    // Each text object starts from the identity text matrix
+                    inNewTextObject = true;
+                    break;
+                case 'ET':
+                    space();
+                    break;
+                default:
+                    break;
+            }
+
+            operands = [];
+        });
+
+        return text;
+    }
+
+    /**
+     * Split a content stream into tokens
+     * @param {string} content - Content stream as a binary string
+     * @returns {Array} - Tokens ({type, value}) with arrays nested
+     */
+    static tokenizePdfContent(content) {
+        const tokens = [];
+        const arrayStack = [];
+        const delimiters = '()<>[]{}/%';
+        let i = 0;
+
+        const push = token => {
+            if (arrayStack.length > 0) {
+                arrayStack[arrayStack.length - 1].push(token);
+            } else {
+                tokens.push(token);
+            }
+        };
+
+        while (i < content.length) {
+            const char = content[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '%') {
+                while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+            } else if (char === '(') {
+                const { value, end } = this.readPdfLiteralString(content, i);
+                push({ type: 'string', value });
+                i = end;
+            } else if (char === '<' && content[i + 1] === '<') {
+                i += 2;
+            } else if (char === '>' && content[i + 1] === '>') {
+                i += 2;
+            } else if (char === '<') {
+                const end = content.indexOf('>', i);
+                const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+                let value = '';
+                for (let j = 0; j < hex.length; j += 2) {
+                    value += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+                }
+                push({ type: 'string', value });
+                i = end === -1 ? content.length : end + 1;
+            } else if (char === '[') {
+                arrayStack.push([]);
+                i++;
+            } else if (char === ']') {
+                const array = arrayStack.pop() || [];
+                push({ type: 'array', value: array });
+                i++;
+            } else if (char === '/') {
+                let end = i + 1;
+                while (end < content.length && !/\s/.test(content[end]) && !delimiters.includes(content[end])) end++;
+                push({ type: 'name', value: content.slice(i + 1, end) });
+                i = end;
+            } else if (/[-+.\d]/.test(char)) {
+                let end = i + 1;
+                while (end < content.length && /[.\d]/.test(content[end])) end++;
+                push({ type: 'number', value: parseFloat(content.slice(i, end)) || 0 });
+                i = end;
+            } else {
+                let end = i + 1;
+                while (end < content.length && !/\s/.test(content[end]) && !delimiters.includes(content[end])) end++;
+                const operator = content.slice(i, end);
+                i = end;
+
+                // Inline image data is binary; skip to the end marker
+                if (operator === 'ID') {
+                    const imageEnd = content.indexOf('EI', i);
+                    i = imageEnd === -1 ? content.length : imageEnd + 2;
+                    continue;
+                }
+
+                push({ type: 'operator', value: operator });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Read a literal string, handling nested parentheses and escape sequences
+     * @param {string} content - Content stream
+     * @param {number} start - Index of the opening parenthesis
+     * @returns {Object} - {value, end} where end is the index after the closing parenthesis
+     */
+    static readPdfLiteralString(content, start) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let value = '';
+        let depth = 1;
+        let i = start + 1;
+
+        while (i < content.length && depth > 0) {
+            const char = content[i];
+
+            if (char === '\\') {
+                const next = content[i + 1];
+
+                if (escapes[next] !== undefined) {
+                    value += escapes[next];
+                    i += 2;
+                } else if (/[0-7]/.test(next)) {
+                    const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                    value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                    i += 1 + octal.length;
+                } else if (next === '\r' || next === '\n') {
+                    // Line continuation
+                    i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                } else {
+                    i += 1;
+                }
+                continue;
+            }
+
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+
+            if (depth > 0) value += char;
+            i++;
+        }
+
+        return { value, end: i };
+    }
+
+    // ---------------------------------------------------------------------
+    // DOCX
+    // ---------------------------------------------------------------------
+
+    /**
+     * Extract text from the main document part of a DOCX file
+     * @param {Uint8Array} bytes - DOCX file contents
+     * @returns {Promise<string>} - Text content
+     */
+    static async extractDocxText(bytes) {
+        const entries = this.readZipEntries(bytes);
+        const documentEntry = entries.find(entry => entry.name === 'word/document.xml');
+
+        if (!documentEntry) {
+            throw new DocumentExtractionError(
+                'corruptArchive',
+                'This file is a ZIP archive but does not contain a Word document.'
+            );
+        }
+
+        const xml = new TextDecoder('utf-8').decode(await this.readZipEntry(bytes, documentEntry));
+        return this.docxXmlToText(xml);
+    }
+
+    /**
+     * Read the central directory of a ZIP archive
+     * @param {Uint8Array} bytes - Archive contents
+     * @returns {Array} - Entries ({name, method, compressedSize, localHeaderOffset, encrypted})
+     */
+    static readZipEntries(bytes) {
+        const corrupt = () => new DocumentExtractionError(
+            'corruptArchive',
+            'This DOCX file is damaged or incomplete and cannot be read.'
+        );
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end of central directory record sits in the last 22 bytes plus an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw corrupt();
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+                throw corrupt();
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+
+            entries.push({
+                name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localHeaderOffset: view.getUint32(offset + 42, true),
+                encrypted: (flags & 0x1) !== 0
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read and decompress a single ZIP entry
+     * @param {Uint8Array} bytes - Archive contents
+     * @param {Object} entry - Entry from readZipEntries
+     * @returns {Promise<Uint8Array>} - Entry contents
+     */
+    static async readZipEntry(bytes, entry) {
+        if (entry.encrypted) {
+            throw new DocumentExtractionError(
+                'encryptedDocument',
+                'This Word document is password protected. Remove the password and upload it again.'
+            );
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const offset = entry.localHeaderOffset;
+
+        if (offset + 30 > bytes.length || view.getUint32(offset, true) !== 0x04034b50) {
+            throw new DocumentExtractionError('corruptArchive', 'This DOCX file is damaged and cannot be read.');
+        }
+
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data;
+        }
+
+        if (entry.method !== 8) {
+            throw new DocumentExtractionError('corruptArchive', 'This DOCX file uses an unsupported compression method.');
+        }
+
+        try {
+            return await this.inflate(data, 'deflate-raw');
+        } catch (error) {
+            throw new DocumentExtractionError('corruptArchive', 'This DOCX file is damaged and cannot be read.');
+        }
+    }
+
+    /**
+     * Convert WordprocessingML to plain text
+     * @param {string} xml - Contents of word/document.xml
+     * @returns {string} - Text content
+     */
+    static docxXmlToText(xml) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+        return xml
+            // Field instructions and tracked deletions are not visible text
+            .replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, '')
+            .replace(/<w:delText[^>]*>[\s\S]*?<\/w:delText>/g, '')
+            .replace(/<w:tab\/>/g, '\t')
+            .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+            .replace(/<\/w:p>/g, '\n')
+            .replace(/<\/w:tc>/g, '\t')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+                if (code.startsWith('#x')) return String.fromCodePoint(parseInt(code.slice(2), 16));
+                if (code.startsWith('#')) return String.fromCodePoint(parseInt(code.slice(1), 10));
+                return entities[code] !== undefined ? entities[code] : entity;
+            });
+    }
+
+    // ---------------------------------------------------------------------
+    // DOC (legacy Word 97-2003)
+    // ---------------------------------------------------------------------
+
+    /**
+     * Best-effort text extraction from a legacy Word document.
+     * Word stores body text either as UTF-16LE or as 8-bit text, so both
+     * encodings are scanned for readable runs and the richer result is used.
+     * @param {Uint8Array} bytes - DOC file contents
+     * @returns {string} - Text content
+     */
+    static extractDocText(bytes) {
+        const minRunLength = 6;
+        const readable = /[\x20-\x7E\u00A0-\u024F\u2013-\u2022\r\n\t]/;
+
+        const collectRuns = chars => {
+            const runs = [];
+            let current = '';
+
+            chars.forEach(char => {
+                if (readable.test(char)) {
+                    current += char;
+                } else {
+                    if (current.trim().length >= minRunLength) runs.push(current);
+                    current = '';
+                }
+            });
+            if (current.trim().length >= minRunLength) runs.push(current);
+
+            return runs.join('\n').replace(/\r/g, '\n');
+        };
+
+        const utf16Chars = [];
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            utf16Chars.push(String.fromCharCode(bytes[i] | (bytes[i + 1] << 8)));
+        }
+
+        const utf16Text = collectRuns(utf16Chars);
+        const ansiText = collectRuns(Array.from(this.toBinaryString(bytes)));
+
+        // 8-bit scanning also picks up font tables and style names, so prefer UTF-16 when it found real text
+        return utf16Text.length > ansiText.length / 4 ? utf16Text : ansiText;
+    }
+}
+
+// Export the classes if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DocumentExtractor, DocumentExtractionError };
+}
@@ -0,0 +1,227 @@
+/**
+ * Document Store Module
+ *
+ * Keeps the original resume file and optional cover letters of each profile in
+ * chrome.storage.local, so the filler can attach them to upload fields. Files are stored as
+ * data URLs. Cover letters can be limited to a site; the one scoped to the current site wins.
+ * Shared by the popup and the content script.
+ *
+ * Storage key:
+ *   documents - {profileId: {resume, coverLetters: []}}
+ *   where each document is {id, name, type, size, dataUrl, savedAt} and cover letters also
+ *   have a site pattern ('' for every site)
+ */
+
+class DocumentStore {
+    static STORAGE_KEY = 'documents';
+
+    // Larger files are rejected; upload fields rarely take more than this anyway
+    static MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+    // Documents of the profile used on the current page
+    static documents = { resume: null, coverLetters: [] };
+
+    /**
+     * Load the documents of a profile
+     * @param {string|null} profileId - Profile id
+     * @param {Function} callback - Receives {resume, coverLetters}
+     */
+    static load(profileId, callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const stored = (data[this.STORAGE_KEY] || {})[profileId] || {};
+            this.documents = {
+                resume: stored.resume || null,
+                coverLetters: stored.coverLetters || []
+            };
+            if (callback) callback(this.documents);
+        });
+    }
+
+    /**
+     * Load every profile's documents, apply a change and save them back
+     * @param {Function} mutator - Changes the documents in place, may return a result
+     * @param {Function} [callback] - Receives the result
+     */
+    static update(mutator, callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const documents = data[this.STORAGE_KEY] || {};
+            const result = mutator(documents);
+
+            chrome.storage.local.set({ [this.STORAGE_KEY]: documents }, () => {
+                if (callback) callback(result);
+            });
+        });
+    }
+
+    /**
+     * Build a document from file contents
+     * @param {string} name - File name
+     * @param {string} type - MIME type
+     * @param {string} dataUrl - File contents as a data URL
+     * @returns {Object} - Document
+     * @throws {Error} - If the file is empty or too large
+     */
+    static createDocument(name, type, dataUrl) {
+        const size = this.getDataUrlSize(dataUrl);
+
+        if (size === 0) {
+            throw new Error(`${name} is empty`);
+        }
+        if (size > this.MAX_FILE_SIZE) {
+            throw new Error(`${name} is larger than ${Math.round(this.MAX_FILE_SIZE / 1024 / 1024)} MB`);
+        }
+
+        return {
+            id: `document-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            type: type || 'application/octet-stream',
+            size,
+            dataUrl,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Save the resume file of a profile, replacing the previous one
+     * @param {string} profileId - Profile id
+     * @param {Object} storedDocument - Document from createDocument()
+     * @param {Function} [callback] - Receives the document
+     */
+    static saveResume(profileId, storedDocument, callback) {
+        this.update(documents => {
+            documents[profileId] = { coverLetters: [], ...documents[profileId], resume: storedDocument };
+            return storedDocument;
+        }, callback);
+    }
+
+    /**
+     * Add a cover letter to a profile
+     * @param {string} profileId - Profile id
+     * @param {Object} storedDocument - Document from createDocument()
+     * @param {string} site - Site pattern it is limited to, or '' for every site
+     * @param {Function} [callback] - Receives the cover letter
+     */
+    static addCoverLetter(profileId, storedDocument, site, callback) {
+        this.update(documents => {
+            const coverLetter = { ...storedDocument, site: (site || '').trim().toLowerCase() };
+            const profileDocuments = { resume: null, coverLetters: [], ...documents[profileId] };
+            profileDocuments.coverLetters = profileDocuments.coverLetters.concat(coverLetter);
+            documents[profileId] = profileDocuments;
+            return coverLetter;
+        }, callback);
+    }
+
+    /**
+     * Remove a resume file or cover letter from a profile
+     * @param {string} profileId - Profile id
+     * @param {string} documentId - Document id
+     * @param {Function} [callback] - Called when done
+     */
+    static removeDocument(profileId, documentId, callback) {
+        this.update(documents => {
+            const profileDocuments = documents[profileId];
+            if (!profileDocuments) return;
+
+            if (profileDocuments.resume && profileDocuments.resume.id === documentId) {
+                profileDocuments.resume = null;
+            }
+            profileDocuments.coverLetters = (profileDocuments.coverLetters || [])
+                .filter(coverLetter => coverLetter.id !== documentId);
+        }, callback);
+    }
+
+    /**
+     * Copy a profile's documents to another profile
+     * @param {string} fromProfileId - Source profile id
+     * @param {string} toProfileId - Target profile id
+     * @param {Function} [callback] - Called when done
+     */
+    static copyProfileDocuments(fromProfileId, toProfileId, callback) {
+        this.update(documents => {
+            if (documents[fromProfileId]) {
+                documents[toProfileId] = JSON.parse(JSON.stringify(documents[fromProfileId]));
+            }
+        }, callback);
+    }
+
+    /**
+     * Remove every document of a profile
+     * @param {string} profileId - Profile id
+     * @param {Function} [callback] - Called when done
+     */
+    static removeProfileDocuments(profileId, callback) {
+        this.update(documents => {
+            delete documents[profileId];
+        }, callback);
+    }
+
+    /**
+     * Remove every stored document
+     * @param {Function} [callback] - Called when done
+     */
+    static clear(callback) {
+        chrome.storage.local.remove(this.STORAGE_KEY, callback);
+    }
+
+    /**
+     * Get the document to attach to an upload field
+     * @param {string} kind - 'resume' or 'coverLetter'
+     * @param {string} [url] - Page URL
+     * @returns {Object|null} - Document, or null if none is stored
+     */
+    static getDocument(kind, url = window.location.href) {
+        if (kind === 'resume') return this.documents.resume;
+        if (kind !== 'coverLetter') return null;
+
+        const profileStore = window.ProfileStore || ProfileStore;
+        const coverLetters = this.documents.coverLetters;
+        return coverLetters.find(coverLetter => coverLetter.site && profileStore.matchesPattern(coverLetter.site, url)) ||
+            coverLetters.find(coverLetter => !coverLetter.site) ||
+            null;
+    }
+
+    /**
+     * Turn a stored document back into a File
+     * @param {Object} storedDocument - Stored document
+     * @returns {File} - File with the original name and type
+     */
+    static toFile(storedDocument) {
+        const base64 = storedDocument.dataUrl.slice(storedDocument.dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new File([bytes], storedDocument.name, { type: storedDocument.type });
+    }
+
+    /**
+     * Work out the size of the file in a base64 data URL
+     * @param {string} dataUrl - Data URL
+     * @returns {number} - Size in bytes
+     */
+    static getDataUrlSize(dataUrl) {
+        const base64 = String(dataUrl || '').slice(String(dataUrl || '').indexOf(',') + 1);
+        const padding = (base64.match(/=+$/) || [''])[0].length;
+        return Math.max(0, Math.floor(base64.length * 3 / 4) - padding);
+    }
+
+    /**
+     * Describe a document for display
+     * @param {Object} storedDocument - Stored document
+     * @returns {string} - Name and size
+     */
+    static describe(storedDocument) {
+        const size = storedDocument.size >= 1024 * 1024
+            ? `${(storedDocument.size / 1024 / 1024).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(storedDocument.size / 1024))} KB`;
+        return `${storedDocument.name} (${size})`;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentStore;
+}
@@ -0,0 +1,251 @@
+/**
+ * Field Highlighter Module
+ *
+ * Outlines fields whose mapping JobFill is unsure about. Focusing or hovering such a field shows
+ * a tooltip with the guessed profile attribute and a picker to reassign it; the choice is handed
+ * to the content script, which refills the field and remembers the mapping for the site.
+ *
+ * The tooltip lives in a shadow root so the page's styles cannot reach it.
+ */
+
+class FieldHighlighter {
+    static HOST_ID = 'jobfill-field-highlighter';
+
+    static OUTLINE = '2px dashed #f9ab00';
+
+    // Profile attributes offered in the picker
+    static ATTRIBUTES = {
+        personal: {
+            label: 'Personal',
+            subcategories: {
+                name: 'Full name', firstName: 'First name', middleName: 'Middle name', lastName: 'Last name',
+                email: 'Email', phone: 'Phone', phoneCountryCode: 'Phone country code', phoneAreaCode: 'Phone area code',
+                address: 'Address', city: 'City', state: 'State', zipCode: 'ZIP code', country: 'Country'
+            }
+        },
+        education: {
+            label: 'Education',
+            subcategories: {
+                school: 'School', degree: 'Degree', fieldOfStudy: 'Field of study', gpa: 'GPA',
+                startDate: 'Start date', endDate: 'End date', graduationDate: 'Graduation date'
+            }
+        },
+        experience: {
+            label: 'Experience',
+            subcategories: {
+                title: 'Job title', company: 'Company', startDate: 'Start date', endDate: 'End date',
+                description: 'Description', currentJob: 'Current job'
+            }
+        },
+        skills: {
+            label: 'Skills',
+            subcategories: { skills: 'Skills' }
+        },
+        other: {
+            label: 'Links',
+            subcategories: { linkedin: 'LinkedIn', website: 'Website', github: 'GitHub', twitter: 'Twitter' }
+        }
+    };
+
+    static STYLES = `
+        :host { all: initial; }
+        .tooltip {
+            position: fixed; z-index: 2147483647; width: 280px; padding: 10px 12px;
+            background: white; color: #333; border: 1px solid #f9ab00; border-radius: 6px;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+            font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        .guess { margin-bottom: 8px; }
+        select { width: 100%; margin-bottom: 8px; font: inherit; }
+        .actions { display: flex; gap: 6px; justify-content: flex-end; }
+        button { font: inherit; cursor: pointer; border-radius: 4px; padding: 3px 10px;
+            border: 1px solid #4285f4; background: white; color: #4285f4; }
+        button.primary { background: #4285f4; color: white; }
+    `;
+
+    // Highlighted element => {result, previousOutline, onShow}
+    static highlighted = new Map();
+    static onReassign = null;
+
+    // Element the open tooltip belongs to
+    static tooltipElement = null;
+
+    /**
+     * Outline uncertain fields from a fill report, replacing earlier highlights
+     * @param {Array} results - Fill results (with element references)
+     * @param {Object} options - {threshold, onReassign} where onReassign receives (result, {category, subcategory})
+     */
+    static highlight(results, options = {}) {
+        this.clear();
+
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const threshold = options.threshold ?? autoFiller.LOW_CONFIDENCE;
+        this.onReassign = options.onReassign || null;
+
+        results
+            .filter(result => result.element && result.element.isConnected)
+            .filter(result => result.status === 'lowConfidence' ||
+                (result.status === 'skipped' && result.reason === 'confidence' && result.confidence < threshold))
+            .forEach(result => this.addHighlight(result));
+    }
+
+    /**
+     * Outline one field and show the tooltip when it is focused or hovered
+     * @param {Object} result - Fill result
+     */
+    static addHighlight(result) {
+        const { element } = result;
+        const onShow = () => this.showTooltip(element);
+
+        this.highlighted.set(element, { result, previousOutline: element.style.outline, onShow });
+        element.style.outline = this.OUTLINE;
+        element.addEventListener('focus', onShow);
+        element.addEventListener('mouseenter', onShow);
+    }
+
+    /**
+     * Remove the outline of one field
+     * @param {Element} element - Highlighted element
+     */
+    static removeHighlight(element) {
+        const entry = this.highlighted.get(element);
+        if (!entry) return;
+
+        element.style.outline = entry.previousOutline;
+        element.removeEventListener('focus', entry.onShow);
+        element.removeEventListener('mouseenter', entry.onShow);
+        this.highlighted.delete(element);
+
+        if (this.tooltipElement === element) this.hideTooltip();
+    }
+
+    /**
+     * Remove every highlight and the tooltip
+     */
+    static clear() {
+        Array.from(this.highlighted.keys()).forEach(element => this.removeHighlight(element));
+        this.hideTooltip();
+    }
+
+    /**
+     * Show the mapping tooltip below a highlighted field
+     * @param {Element} element - Highlighted element
+     */
+    static showTooltip(element) {
+        const entry = this.highlighted.get(element);
+        if (!entry || (this.tooltipElement === element && document.getElementById(this.HOST_ID))) return;
+
+        this.hideTooltip();
+        this.tooltipElement = element;
+        const { result } = entry;
+
+        const host = document.createElement('div');
+        host.id = this.HOST_ID;
+        const root = host.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = this.STYLES;
+        root.appendChild(style);
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tooltip';
+        root.appendChild(tooltip);
+
+        const guess = document.createElement('div');
+        guess.className = 'guess';
+        const confidence = typeof result.confidence === 'number' ? ` (${Math.round(result.confidence * 100)}% sure)` : '';
+        guess.textContent = `JobFill guessed: ${this.describeAttribute(result.category, result.subcategory)}${confidence}`;
+        tooltip.appendChild(guess);
+
+        const picker = this.createPicker(result);
+        tooltip.appendChild(picker);
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+
+        const dismissButton = document.createElement('button');
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.addEventListener('click', () => this.hideTooltip());
+        actions.appendChild(dismissButton);
+
+        const saveButton = document.createElement('button');
+        saveButton.className = 'primary';
+        saveButton.textContent = 'Save';
+        saveButton.addEventListener('click', () => {
+            const [category, subcategory] = picker.value.split('.');
+            this.removeHighlight(element);
+            this.hideTooltip();
+            if (this.onReassign) this.onReassign(result, { category, subcategory });
+        });
+        actions.appendChild(saveButton);
+        tooltip.appendChild(actions);
+
+        // Place below the field, or above it near the bottom of the viewport
+        const rect = element.getBoundingClientRect();
+        const top = rect.bottom + 140 > window.innerHeight ? Math.max(rect.top - 140, 0) : rect.bottom + 6;
+        tooltip.style.top = `${top}px`;
+        tooltip.style.left = `${Math.max(Math.min(rect.left, window.innerWidth - 300), 0)}px`;
+
+        document.documentElement.appendChild(host);
+    }
+
+    /**
+     * Build the attribute picker, preselecting the current guess
+     * @param {Object} result - Fill result
+     * @returns {Element} - Select element
+     */
+    static createPicker(result) {
+        const picker = document.createElement('select');
+        picker.setAttribute('aria-label', 'Profile attribute');
+
+        Object.entries(this.ATTRIBUTES).forEach(([category, { label, subcategories }]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+
+            Object.entries(subcategories).forEach(([subcategory, text]) => {
+                const option = document.createElement('option');
+                option.value = `${category}.${subcategory}`;
+                option.textContent = text;
+                group.appendChild(option);
+            });
+            picker.appendChild(group);
+        });
+
+        const ignoreOption = document.createElement('option');
+        ignoreOption.value = 'unknown.unknown';
+        ignoreOption.textContent = 'Not a profile field (leave empty)';
+        picker.appendChild(ignoreOption);
+
+        picker.value = `${result.category}.${result.subcategory}`;
+        if (!picker.value) picker.value = 'unknown.unknown';
+
+        return picker;
+    }
+
+    /**
+     * Remove the tooltip
+     */
+    static hideTooltip() {
+        const host = document.getElementById(this.HOST_ID);
+        if (host) host.remove();
+        this.tooltipElement = null;
+    }
+
+    /**
+     * Describe a profile attribute for display
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {string} - Display text like "Personal > Phone"
+     */
+    static describeAttribute(category, subcategory) {
+        const group = this.ATTRIBUTES[category];
+        if (!group) return `${category} > ${subcategory}`;
+
+        return `${group.label} > ${group.subcategories[subcategory] || subcategory}`;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldHighlighter;
+}
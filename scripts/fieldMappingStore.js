@@ -0,0 +1,262 @@
+/**
+ * Field Mapping Store Module
+ *
+ * Remembers which profile attribute a field maps to on a given site, so a correction made once
+ * applies the next time the same field shows up. Fields are identified by a signature built from
+ * their tag, type, name (or automation id) and label, with generated index segments such as
+ * "[0]" or "_0_" collapsed so repeated entries still match. Radio buttons are identified by
+ * their group and question, so a mapping learned on one option applies to the whole group.
+ *
+ * Mappings come from corrections made in the highlight tooltip, from values the user changes
+ * after a fill, or from a file shared by a teammate. Detection applies them before (and instead
+ * of) the keyword heuristics.
+ *
+ * Storage key:
+ *   fieldMappings - {hostname: {signature: {category, subcategory, source, updatedAt}}}
+ */
+
+class FieldMappingStore {
+    static STORAGE_KEY = 'fieldMappings';
+
+    // Identifies exported mapping files
+    static EXPORT_FORMAT = 'jobfill-field-mappings';
+    static EXPORT_VERSION = 1;
+
+    // Keys an imported file may not use as a hostname or signature, as they would reach
+    // Object.prototype
+    static RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+    // Mappings of the current site, loaded by load()
+    static hostname = null;
+    static mappings = {};
+
+    /**
+     * Load the mappings of a site
+     * @param {string} hostname - Site hostname
+     * @param {Function} callback - Receives the site's mappings
+     */
+    static load(hostname, callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const allMappings = data[this.STORAGE_KEY] || {};
+
+            this.hostname = hostname;
+            this.mappings = allMappings[hostname] || {};
+            if (callback) callback(this.mappings);
+        });
+    }
+
+    /**
+     * Build the signature that identifies a field on a site
+     * @param {Element} element - Form element
+     * @returns {string} - Field signature
+     */
+    static getSignature(element) {
+        const formDetector = window.FormDetector || FormDetector;
+        const metadata = formDetector.getFieldMetadata(element);
+
+        const type = element.tagName === 'INPUT' ? (element.type || 'text') : '';
+        let key = element.getAttribute('data-automation-id') || element.name || element.id || '';
+        let label = metadata.labelText || metadata.ariaLabel || metadata.placeholder || '';
+
+        // An option's own id and label differ within its group
+        if (type === 'radio') {
+            const autoFiller = window.AutoFiller || AutoFiller;
+            key = element.name || '';
+            label = autoFiller.getQuestionText(element);
+        }
+
+        return [
+            element.tagName.toLowerCase() + (type ? `:${type}` : ''),
+            this.normalizePart(key),
+            this.normalizePart(label).slice(0, 80)
+        ].join('|');
+    }
+
+    /**
+     * Normalize part of a signature. Only index segments a form generates for repeated entries
+     * are collapsed; other digits tell fields apart ("Address line 1", "phone2")
+     * @param {string} text - Raw text
+     * @returns {string} - Lowercased text with "[0]", "-0-", "_0_" and ".0." collapsed to "#"
+     */
+    static normalizePart(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/([[\-_.])\d+(?=[\]\-_.])/g, '$1#')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Get the saved mapping of an element on the current site
+     * @param {Element} element - Form element
+     * @returns {Object|null} - {category, subcategory} or null
+     */
+    static lookup(element) {
+        return this.mappings[this.getSignature(element)] || null;
+    }
+
+    /**
+     * Apply saved mappings to detected fields. Mapped fields get full confidence
+     * @param {Array} fields - Field objects
+     * @returns {Array} - The same fields
+     */
+    static applyToFields(fields) {
+        if (Object.keys(this.mappings).length === 0) return fields;
+
+        fields.forEach(field => {
+            const mapping = this.lookup(field.element);
+            if (!mapping) return;
+
+            field.category = mapping.category;
+            field.subcategory = mapping.subcategory;
+            field.confidence = 1;
+            field.mappingSource = 'saved';
+        });
+
+        return fields;
+    }
+
+    /**
+     * Save the mapping of an element on the current site
+     * @param {Element} element - Form element
+     * @param {Object} mapping - {category, subcategory, source} where source is 'correction' or 'edit'
+     * @param {Function} [callback] - Called when saved
+     */
+    static saveMapping(element, mapping, callback) {
+        const signature = this.getSignature(element);
+        const entry = {
+            category: mapping.category,
+            subcategory: mapping.subcategory,
+            source: mapping.source || 'correction',
+            updatedAt: new Date().toISOString()
+        };
+        this.mappings[signature] = entry;
+
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const allMappings = data[this.STORAGE_KEY] || {};
+            allMappings[this.hostname] = { ...allMappings[this.hostname], [signature]: entry };
+
+            chrome.storage.local.set({ [this.STORAGE_KEY]: allMappings }, () => {
+                if (callback) callback(entry);
+            });
+        });
+    }
+
+    /**
+     * Count the stored mappings
+     * @param {Function} callback - Receives {sites, mappings}
+     */
+    static getSummary(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            const allMappings = data[this.STORAGE_KEY] || {};
+            const sites = Object.keys(allMappings).filter(hostname => Object.keys(allMappings[hostname]).length > 0);
+
+            callback({
+                sites: sites.length,
+                mappings: sites.reduce((total, hostname) => total + Object.keys(allMappings[hostname]).length, 0)
+            });
+        });
+    }
+
+    /**
+     * Build a shareable export of every stored mapping
+     * @param {Function} callback - Receives the export object
+     */
+    static exportMappings(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            callback({
+                format: this.EXPORT_FORMAT,
+                version: this.EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                mappings: data[this.STORAGE_KEY] || {}
+            });
+        });
+    }
+
+    /**
+     * Merge an export into the stored mappings. For a signature present in both, the more
+     * recently updated mapping wins
+     * @param {Object} data - Parsed export file
+     * @param {Function} [callback] - Receives {added, updated, skipped}
+     * @throws {Error} - If the data is not a mapping export
+     */
+    static importMappings(data, callback) {
+        const imported = this.validateExport(data);
+
+        chrome.storage.local.get(this.STORAGE_KEY, stored => {
+            const allMappings = stored[this.STORAGE_KEY] || {};
+            const summary = { added: 0, updated: 0, skipped: 0 };
+
+            Object.entries(imported).forEach(([hostname, siteMappings]) => {
+                const existing = Object.assign(Object.create(null), allMappings[hostname]);
+
+                Object.entries(siteMappings).forEach(([signature, entry]) => {
+                    const current = existing[signature];
+                    if (current && (current.updatedAt || '') >= (entry.updatedAt || '')) {
+                        summary.skipped++;
+                        return;
+                    }
+
+                    summary[current ? 'updated' : 'added']++;
+                    existing[signature] = {
+                        category: entry.category,
+                        subcategory: entry.subcategory,
+                        source: 'import',
+                        updatedAt: entry.updatedAt || new Date().toISOString()
+                    };
+                });
+
+                allMappings[hostname] = existing;
+            });
+
+            chrome.storage.local.set({ [this.STORAGE_KEY]: allMappings }, () => {
+                if (this.hostname && allMappings[this.hostname]) {
+                    this.mappings = allMappings[this.hostname];
+                }
+                if (callback) callback(summary);
+            });
+        });
+    }
+
+    /**
+     * Check that data is a mapping export and return its mappings, without malformed entries
+     * @param {Object} data - Parsed export file
+     * @returns {Object} - {hostname: {signature: entry}}
+     * @throws {Error} - If the data is not a mapping export
+     */
+    static validateExport(data) {
+        if (!data || data.format !== this.EXPORT_FORMAT || typeof data.mappings !== 'object' || data.mappings === null) {
+            throw new Error('This file is not a JobFill field mapping export');
+        }
+        if (data.version > this.EXPORT_VERSION) {
+            throw new Error('This file was exported by a newer version of JobFill');
+        }
+
+        const mappings = Object.create(null);
+        Object.entries(data.mappings).forEach(([hostname, siteMappings]) => {
+            if (this.RESERVED_KEYS.includes(hostname)) return;
+            if (!siteMappings || typeof siteMappings !== 'object' || Array.isArray(siteMappings)) return;
+
+            Object.entries(siteMappings).forEach(([signature, entry]) => {
+                if (this.RESERVED_KEYS.includes(signature)) return;
+
+                if (entry && typeof entry.category === 'string' && typeof entry.subcategory === 'string') {
+                    mappings[hostname] = mappings[hostname] || Object.create(null);
+                    mappings[hostname][signature] = {
+                        category: entry.category,
+                        subcategory: entry.subcategory,
+                        source: typeof entry.source === 'string' ? entry.source : 'import',
+                        updatedAt: typeof entry.updatedAt === 'string' ? entry.updatedAt : ''
+                    };
+                }
+            });
+        });
+
+        return mappings;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldMappingStore;
+}
@@ -0,0 +1,212 @@
+/**
+ * Fill Preview Module
+ *
+ * Shows the values a dry-run fill would write in a side panel on the page. Each row lists the
+ * field's label, detected category, confidence, current and proposed value, and can be accepted,
+ * edited or rejected before "Apply" writes the accepted values.
+ *
+ * The panel lives in a shadow root so the page's styles cannot reach it.
+ */
+
+class FillPreview {
+    static HOST_ID = 'jobfill-fill-preview';
+
+    static STYLES = `
+        :host { all: initial; }
+        .panel {
+            position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+            width: 420px; max-height: calc(100vh - 32px); display: flex; flex-direction: column;
+            background: white; color: #333; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        header { padding: 12px 16px; border-bottom: 1px solid #dadce0; }
+        h2 { margin: 0; font-size: 15px; color: #4285f4; }
+        .rows { overflow-y: auto; padding: 8px 16px; }
+        .row { padding: 8px 0; border-bottom: 1px solid #f1f3f4; }
+        .row.rejected { opacity: 0.5; }
+        .label { font-weight: 600; }
+        .meta, .current, .note { color: #5f6368; font-size: 12px; margin: 2px 0; }
+        .proposed { width: 100%; box-sizing: border-box; margin: 4px 0; padding: 4px 6px;
+            border: 1px solid #dadce0; border-radius: 4px; font: inherit; }
+        .proposed[readonly] { background: #f8f9fa; }
+        textarea.proposed { resize: vertical; font: inherit; }
+        .decision { display: flex; gap: 6px; }
+        button { font: inherit; cursor: pointer; border-radius: 4px; padding: 4px 10px;
+            border: 1px solid #4285f4; background: white; color: #4285f4; }
+        button.selected { background: #4285f4; color: white; }
+        footer { display: flex; gap: 8px; justify-content: flex-end; padding: 12px 16px;
+            border-top: 1px solid #dadce0; }
+        footer .primary { background: #4285f4; color: white; }
+    `;
+
+    /**
+     * Show the preview panel, replacing any open one
+     * @param {Array} results - Planned results from a dry-run (AutoFiller.fillFields / recordWrites)
+     * @param {Object} options - {unplaced, manual, onApply} where manual lists questions and
+     *   consent checkboxes left for the user and onApply receives [{result, editedValue}] and returns the number of values
+     *   written and failed ({applied, failed})
+     */
+    static show(results, options = {}) {
+        this.close();
+
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const host = document.createElement('div');
+        host.id = this.HOST_ID;
+        const root = host.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = this.STYLES;
+        root.appendChild(style);
+
+        const panel = this.createElement('div', 'panel');
+        root.appendChild(panel);
+
+        const header = this.createElement('header');
+        header.appendChild(this.createElement('h2', null, 'JobFill preview'));
+        header.appendChild(this.createElement('div', 'note',
+            results.length > 0
+                ? `${results.length} field(s) would be filled. Nothing is written until you apply.`
+                : 'Nothing to fill on this page.'));
+        panel.appendChild(header);
+
+        const rowList = this.createElement('div', 'rows');
+        const rows = results.map(result => this.createRow(result, autoFiller));
+        rows.forEach(row => rowList.appendChild(row.element));
+
+        if (options.unplaced && options.unplaced.length > 0) {
+            rowList.appendChild(this.createElement('p', 'note',
+                `Not on the form yet (use "Fill Current Page" to add them): ${options.unplaced.map(entry => entry.label).join('; ')}`));
+        }
+        const manual = options.manual || [];
+        const unanswered = manual.filter(result => result.reason !== 'consentRequired');
+        const unchecked = manual.filter(result => result.reason === 'consentRequired');
+        if (unanswered.length > 0) {
+            rowList.appendChild(this.createElement('p', 'note',
+                `Left for you to answer: ${unanswered.map(result => result.label).join('; ')}`));
+        }
+        if (unchecked.length > 0) {
+            rowList.appendChild(this.createElement('p', 'note',
+                `Not checked without your opt-in: ${unchecked.map(result => result.label).join('; ')}`));
+        }
+        panel.appendChild(rowList);
+
+        const footer = this.createElement('footer');
+        const cancelButton = this.createElement('button', null, 'Cancel');
+        cancelButton.addEventListener('click', () => this.close());
+        footer.appendChild(cancelButton);
+
+        const applyButton = this.createElement('button', 'primary', 'Apply');
+        applyButton.disabled = results.length === 0;
+        applyButton.addEventListener('click', () => {
+            const decisions = rows.filter(row => row.isAccepted()).map(row => row.getDecision());
+            const summary = options.onApply ? options.onApply(decisions) : { applied: 0, failed: 0 };
+            this.showSummary(panel, summary);
+        });
+        footer.appendChild(applyButton);
+        panel.appendChild(footer);
+
+        document.documentElement.appendChild(host);
+    }
+
+    /**
+     * Build the row of one planned result
+     * @param {Object} result - Planned result
+     * @param {Object} autoFiller - AutoFiller class
+     * @returns {Object} - {element, isAccepted, getDecision}
+     */
+    static createRow(result, autoFiller) {
+        const row = this.createElement('div', 'row');
+        let accepted = true;
+
+        row.appendChild(this.createElement('div', 'label', result.label || '(unlabeled field)'));
+
+        const confidence = typeof result.confidence === 'number'
+            ? `${Math.round(result.confidence * 100)}% confidence`
+            : 'site question';
+        const entry = result.entryIndex !== undefined ? ` · entry ${result.entryIndex + 1}` : '';
+        row.appendChild(this.createElement('div', 'meta', `${result.category}/${result.subcategory}${entry} · ${confidence}`));
+
+        const currentValue = autoFiller.describeCurrentValue(result.element);
+        row.appendChild(this.createElement('div', 'current', `Current: ${currentValue || '(empty)'}`));
+
+        // Radio buttons, checkboxes and stored attachments can only be accepted or rejected;
+        // letters get room to be edited before they are inserted or attached
+        const proposedValue = autoFiller.describePlannedValue(result);
+        const storedAttachment = result.element.type === 'file' && typeof (result.candidates || [])[0] === 'object';
+        const multiline = result.element.tagName === 'TEXTAREA' ||
+            (result.element.type === 'file' && !storedAttachment) ||
+            proposedValue.includes('\n');
+        const input = this.createElement(multiline ? 'textarea' : 'input', 'proposed');
+        if (input.tagName === 'TEXTAREA') input.rows = 8;
+        input.value = proposedValue;
+        input.readOnly = result.element.type === 'radio' || result.element.type === 'checkbox' || storedAttachment;
+        input.setAttribute('aria-label', 'Proposed value');
+        row.appendChild(input);
+
+        const decision = this.createElement('div', 'decision');
+        const acceptButton = this.createElement('button', 'selected', 'Accept');
+        const rejectButton = this.createElement('button', null, 'Reject');
+        const setAccepted = value => {
+            accepted = value;
+            acceptButton.classList.toggle('selected', value);
+            rejectButton.classList.toggle('selected', !value);
+            row.classList.toggle('rejected', !value);
+        };
+        acceptButton.addEventListener('click', () => setAccepted(true));
+        rejectButton.addEventListener('click', () => setAccepted(false));
+        decision.appendChild(acceptButton);
+        decision.appendChild(rejectButton);
+        row.appendChild(decision);
+
+        return {
+            element: row,
+            isAccepted: () => accepted,
+            getDecision: () => ({
+                result,
+                editedValue: !input.readOnly && input.value !== proposedValue ? input.value : undefined
+            })
+        };
+    }
+
+    /**
+     * Replace the panel content with the outcome of "Apply"
+     * @param {Element} panel - Panel element
+     * @param {Object} summary - {applied, failed}
+     */
+    static showSummary(panel, summary) {
+        panel.querySelector('.rows').replaceChildren(this.createElement('p', 'note',
+            `Applied ${summary.applied} value(s)${summary.failed > 0 ? `, ${summary.failed} could not be written` : ''}.`));
+
+        const footer = panel.querySelector('footer');
+        const closeButton = this.createElement('button', 'primary', 'Close');
+        closeButton.addEventListener('click', () => this.close());
+        footer.replaceChildren(closeButton);
+    }
+
+    /**
+     * Remove the preview panel
+     */
+    static close() {
+        const host = document.getElementById(this.HOST_ID);
+        if (host) host.remove();
+    }
+
+    /**
+     * Create an element with an optional class and text
+     * @param {string} tagName - Tag name
+     * @param {string|null} className - Class name
+     * @param {string} [text] - Text content
+     * @returns {Element} - New element
+     */
+    static createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FillPreview;
+}
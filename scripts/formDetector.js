@@ -33,8 +33,7 @@ class FormDetector {
             field.disabled ||
             field.readOnly ||
             field.type === 'submit' ||
-            field.type === 'button' ||
-            field.type === 'file'
+            field.type === 'button'
         ) {
             return false;
         }
@@ -112,9 +111,10 @@ class FormDetector {
         let labelText = '';
         let labelForField = false;
 
-        // Check for a label with 'for' attribute matching this field's id
+        // Check for a label with 'for' attribute matching this field's id, within the same
+        // document or shadow root
         if (field.id) {
-            const labelElement = document.querySelector(`label[for="${field.id}"]`);
+            const labelElement = field.getRootNode().querySelector(`label[for="${field.id}"]`);
             if (labelElement) {
                 labelText = labelElement.textContent.trim().toLowerCase();
                 labelForField = true;
@@ -246,6 +246,12 @@ class FormDetector {
                 phone: [
                     'phone', 'telephone', 'mobile', 'cell', 'phone number'
                 ],
+                phoneCountryCode: [
+                    'country code', 'dialing code', 'dial code', 'calling code', 'phone code'
+                ],
+                phoneAreaCode: [
+                    'area code'
+                ],
                 address: [
                     'address', 'street', 'street address', 'address line', 'mailing address'
                 ],
@@ -321,7 +327,8 @@ class FormDetector {
                     'relocation', 'willing to relocate', 'can relocate', 'relocate'
                 ],
                 citizenship: [
-                    'citizenship', 'citizen', 'work authorization', 'authorized to work', 'visa'
+                    'citizenship', 'citizen', 'work authorization', 'authorized to work', 'visa',
+                    'sponsorship', 'require sponsorship'
                 ],
                 linkedin: [
                     'linkedin', 'linkedin url', 'linkedin profile'
@@ -351,14 +358,23 @@ class FormDetector {
         let category = 'unknown';
         let subcategory = 'unknown';
         let highestMatchScore = 0;
+        let highestSpecificity = 0;
 
         // Look through all patterns to find the best match
         for (const [cat, subcats] of Object.entries(patterns)) {
             for (const [subcat, patterns] of Object.entries(subcats)) {
                 const matchScore = this.calculateMatchScore(metadata, patterns);
+                if (matchScore === 0) continue;
+
+                // On a tie, the more specific pattern wins ("first name" over "name")
+                const specificity = this.calculateMatchSpecificity(metadata, patterns);
 
-                if (matchScore > highestMatchScore) {
+                if (
+                    matchScore > highestMatchScore ||
+                    (matchScore === highestMatchScore && specificity > highestSpecificity)
+                ) {
                     highestMatchScore = matchScore;
+                    highestSpecificity = specificity;
                     category = cat;
                     subcategory = subcat;
                 }
@@ -450,6 +466,20 @@ class FormDetector {
         return score;
     }
 
+    /**
+     * Get the length of the longest pattern found in the field's identifying text
+     * @param {object} metadata - Field metadata
+     * @param {array} patterns - Array of patterns to match
+     * @returns {number} - Length of the longest matching pattern
+     */
+    static calculateMatchSpecificity(metadata, patterns) {
+        const texts = [metadata.id, metadata.name, metadata.labelText, metadata.placeholder, metadata.ariaLabel];
+
+        return patterns
+            .filter(pattern => texts.some(text => text.includes(pattern)))
+            .reduce((longest, pattern) => Math.max(longest, pattern.length), 0);
+    }
+
     /**
      * Calculate confidence score for field categorization
      * @param {object} metadata - Field metadata
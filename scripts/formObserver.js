@@ -0,0 +1,230 @@
+/**
+ * Form Observer Module
+ *
+ * This module watches the page for form fields that are rendered after the initial fill,
+ * as happens on multi-step Workday, Greenhouse and Lever applications, and tracks which
+ * fields have already been handled or edited by the user. Shadow roots and frame documents
+ * an adapter reports, such as those of SmartRecruiters' web components or the iCIMS
+ * application iframe, are watched as well as the document.
+ */
+
+class FormObserver {
+    // Wait for the DOM to settle before looking for new fields
+    static DEBOUNCE_MS = 500;
+
+    static observer = null;
+    static debounceTimer = null;
+    static onChange = null;
+    static onUserEdit = null;
+
+    static OBSERVE_OPTIONS = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        // Multi-step forms often reveal the next step by toggling visibility
+        attributeFilter: ['style', 'class', 'hidden', 'aria-hidden']
+    };
+
+    // Shadow roots and frame documents observed besides the document
+    static observedRoots = new WeakSet();
+
+    // Whether added elements are searched for shadow roots, for sites built from web components
+    static scanShadowRoots = false;
+
+    // Documents and shadow roots whose user edits are tracked
+    static trackedRoots = new WeakSet();
+
+    // Elements already handled by a fill pass, keyed by element identity
+    static seenElements = new WeakSet();
+
+    // Elements the user typed into or changed themselves
+    static userEditedElements = new WeakSet();
+
+    // Set while the extension itself is writing to the page
+    static suppressEditTracking = false;
+
+    /**
+     * Start observing the page
+     * @param {Function} onChange - Called (debounced) when form fields may have been added
+     * @param {Function} [onUserEdit] - Called with the element when the user changes a field's value
+     */
+    static start(onChange, onUserEdit) {
+        this.onChange = onChange;
+        this.onUserEdit = onUserEdit || null;
+
+        if (this.observer) return;
+
+        this.trackUserEdits(document);
+
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(document.documentElement, this.OBSERVE_OPTIONS);
+    }
+
+    /**
+     * Also observe roots the document observer cannot see into, such as the shadow roots of
+     * web components or the documents of same-origin iframes. Roots already observed are
+     * skipped, so this can run on every pass
+     * @param {Array} roots - Shadow roots and documents
+     * @param {boolean} [scanShadowRoots] - Search added elements for shadow roots as well
+     */
+    static observeRoots(roots, scanShadowRoots = false) {
+        if (!this.observer) return;
+
+        this.scanShadowRoots = scanShadowRoots;
+
+        roots.filter(root => !this.observedRoots.has(root)).forEach(root => {
+            this.observedRoots.add(root);
+            this.observer.observe(root, this.OBSERVE_OPTIONS);
+            this.trackUserEdits(root);
+        });
+    }
+
+    /**
+     * Stop observing the page
+     */
+    static stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+            this.observedRoots = new WeakSet();
+        }
+
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+    }
+
+    /**
+     * Handle a batch of DOM mutations
+     * @param {Array} mutations - MutationRecords
+     */
+    static handleMutations(mutations) {
+        const relevant = mutations.some(mutation => {
+            if (mutation.type === 'attributes') {
+                return this.containsFormElement(mutation.target);
+            }
+
+            return Array.from(mutation.addedNodes).some(node => this.containsFormElement(node));
+        });
+
+        if (relevant) {
+            this.scheduleCheck();
+        }
+    }
+
+    /**
+     * Schedule a debounced change notification
+     */
+    static scheduleCheck() {
+        clearTimeout(this.debounceTimer);
+
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            if (typeof this.onChange === 'function') {
+                this.onChange();
+            }
+        }, this.DEBOUNCE_MS);
+    }
+
+    /**
+     * Check whether a node is or may hold a form field
+     * @param {Node} node - Added or changed node
+     * @returns {boolean} - Whether it is or contains an input, select, textarea or shadow root
+     */
+    static containsFormElement(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        if (this.isFormElement(node) || node.querySelector('input, select, textarea') !== null) return true;
+
+        // A web component renders its fields inside its shadow root, possibly only later.
+        // Searching every added subtree is costly, so only sites built from them do it
+        if (node.shadowRoot) return true;
+        return this.scanShadowRoots && Array.from(node.querySelectorAll('*')).some(element => element.shadowRoot);
+    }
+
+    /**
+     * Check if an element is a form field
+     * @param {Element} element - Element
+     * @returns {boolean} - Whether it is an input, select or textarea
+     */
+    static isFormElement(element) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+    }
+
+    /**
+     * Record fields as handled
+     * @param {Array} fields - Field objects
+     */
+    static markSeen(fields) {
+        fields.forEach(field => this.seenElements.add(field.element));
+    }
+
+    /**
+     * Return the fields that have not been handled yet and mark them as handled
+     * @param {Array} fields - Field objects
+     * @returns {Array} - Fields not seen in an earlier pass
+     */
+    static takeNewFields(fields) {
+        const newFields = fields.filter(field => !this.seenElements.has(field.element));
+        this.markSeen(newFields);
+        return newFields;
+    }
+
+    /**
+     * Listen for edits made by the user so they are never overwritten. Edits inside a shadow
+     * root reach the document with the component as their target, so each root is listened to
+     * @param {Document|ShadowRoot} root - Where to listen
+     */
+    static trackUserEdits(root) {
+        if (this.trackedRoots.has(root)) return;
+        this.trackedRoots.add(root);
+
+        const recordEdit = event => {
+            // Writes made by the extension itself are not user edits
+            if (this.suppressEditTracking) return;
+
+            // Events dispatched by the filler are untrusted; only real user input counts
+            if (event.isTrusted && event.target && this.isFormElement(event.target)) {
+                this.userEditedElements.add(event.target);
+
+                // Report finished edits, not every keystroke
+                if (event.type === 'change' && this.onUserEdit) {
+                    this.onUserEdit(event.target);
+                }
+            }
+        };
+
+        root.addEventListener('input', recordEdit, true);
+        root.addEventListener('change', recordEdit, true);
+    }
+
+    /**
+     * Run a function that writes to the page without recording its changes as user edits.
+     * Clicking a checkbox from script still fires trusted change events, so those
+     * have to be ignored explicitly.
+     * @param {Function} callback - Function that fills fields
+     * @returns {*} - The callback's return value
+     */
+    static ignoreEdits(callback) {
+        const previous = this.suppressEditTracking;
+        this.suppressEditTracking = true;
+
+        try {
+            return callback();
+        } finally {
+            this.suppressEditTracking = previous;
+        }
+    }
+
+    /**
+     * Check whether the user has edited a field
+     * @param {Element} element - Form element
+     * @returns {boolean} - Whether the user changed the field
+     */
+    static isUserEdited(element) {
+        return this.userEditedElements.has(element);
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormObserver;
+}
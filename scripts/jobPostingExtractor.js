@@ -0,0 +1,352 @@
+/**
+ * Job Posting Extractor Module
+ *
+ * Reads the job posting on the current page: title, company, location, employment type,
+ * salary range, requisition ID and description. Greenhouse, Lever and Workday postings are
+ * read from their own markup, other pages from schema.org JobPosting JSON-LD, and whatever is
+ * still missing from generic page cues (meta tags, headings, "Req ID:" text).
+ *
+ * Posting: {title, company, location, employmentType, salaryRange, requisitionId, description, url}
+ * where missing values are ''
+ */
+
+class JobPostingExtractor {
+    static FIELDS = ['title', 'company', 'location', 'employmentType', 'salaryRange', 'requisitionId', 'description'];
+
+    // Descriptions are kept for the tracker, so very long pages are cut
+    static MAX_DESCRIPTION_LENGTH = 20000;
+
+    // schema.org employmentType values
+    static EMPLOYMENT_TYPES = {
+        FULL_TIME: 'Full time',
+        PART_TIME: 'Part time',
+        CONTRACTOR: 'Contract',
+        TEMPORARY: 'Temporary',
+        INTERN: 'Internship',
+        VOLUNTEER: 'Volunteer',
+        PER_DIEM: 'Per diem',
+        OTHER: 'Other'
+    };
+
+    static EMPLOYMENT_TYPE_PATTERN = /\b(full[- ]time|part[- ]time|contract(?:or)?|temporary|internship|freelance)\b/i;
+
+    // "Requisition ID: R-1234", "Req #1234", "Job ID 1234"; the id must contain a digit
+    static REQUISITION_PATTERN = /\b(?:requisition(?:\s*(?:id|#|number|no\.?))?|req\.?\s*(?:id|#|no\.?)|job\s*(?:id|#|number))(?![a-z])\s*[:#]?\s*((?=[A-Z_-]*\d)[A-Z0-9][A-Z0-9_-]{2,})/i;
+
+    static SALARY_PATTERN = /[$€£]\s?\d[\d,.]*\s?[kK]?\s*(?:-|–|to)\s*[$€£]?\s?\d[\d,.]*\s?[kK]?(?:\s*(?:per|\/)\s*(?:year|yr|hour|hr|annum))?/;
+
+    /**
+     * Extract the posting on the current page. The site's own markup wins, then JSON-LD, then
+     * generic cues, field by field
+     * @param {string} [url] - Page URL
+     * @returns {Object} - Posting
+     */
+    static extract(url = window.location.href) {
+        const sources = [
+            this.extractSite(url),
+            this.extractJsonLd(),
+            this.extractGeneric()
+        ];
+
+        const posting = { url };
+        this.FIELDS.forEach(field => {
+            const source = sources.find(candidate => candidate[field]);
+            posting[field] = source ? source[field] : '';
+        });
+
+        if (posting.description.length > this.MAX_DESCRIPTION_LENGTH) {
+            posting.description = posting.description.slice(0, this.MAX_DESCRIPTION_LENGTH);
+        }
+
+        return posting;
+    }
+
+    /**
+     * Extract the posting with the strategy for the page's applicant tracking system
+     * @param {string} url - Page URL
+     * @returns {Object} - Partial posting, empty for other sites
+     */
+    static extractSite(url) {
+        const { hostname, pathname } = new URL(url);
+
+        if (hostname.includes('greenhouse.io') || document.querySelector('#app_body')) {
+            return this.extractGreenhouse(pathname);
+        }
+        if (hostname.includes('lever.co') || document.querySelector('.posting-headline')) {
+            return this.extractLever(pathname);
+        }
+        if (hostname.includes('workday') || hostname.includes('myworkdayjobs') ||
+            document.querySelector('[data-automation-id="jobPostingHeader"]')) {
+            return this.extractWorkday(hostname, pathname);
+        }
+
+        return {};
+    }
+
+    /**
+     * Greenhouse boards, classic (#app_body) and the newer job-boards layout
+     * @param {string} pathname - Page path
+     * @returns {Object} - Partial posting
+     */
+    static extractGreenhouse(pathname) {
+        const pathParts = pathname.split('/').filter(Boolean);
+        const jobId = pathname.match(/\/jobs\/(\d+)/);
+
+        return {
+            title: this.getText('#app_body .app-title') || this.getText('.job__title h1') || this.getText('#app_body h1'),
+            // "at Acme" under the title on classic boards
+            company: this.getText('#app_body .company-name').replace(/^at\s+/i, '') ||
+                this.fromSlug(pathParts[0] === 'embed' ? '' : pathParts[0]),
+            location: this.getText('#app_body .location') || this.getText('.job__location'),
+            salaryRange: this.getText('.pay-range') || this.getText('.pay-input'),
+            requisitionId: jobId ? jobId[1] : '',
+            description: this.getDescription('#app_body #content') || this.getDescription('.job__description')
+        };
+    }
+
+    /**
+     * Lever postings
+     * @param {string} pathname - Page path
+     * @returns {Object} - Partial posting
+     */
+    static extractLever(pathname) {
+        const pathParts = pathname.split('/').filter(Boolean);
+        const logo = document.querySelector('.main-header-logo img');
+
+        return {
+            title: this.getText('.posting-headline h2') || this.getText('.posting-header h2'),
+            company: (logo && logo.getAttribute('alt') || '').replace(/\s+logo$/i, '') || this.fromSlug(pathParts[0]),
+            location: this.getText('.posting-categories .location') || this.getText('.posting-categories .sort-by-location'),
+            employmentType: this.getText('.posting-categories .commitment') || this.getText('.posting-categories .sort-by-commitment'),
+            salaryRange: this.getText('[data-qa="salary-range"]') || this.getText('.posting-salary'),
+            // Posting id in jobs.lever.co/<company>/<id>
+            requisitionId: pathParts[1] && /^[0-9a-f-]{36}$/i.test(pathParts[1]) ? pathParts[1] : '',
+            description: this.getDescription('[data-qa="job-description"]') || this.getDescription('.posting-page .content')
+        };
+    }
+
+    /**
+     * Workday postings
+     * @param {string} hostname - Page host
+     * @param {string} pathname - Page path
+     * @returns {Object} - Partial posting
+     */
+    static extractWorkday(hostname, pathname) {
+        // Values follow a "Locations" or "Time Type" heading in the same block
+        const detail = automationId => {
+            const element = document.querySelector(`[data-automation-id="${automationId}"]`);
+            if (!element) return '';
+            const value = element.querySelector('dd');
+            return this.cleanText((value || element).textContent);
+        };
+        // Job URLs end with the requisition id, e.g. .../Senior-Engineer_R-12345
+        const requisition = pathname.match(/_((?:JR|R)-?\d+)(?:[/?]|$)/i);
+
+        return {
+            title: this.getText('[data-automation-id="jobPostingHeader"]') || this.getText('[data-automation-id="jobTitle"]'),
+            company: this.fromSlug(hostname.split('.')[0]),
+            location: detail('locations'),
+            employmentType: detail('time'),
+            requisitionId: detail('requisitionId') || (requisition ? requisition[1] : ''),
+            description: this.getDescription('[data-automation-id="jobPostingDescription"]')
+        };
+    }
+
+    /**
+     * Read the first schema.org JobPosting in the page's JSON-LD
+     * @returns {Object} - Partial posting, empty if the page has none
+     */
+    static extractJsonLd() {
+        const posting = this.findJsonLdPosting();
+        if (!posting) return {};
+
+        const organization = posting.hiringOrganization;
+        const identifier = posting.identifier;
+
+        return {
+            title: this.cleanText(posting.title),
+            company: this.cleanText(typeof organization === 'string' ? organization : (organization && organization.name)),
+            location: this.formatJsonLdLocation(posting),
+            employmentType: [].concat(posting.employmentType || [])
+                .map(type => this.EMPLOYMENT_TYPES[type] || this.cleanText(type))
+                .join(', '),
+            salaryRange: this.formatJsonLdSalary(posting.baseSalary),
+            requisitionId: this.cleanText(identifier && typeof identifier === 'object' ? identifier.value : identifier),
+            description: this.htmlToText(posting.description)
+        };
+    }
+
+    /**
+     * Find a JobPosting object in the page's JSON-LD scripts, including @graph lists
+     * @returns {Object|null} - JobPosting
+     */
+    static findJsonLdPosting() {
+        const isPosting = item => item && [].concat(item['@type']).includes('JobPosting');
+
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            let data;
+            try {
+                data = JSON.parse(script.textContent);
+            } catch (error) {
+                continue;
+            }
+
+            const items = [].concat(data).flatMap(item => [item].concat((item && item['@graph']) || []));
+            const posting = items.find(isPosting);
+            if (posting) return posting;
+        }
+
+        return null;
+    }
+
+    /**
+     * Format the locations of a JSON-LD posting as "City, Region, Country; ..."
+     * @param {Object} posting - JobPosting
+     * @returns {string} - Location text
+     */
+    static formatJsonLdLocation(posting) {
+        const locations = [].concat(posting.jobLocation || []).map(location => {
+            const address = (location && location.address) || {};
+            if (typeof address === 'string') return this.cleanText(address);
+
+            const country = address.addressCountry;
+            return [
+                address.addressLocality,
+                address.addressRegion,
+                country && typeof country === 'object' ? country.name : country
+            ].filter(Boolean).map(part => this.cleanText(part)).join(', ');
+        }).filter(Boolean);
+
+        if (posting.jobLocationType === 'TELECOMMUTE') {
+            locations.push('Remote');
+        }
+
+        return locations.join('; ');
+    }
+
+    /**
+     * Format a JSON-LD baseSalary as "USD 120000-150000 per YEAR"
+     * @param {Object} salary - MonetaryAmount
+     * @returns {string} - Salary range text
+     */
+    static formatJsonLdSalary(salary) {
+        if (!salary || typeof salary !== 'object') return '';
+
+        const value = salary.value && typeof salary.value === 'object' ? salary.value : { value: salary.value };
+        const amount = value.minValue && value.maxValue && value.minValue !== value.maxValue
+            ? `${value.minValue}-${value.maxValue}`
+            : value.minValue || value.maxValue || value.value;
+        if (!amount) return '';
+
+        return [salary.currency, amount, value.unitText ? `per ${value.unitText}` : '']
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * Read what any page offers: meta tags, the main heading and text cues
+     * @returns {Object} - Partial posting
+     */
+    static extractGeneric() {
+        const descriptionElement = document.querySelector(
+            '[class*="job-description"], [class*="jobDescription"], [id*="job-description"], [itemprop="description"], article, main'
+        );
+        const description = descriptionElement ? this.getBlockText(descriptionElement) : '';
+        const pageText = document.body ? this.getBlockText(document.body).replace(/\n/g, ' ') : '';
+        const employmentType = pageText.match(this.EMPLOYMENT_TYPE_PATTERN);
+        const requisition = pageText.match(this.REQUISITION_PATTERN);
+        const salary = pageText.match(this.SALARY_PATTERN);
+
+        return {
+            title: this.getMeta('og:title') || this.getText('h1') || document.title.split(/\s[-|–]\s/)[0].trim(),
+            company: this.getMeta('og:site_name'),
+            location: this.getText('[class*="job-location"], [class*="jobLocation"], [itemprop="jobLocation"]'),
+            employmentType: employmentType ? employmentType[1].replace(/^\w/, letter => letter.toUpperCase()) : '',
+            salaryRange: salary ? salary[0] : '',
+            requisitionId: requisition ? requisition[1] : '',
+            description
+        };
+    }
+
+    /**
+     * Get the text of the first element matching a selector
+     * @param {string} selector - CSS selector
+     * @returns {string} - Text with whitespace collapsed, or ''
+     */
+    static getText(selector) {
+        const element = document.querySelector(selector);
+        return element ? this.cleanText(element.textContent) : '';
+    }
+
+    /**
+     * Get the text of the first element matching a selector, one line per paragraph
+     * @param {string} selector - CSS selector
+     * @returns {string} - Text, or ''
+     */
+    static getDescription(selector) {
+        const element = document.querySelector(selector);
+        return element ? this.getBlockText(element) : '';
+    }
+
+    /**
+     * Get the text of an element with a line break after each block, so paragraphs and list
+     * items do not run into each other
+     * @param {Element} element - Element
+     * @returns {string} - Text
+     */
+    static getBlockText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('script, style, noscript').forEach(node => node.remove());
+        clone.querySelectorAll('br, p, div, li, tr, dt, dd, section, h1, h2, h3, h4, h5, h6').forEach(node => node.after('\n'));
+
+        return clone.textContent
+            .split('\n')
+            .map(line => this.cleanText(line))
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Get the content of a meta tag by property or name
+     * @param {string} property - Property or name
+     * @returns {string} - Content, or ''
+     */
+    static getMeta(property) {
+        const element = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+        return element ? this.cleanText(element.getAttribute('content')) : '';
+    }
+
+    /**
+     * Turn an HTML fragment, as used in JSON-LD descriptions, into plain text
+     * @param {string} html - HTML
+     * @returns {string} - Text
+     */
+    static htmlToText(html) {
+        if (!html) return '';
+        const parsed = new DOMParser().parseFromString(String(html), 'text/html');
+        return this.getBlockText(parsed.body);
+    }
+
+    /**
+     * Turn a URL slug into a name, e.g. "acme-corp" into "Acme Corp"
+     * @param {string} slug - Slug
+     * @returns {string} - Name
+     */
+    static fromSlug(slug) {
+        return (slug || '').replace(/[-_]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()).trim();
+    }
+
+    /**
+     * Collapse whitespace
+     * @param {*} text - Text
+     * @returns {string} - Trimmed text
+     */
+    static cleanText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobPostingExtractor;
+}
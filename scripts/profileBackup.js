@@ -0,0 +1,356 @@
+/**
+ * Profile Backup Module
+ *
+ * Exports everything needed to move JobFill to another browser into one versioned JSON file,
+ * and imports such a file again. Used by the popup.
+ *
+ * Backup format (version 1):
+ *   {
+ *     format: 'jobfill-profile',
+ *     version: 1,
+ *     exportedAt: ISO date,
+ *     profiles: [{id, name, resumeData}],
+ *     activeProfileId: profile id or null,
+ *     siteProfiles: [{pattern, profileId}],
+ *     answerBank: [answer bank entries],
+ *     settings: {autofillEnabled, highlightUncertain, selfIdentification, consentPolicy},
+ *     mappings: {hostname: {signature: {category, subcategory, source, updatedAt}}}
+ *   }
+ *   where resumeData is {personalInfo, education, experience, skills, workAuthorization,
+ *   coverLetterTemplates}. Stored files and the application log are not part of a backup.
+ *
+ * Older files are migrated on import; see MIGRATIONS.
+ */
+
+class ProfileBackup {
+    static FORMAT = 'jobfill-profile';
+    static VERSION = 1;
+
+    static SETTINGS_KEYS = ['autofillEnabled', 'highlightUncertain'];
+
+    // Profile ids that would reach Object.prototype when used as keys
+    static RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+
+    // Upgrades a backup from the version it is keyed by to the next one
+    static MIGRATIONS = {
+        // Version 0: a bare resumeData object, as stored before profiles existed
+        0: ({ version, ...resumeData }) => ({
+            format: this.FORMAT,
+            version: 1,
+            profiles: [{ id: 'profile-imported', name: 'Imported', resumeData }],
+            activeProfileId: 'profile-imported',
+            siteProfiles: [],
+            answerBank: [],
+            settings: {},
+            mappings: {}
+        })
+    };
+
+    /**
+     * Build a backup of every profile and setting
+     * @param {Function} callback - Receives the backup object
+     */
+    static exportBackup(callback) {
+        const profileStore = window.ProfileStore || ProfileStore;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const selfIdentification = window.SelfIdentification || SelfIdentification;
+        const consentPolicy = window.ConsentPolicy || ConsentPolicy;
+        const fieldMappingStore = window.FieldMappingStore || FieldMappingStore;
+
+        profileStore.load(state => {
+            answerBank.load(entries => {
+                selfIdentification.load(preferences => {
+                    consentPolicy.load(policy => {
+                        chrome.storage.local.get([...this.SETTINGS_KEYS, fieldMappingStore.STORAGE_KEY], data => {
+                            callback({
+                                format: this.FORMAT,
+                                version: this.VERSION,
+                                exportedAt: new Date().toISOString(),
+                                profiles: Object.values(state.profiles),
+                                activeProfileId: state.activeProfileId,
+                                siteProfiles: state.siteProfiles,
+                                answerBank: entries,
+                                settings: {
+                                    autofillEnabled: data.autofillEnabled !== false,
+                                    highlightUncertain: data.highlightUncertain !== false,
+                                    selfIdentification: preferences,
+                                    consentPolicy: policy
+                                },
+                                mappings: data[fieldMappingStore.STORAGE_KEY] || {}
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Bring a backup from an older version up to the current one
+     * @param {Object} data - Parsed backup file
+     * @returns {Object} - Backup in the current format
+     * @throws {Error} - If the file is not a backup or comes from a newer version
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('This file is not a JobFill profile backup');
+        }
+
+        let backup = data;
+        if (backup.format === undefined && backup.personalInfo) {
+            backup = { ...backup, version: 0 };
+        } else if (backup.format !== this.FORMAT) {
+            throw new Error('This file is not a JobFill profile backup');
+        }
+
+        if (typeof backup.version !== 'number' || backup.version > this.VERSION) {
+            throw new Error('This file was exported by a newer version of JobFill');
+        }
+
+        while (backup.version < this.VERSION) {
+            const migration = this.MIGRATIONS[backup.version];
+            if (!migration) {
+                throw new Error(`Backups of version ${backup.version} can no longer be imported`);
+            }
+            backup = migration(backup);
+        }
+
+        return backup;
+    }
+
+    /**
+     * Check a backup against the schema
+     * @param {Object} backup - Backup in the current format
+     * @returns {Array} - Problems found, empty if the backup is valid
+     */
+    static validate(backup) {
+        const answerBank = window.AnswerBank || AnswerBank;
+        const selfIdentification = window.SelfIdentification || SelfIdentification;
+        const consentPolicy = window.ConsentPolicy || ConsentPolicy;
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const expectList = (value, path) => {
+            if (value !== undefined && !Array.isArray(value)) errors.push(`${path} must be a list`);
+        };
+
+        if (!Array.isArray(backup.profiles) || backup.profiles.length === 0) {
+            errors.push('profiles must be a non-empty list');
+        } else {
+            const ids = new Set();
+            backup.profiles.forEach((profile, index) => {
+                const path = `profiles[${index}]`;
+                if (!isObject(profile)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (!profile.id || typeof profile.id !== 'string') errors.push(`${path}.id is missing`);
+                if (this.RESERVED_IDS.includes(profile.id)) errors.push(`${path}.id "${profile.id}" is not allowed`);
+                if (ids.has(profile.id)) errors.push(`${path}.id "${profile.id}" is used twice`);
+                ids.add(profile.id);
+                if (!profile.name || typeof profile.name !== 'string') errors.push(`${path}.name is missing`);
+
+                const resumeData = profile.resumeData;
+                if (resumeData === null || resumeData === undefined) return;
+                if (!isObject(resumeData)) {
+                    errors.push(`${path}.resumeData must be an object`);
+                    return;
+                }
+                if (resumeData.personalInfo !== undefined && !isObject(resumeData.personalInfo)) {
+                    errors.push(`${path}.resumeData.personalInfo must be an object`);
+                }
+                ['education', 'experience', 'workAuthorization', 'coverLetterTemplates'].forEach(key => {
+                    expectList(resumeData[key], `${path}.resumeData.${key}`);
+                    (Array.isArray(resumeData[key]) ? resumeData[key] : []).forEach((entry, entryIndex) => {
+                        if (!isObject(entry)) errors.push(`${path}.resumeData.${key}[${entryIndex}] must be an object`);
+                    });
+                });
+                if (resumeData.skills !== undefined && !Array.isArray(resumeData.skills) && typeof resumeData.skills !== 'string') {
+                    errors.push(`${path}.resumeData.skills must be a list or text`);
+                }
+            });
+        }
+
+        expectList(backup.siteProfiles, 'siteProfiles');
+        (Array.isArray(backup.siteProfiles) ? backup.siteProfiles : []).forEach((binding, index) => {
+            if (!isObject(binding) || !binding.pattern || !binding.profileId) {
+                errors.push(`siteProfiles[${index}] needs a pattern and a profileId`);
+            }
+        });
+
+        expectList(backup.answerBank, 'answerBank');
+        (Array.isArray(backup.answerBank) ? backup.answerBank : []).forEach((entry, index) => {
+            const error = isObject(entry) ? answerBank.validateEntry(entry) : 'it must be an object';
+            if (error) errors.push(`answerBank[${index}]: ${error}`);
+        });
+
+        if (backup.settings !== undefined && !isObject(backup.settings)) {
+            errors.push('settings must be an object');
+        } else if (backup.settings) {
+            // Both are used on every fill, so a bad value would break filling rather than the import
+            const selfIdError = backup.settings.selfIdentification === undefined
+                ? null : selfIdentification.validatePreferences(backup.settings.selfIdentification);
+            if (selfIdError) errors.push(`settings.selfIdentification: ${selfIdError}`);
+
+            const consentError = backup.settings.consentPolicy === undefined
+                ? null : consentPolicy.validateSettings(backup.settings.consentPolicy);
+            if (consentError) errors.push(`settings.consentPolicy: ${consentError}`);
+        }
+        if (backup.mappings !== undefined && !isObject(backup.mappings)) {
+            errors.push('mappings must be an object');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Import a backup
+     * @param {Object} data - Parsed backup file
+     * @param {string} mode - 'merge' keeps current data and adds or updates what the file has;
+     *   'replace' makes the file the only data
+     * @param {Function} [callback] - Receives {added, updated} profile counts
+     * @throws {Error} - If the file is not a valid backup
+     */
+    static importBackup(data, mode, callback) {
+        const backup = this.migrate(data);
+        const errors = this.validate(backup);
+        if (errors.length > 0) {
+            const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+            throw new Error(`${errors.slice(0, 3).join('; ')}${more}`);
+        }
+
+        if (mode === 'replace') {
+            this.replaceData(backup, callback);
+        } else {
+            this.mergeData(backup, callback);
+        }
+    }
+
+    /**
+     * Replace every profile and setting with the backup's
+     * @param {Object} backup - Valid backup
+     * @param {Function} [callback] - Receives {added, updated}
+     */
+    static replaceData(backup, callback) {
+        const profileStore = window.ProfileStore || ProfileStore;
+        const documentStore = window.DocumentStore || DocumentStore;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const selfIdentification = window.SelfIdentification || SelfIdentification;
+        const consentPolicy = window.ConsentPolicy || ConsentPolicy;
+        const fieldMappingStore = window.FieldMappingStore || FieldMappingStore;
+        const settings = backup.settings || {};
+
+        const profiles = Object.create(null);
+        backup.profiles.forEach(profile => {
+            profiles[profile.id] = { id: profile.id, name: profile.name, resumeData: profile.resumeData || null };
+        });
+
+        profileStore.load(current => {
+            // Files of profiles that are going away would never be used again
+            const removedIds = Object.keys(current.profiles).filter(id => !profiles[id]);
+            documentStore.update(documents => {
+                removedIds.forEach(id => delete documents[id]);
+            }, () => {
+                chrome.storage.local.set({
+                    profiles,
+                    activeProfileId: profiles[backup.activeProfileId] ? backup.activeProfileId : backup.profiles[0].id,
+                    siteProfiles: (backup.siteProfiles || []).filter(binding => profiles[binding.profileId]),
+                    [answerBank.STORAGE_KEY]: backup.answerBank || [],
+                    [selfIdentification.STORAGE_KEY]: settings.selfIdentification || { alwaysDecline: false, fields: {} },
+                    [consentPolicy.STORAGE_KEY]: settings.consentPolicy || consentPolicy.DEFAULT_SETTINGS,
+                    [fieldMappingStore.STORAGE_KEY]: this.readMappings(backup),
+                    autofillEnabled: settings.autofillEnabled !== false,
+                    highlightUncertain: settings.highlightUncertain !== false
+                }, () => {
+                    if (callback) callback({ added: backup.profiles.length, updated: 0 });
+                });
+            });
+        });
+    }
+
+    /**
+     * Wrap a backup's field mappings as a mapping export, for FieldMappingStore
+     * @param {Object} backup - Valid backup
+     * @returns {Object} - Mapping export
+     */
+    static toMappingExport(backup) {
+        const fieldMappingStore = window.FieldMappingStore || FieldMappingStore;
+
+        return {
+            format: fieldMappingStore.EXPORT_FORMAT,
+            version: fieldMappingStore.EXPORT_VERSION,
+            mappings: backup.mappings || {}
+        };
+    }
+
+    /**
+     * Get a backup's field mappings without malformed entries or reserved keys
+     * @param {Object} backup - Valid backup
+     * @returns {Object} - {hostname: {signature: entry}}
+     */
+    static readMappings(backup) {
+        const fieldMappingStore = window.FieldMappingStore || FieldMappingStore;
+        return fieldMappingStore.validateExport(this.toMappingExport(backup));
+    }
+
+    /**
+     * Add the backup's profiles, site bindings, answers and mappings to the current data.
+     * Profiles with the same id or name get the backup's resume data; current settings are kept
+     * @param {Object} backup - Valid backup
+     * @param {Function} [callback] - Receives {added, updated}
+     */
+    static mergeData(backup, callback) {
+        const profileStore = window.ProfileStore || ProfileStore;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const fieldMappingStore = window.FieldMappingStore || FieldMappingStore;
+        const summary = { added: 0, updated: 0 };
+
+        profileStore.update(state => {
+            // Ids in the backup that point at a different id here
+            const idMap = {};
+
+            backup.profiles.forEach(profile => {
+                const existing = state.profiles[profile.id] ||
+                    Object.values(state.profiles).find(candidate => candidate.name === profile.name);
+
+                if (existing) {
+                    existing.resumeData = profile.resumeData || existing.resumeData;
+                    idMap[profile.id] = existing.id;
+                    summary.updated++;
+                } else {
+                    state.profiles[profile.id] = { id: profile.id, name: profile.name, resumeData: profile.resumeData || null };
+                    idMap[profile.id] = profile.id;
+                    summary.added++;
+                }
+            });
+
+            (backup.siteProfiles || []).forEach(binding => {
+                const pattern = binding.pattern.trim().toLowerCase();
+                if (idMap[binding.profileId] && !state.siteProfiles.some(existing => existing.pattern === pattern)) {
+                    state.siteProfiles.push({ pattern, profileId: idMap[binding.profileId] });
+                }
+            });
+
+            if (!state.profiles[state.activeProfileId]) {
+                state.activeProfileId = idMap[backup.activeProfileId] || Object.keys(state.profiles)[0];
+            }
+        }, () => {
+            answerBank.load(entries => {
+                const isKnown = entry => entries.some(existing =>
+                    existing.id === entry.id ||
+                    (existing.pattern === entry.pattern && (existing.site || '') === (entry.site || '')));
+                const added = (backup.answerBank || []).filter(entry => !isKnown(entry));
+
+                answerBank.save(entries.concat(added), () => {
+                    fieldMappingStore.importMappings(this.toMappingExport(backup), () => {
+                        if (callback) callback(summary);
+                    });
+                });
+            });
+        });
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileBackup;
+}
@@ -0,0 +1,421 @@
+/**
+ * Profile Normalizer Module
+ *
+ * This module turns the stored profile (a full name, a single address line and a raw phone
+ * number) into the granular values application forms ask for: given/middle/family names,
+ * street/city/state/postal code/country and phone number parts.
+ */
+
+class ProfileNormalizer {
+    // Lowercase words that belong to the family name when they precede it (e.g. "de la Cruz")
+    static SURNAME_PARTICLES = [
+        'van', 'von', 'der', 'den', 'de', 'del', 'della', 'dela', 'di', 'da', 'dos', 'das',
+        'du', 'la', 'le', 'st', 'st.', 'san', 'bin', 'binti', 'ibn', 'al', 'el', 'ten', 'ter'
+    ];
+
+    static NAME_PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof'];
+
+    static NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'esq', 'cpa', 'mba'];
+
+    static US_STATES = {
+        AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+        CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+        FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+        IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+        ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+        MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+        NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+        NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+        PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+        TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+        WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico'
+    };
+
+    // A street line ending in a street type and an optional unit, e.g. "123 Main St Apt 4"
+    static STREET_LINE_PATTERN = /^(.*\b(?:street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|way|court|ct|place|pl|parkway|pkwy|terrace|ter|circle|cir|highway|hwy)\.?(?:\s+(?:apt|apartment|suite|ste|unit|#)\.?\s*#?[\w-]+)?)\s+(\S.*)$/i;
+
+    // Country name => ISO code and calling code, for the countries applicants list most often
+    static COUNTRIES = {
+        'united states': { code: 'US', callingCode: '1', aliases: ['usa', 'us', 'u.s.', 'u.s.a.', 'united states of america'] },
+        'canada': { code: 'CA', callingCode: '1', aliases: [] },
+        'united kingdom': { code: 'GB', callingCode: '44', aliases: ['uk', 'u.k.', 'great britain', 'england', 'scotland', 'wales'] },
+        'ireland': { code: 'IE', callingCode: '353', aliases: [] },
+        'germany': { code: 'DE', callingCode: '49', aliases: ['deutschland'] },
+        'france': { code: 'FR', callingCode: '33', aliases: [] },
+        'netherlands': { code: 'NL', callingCode: '31', aliases: ['the netherlands', 'holland'] },
+        'spain': { code: 'ES', callingCode: '34', aliases: [] },
+        'italy': { code: 'IT', callingCode: '39', aliases: [] },
+        'switzerland': { code: 'CH', callingCode: '41', aliases: [] },
+        'sweden': { code: 'SE', callingCode: '46', aliases: [] },
+        'poland': { code: 'PL', callingCode: '48', aliases: [] },
+        'india': { code: 'IN', callingCode: '91', aliases: [] },
+        'china': { code: 'CN', callingCode: '86', aliases: [] },
+        'japan': { code: 'JP', callingCode: '81', aliases: [] },
+        'singapore': { code: 'SG', callingCode: '65', aliases: [] },
+        'australia': { code: 'AU', callingCode: '61', aliases: [] },
+        'new zealand': { code: 'NZ', callingCode: '64', aliases: [] },
+        'brazil': { code: 'BR', callingCode: '55', aliases: ['brasil'] },
+        'mexico': { code: 'MX', callingCode: '52', aliases: ['méxico'] },
+        'israel': { code: 'IL', callingCode: '972', aliases: [] },
+        'united arab emirates': { code: 'AE', callingCode: '971', aliases: ['uae'] }
+    };
+
+    /**
+     * Build every granular personal value from the stored profile
+     * @param {Object} personalInfo - Personal information from the resume data
+     * @returns {Object} - Normalized personal values
+     */
+    static normalizePersonalInfo(personalInfo = {}) {
+        const name = this.splitName(personalInfo.fullName || '');
+        const address = this.parseAddress(personalInfo.address || '');
+
+        // Values entered explicitly in the profile win over parsed ones
+        const firstName = personalInfo.firstName || name.firstName;
+        const middleName = personalInfo.middleName || name.middleName;
+        const lastName = personalInfo.lastName || name.lastName;
+
+        const country = personalInfo.country || address.country;
+        const countryInfo = this.lookupCountry(country);
+
+        const phone = this.parsePhone(personalInfo.phone || '', countryInfo ? countryInfo.callingCode : '1');
+
+        return {
+            ...personalInfo,
+            fullName: personalInfo.fullName || [firstName, middleName, lastName].filter(Boolean).join(' '),
+            firstName,
+            middleName,
+            middleInitial: middleName ? middleName.charAt(0).toUpperCase() : '',
+            lastName,
+            street: personalInfo.street || address.street,
+            city: personalInfo.city || address.city,
+            state: personalInfo.state || address.state,
+            stateCode: this.getStateCode(personalInfo.state || address.state),
+            zipCode: personalInfo.zipCode || address.zipCode,
+            country: countryInfo ? countryInfo.name : country,
+            countryCode: countryInfo ? countryInfo.code : '',
+            phoneCountryCode: phone.countryCode,
+            phoneAreaCode: phone.areaCode,
+            phoneLocalNumber: phone.localNumber,
+            phoneNational: phone.national,
+            phoneE164: phone.e164
+        };
+    }
+
+    /**
+     * Split a full name into its parts
+     * @param {string} fullName - Full name, either "First Middle Last" or "Last, First Middle"
+     * @returns {Object} - {prefix, firstName, middleName, lastName, suffix}
+     */
+    static splitName(fullName) {
+        const result = { prefix: '', firstName: '', middleName: '', lastName: '', suffix: '' };
+        const text = (fullName || '').replace(/\s+/g, ' ').trim();
+        if (!text) return result;
+
+        const isWord = (word, list) => list.includes(word.toLowerCase().replace(/\./g, ''));
+
+        // Suffixes may follow a comma ("Jane Doe, PhD")
+        let parts = text.split(',').map(part => part.trim()).filter(Boolean);
+        while (parts.length > 1 && parts[parts.length - 1].split(' ').every(word => isWord(word, this.NAME_SUFFIXES))) {
+            result.suffix = [parts.pop(), result.suffix].filter(Boolean).join(' ');
+        }
+
+        // "Last, First Middle"
+        if (parts.length === 2) {
+            const given = parts[1].split(' ');
+            result.lastName = parts[0];
+            result.firstName = given.shift();
+            result.middleName = given.join(' ');
+            return result;
+        }
+
+        const words = parts.join(' ').split(' ');
+
+        while (words.length > 1 && isWord(words[0], this.NAME_PREFIXES)) {
+            result.prefix = [result.prefix, words.shift()].filter(Boolean).join(' ');
+        }
+
+        while (words.length > 1 && isWord(words[words.length - 1], this.NAME_SUFFIXES)) {
+            result.suffix = [words.pop(), result.suffix].filter(Boolean).join(' ');
+        }
+
+        result.firstName = words.shift() || '';
+        if (words.length === 0) return result;
+
+        // The family name starts at the first surname particle, or is the last word
+        let surnameStart = words.length - 1;
+        for (let i = 0; i < words.length - 1; i++) {
+            if (this.SURNAME_PARTICLES.includes(words[i].toLowerCase())) {
+                surnameStart = i;
+                break;
+            }
+        }
+
+        result.lastName = words.slice(surnameStart).join(' ');
+        result.middleName = words.slice(0, surnameStart).join(' ');
+
+        return result;
+    }
+
+    /**
+     * Split a single address line into components
+     * @param {string} address - Address such as "123 Main St, Springfield, IL 62704, USA" or,
+     *   without commas, "123 Main St Springfield IL 62704"
+     * @returns {Object} - {street, city, state, zipCode, country}
+     */
+    static parseAddress(address) {
+        const result = { street: '', city: '', state: '', zipCode: '', country: '' };
+        const text = (address || '').replace(/\s+/g, ' ').trim();
+        if (!text) return result;
+
+        const parts = text.split(/\s*[,\n]\s*/).filter(Boolean);
+
+        // A trailing country name; "IL", "CA" or "IN" after a city is a US state, not a country code
+        const trailing = parts[parts.length - 1];
+        if (parts.length > 1 && !this.isStateCode(trailing) && this.lookupCountry(trailing)) {
+            result.country = this.lookupCountry(parts.pop()).name;
+        }
+
+        // "123 Main St Springfield IL 62704", without commas, the way the resume parser finds it
+        if (parts.length === 1) {
+            const unpunctuated = this.parseUnpunctuatedAddress(parts[0]);
+            if (unpunctuated) {
+                return { ...result, ...unpunctuated, country: result.country || 'United States' };
+            }
+        }
+
+        // "IL 62704", "Illinois 62704-1234", "SW1A 2AA" or "62704" at the end
+        const last = parts[parts.length - 1] || '';
+        const usMatch = last.match(/^(?:([A-Za-z][A-Za-z .]*?)\s+)?(\d{5}(?:-\d{4})?)$/);
+        const ukMatch = last.match(/^(?:(.*?)\s+)?([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/i);
+        const caMatch = last.match(/^(?:(.*?)\s+)?([A-Z]\d[A-Z]\s?\d[A-Z]\d)$/i);
+
+        if (usMatch) {
+            result.zipCode = usMatch[2];
+            result.state = (usMatch[1] || '').trim();
+            parts.pop();
+        } else if (caMatch) {
+            result.zipCode = caMatch[2].toUpperCase();
+            result.state = (caMatch[1] || '').trim();
+            parts.pop();
+        } else if (ukMatch) {
+            result.zipCode = ukMatch[2].toUpperCase();
+            parts.pop();
+            if (ukMatch[1]) parts.push(ukMatch[1]);
+        } else if (parts.length > 1 && this.getStateCode(last)) {
+            result.state = last;
+            parts.pop();
+        }
+
+        // A state given without a postal code on the city part ("Springfield IL")
+        if (!result.state && parts.length > 1) {
+            const cityState = parts[parts.length - 1].match(/^(.*?)\s+([A-Z]{2})$/);
+            if (cityState && this.US_STATES[cityState[2]]) {
+                parts[parts.length - 1] = cityState[1];
+                result.state = cityState[2];
+            }
+        }
+
+        if (parts.length > 1) {
+            result.city = parts.pop();
+        } else if (parts.length === 1 && (result.state || result.zipCode || result.country)) {
+            // "Austin, TX 78701": a lone part before the state is the city unless it is a street
+            const streetLine = parts[0].match(this.STREET_LINE_PATTERN);
+            if (streetLine) {
+                parts[0] = streetLine[1];
+                result.city = streetLine[2];
+            } else if (!/^\d/.test(parts[0])) {
+                result.city = parts.pop();
+            }
+        }
+        result.street = parts.join(', ');
+
+        if (!result.country && this.getStateCode(result.state) && /^\d{5}/.test(result.zipCode || '00000')) {
+            result.country = 'United States';
+        }
+
+        return result;
+    }
+
+    /**
+     * Split a US address written without commas: a street, a city, a state and a ZIP code
+     * @param {string} address - Address such as "123 Main St Springfield IL 62704"
+     * @returns {Object|null} - {street, city, state, zipCode}, or null if the address does not
+     *   end in a US state and ZIP code
+     */
+    static parseUnpunctuatedAddress(address) {
+        const match = address.match(/^(.*\S)\s+(\d{5}(?:-\d{4})?)$/);
+        if (!match) return null;
+
+        // Two-word state names ("New York") first; a state code must be in capitals so words
+        // like "in" or "me" are not taken for one
+        const words = match[1].split(' ');
+        const stateLength = [2, 1].find(length => {
+            const state = words.slice(-length).join(' ');
+            return words.length > length && this.getStateCode(state) &&
+                !(/^[a-z]{2}$/i.test(state) && state !== state.toUpperCase());
+        });
+        if (!stateLength) return null;
+
+        const rest = words.slice(0, -stateLength).join(' ');
+        const streetLine = rest.match(this.STREET_LINE_PATTERN);
+        let street = '';
+        let city = rest;
+
+        if (streetLine) {
+            street = streetLine[1];
+            city = streetLine[2];
+        } else if (/^\d/.test(rest) && words.length - stateLength > 1) {
+            // Without a street type, the last word is taken for the city
+            street = rest.slice(0, rest.lastIndexOf(' '));
+            city = rest.slice(rest.lastIndexOf(' ') + 1);
+        }
+
+        return { street, city, state: words.slice(-stateLength).join(' '), zipCode: match[2] };
+    }
+
+    /**
+     * Get the two letter code of a US state
+     * @param {string} state - State name or code
+     * @returns {string} - State code, or '' if not a US state
+     */
+    static getStateCode(state) {
+        const text = (state || '').replace(/\./g, '').trim();
+        if (!text) return '';
+
+        if (this.US_STATES[text.toUpperCase()]) {
+            return text.toUpperCase();
+        }
+
+        const entry = Object.entries(this.US_STATES).find(([, name]) => name.toLowerCase() === text.toLowerCase());
+        return entry ? entry[0] : '';
+    }
+
+    /**
+     * Check whether text is a two letter US state code, such as "IL" or "CA"
+     * @param {string} text - Text to check
+     * @returns {boolean} - True if the text is a state code
+     */
+    static isStateCode(text) {
+        const code = (text || '').replace(/\./g, '').trim();
+        return /^[a-z]{2}$/i.test(code) && Boolean(this.US_STATES[code.toUpperCase()]);
+    }
+
+    /**
+     * Get the full name of a US state
+     * @param {string} state - State name or code
+     * @returns {string} - State name, or the input if not a US state
+     */
+    static getStateName(state) {
+        const code = this.getStateCode(state);
+        return code ? this.US_STATES[code] : (state || '');
+    }
+
+    /**
+     * Look up a country by name, alias or ISO code
+     * @param {string} country - Country text
+     * @returns {Object|null} - {name, code, callingCode}
+     */
+    static lookupCountry(country) {
+        const text = (country || '').trim().toLowerCase();
+        if (!text) return null;
+
+        for (const [name, info] of Object.entries(this.COUNTRIES)) {
+            if (name === text || info.code.toLowerCase() === text || info.aliases.includes(text)) {
+                return {
+                    name: name.replace(/\b\w/g, char => char.toUpperCase()),
+                    code: info.code,
+                    callingCode: info.callingCode
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a phone number into parts and format it
+     * @param {string} phone - Raw phone number
+     * @param {string} defaultCountryCode - Calling code to assume when the number has none
+     * @returns {Object} - {countryCode, areaCode, localNumber, national, e164}
+     */
+    static parsePhone(phone, defaultCountryCode = '1') {
+        const result = { countryCode: '', areaCode: '', localNumber: '', national: '', e164: '' };
+        const text = (phone || '').trim();
+
+        // Drop extensions ("x123", "ext. 123")
+        const withoutExtension = text.replace(/\s*(?:x|ext\.?|extension)\s*\d+$/i, '');
+        let digits = withoutExtension.replace(/\D/g, '');
+        if (!digits) return result;
+
+        let countryCode = defaultCountryCode;
+        const international = /^\s*(\+|00)/.test(withoutExtension);
+
+        if (international) {
+            digits = withoutExtension.trim().startsWith('00') ? digits.slice(2) : digits;
+            countryCode = this.matchCallingCode(digits) || digits.slice(0, 1);
+            digits = digits.slice(countryCode.length);
+        } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+            digits = digits.slice(1);
+        }
+
+        // Trunk prefix "0" is not part of the international number
+        if (countryCode !== '1' && digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+
+        result.countryCode = countryCode;
+
+        // A North American number without ten digits is probably foreign and missing its "+"
+        if (countryCode !== '1' || digits.length === 10) {
+            result.e164 = `+${countryCode}${digits}`;
+        }
+
+        if (countryCode === '1' && digits.length === 10) {
+            // North American numbering plan: (AAA) EEE-NNNN
+            result.areaCode = digits.slice(0, 3);
+            result.localNumber = `${digits.slice(3, 6)}-${digits.slice(6)}`;
+            result.national = `(${result.areaCode}) ${result.localNumber}`;
+        } else if (countryCode === '1' && digits.length < 10) {
+            // A local number without its area code ("555-1234"); its first digits are the exchange
+            result.localNumber = digits;
+            result.national = digits;
+        } else {
+            // Elsewhere area codes vary in length; keep the grouping the user typed if possible
+            const localPart = international
+                ? withoutExtension.replace(/^\s*(\+|00)\d{1,3}[\s.-]*/, '')
+                : withoutExtension;
+            const groups = localPart
+                .replace(/[()]/g, ' ')
+                .split(/[\s.-]+/)
+                .filter(group => group && group !== '0');
+
+            if (groups.length > 1) {
+                result.areaCode = groups[0].replace(/^0/, '');
+                result.localNumber = groups.slice(1).join(' ');
+            } else {
+                result.localNumber = digits;
+            }
+            result.national = (countryCode === '1' ? '' : '0') + digits;
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the calling code at the start of an international number
+     * @param {string} digits - Digits after the "+"
+     * @returns {string} - Calling code, or '' if none is known
+     */
+    static matchCallingCode(digits) {
+        const codes = Object.values(this.COUNTRIES)
+            .map(info => info.callingCode)
+            .sort((a, b) => b.length - a.length);
+
+        return codes.find(code => digits.startsWith(code)) || '';
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileNormalizer;
+}
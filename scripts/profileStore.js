@@ -0,0 +1,279 @@
+/**
+ * Profile Store Module
+ *
+ * Keeps several named resume profiles in chrome.storage.local, tracks which one is active,
+ * and binds profiles to sites by hostname or URL pattern. Shared by the popup and the
+ * content script.
+ *
+ * Storage keys:
+ *   profiles        - {id: {id, name, resumeData}}
+ *   activeProfileId - Id of the profile used when no site binding matches
+ *   siteProfiles    - [{pattern, profileId}]
+ */
+
+class ProfileStore {
+    static STORAGE_KEYS = ['profiles', 'activeProfileId', 'siteProfiles'];
+
+    // Single-profile storage used before profiles existed
+    static LEGACY_KEY = 'resumeData';
+
+    // Fixed id for the migrated profile, so the popup and a content script migrating at the
+    // same time end up with the same profile
+    static LEGACY_PROFILE_ID = 'profile-default';
+
+    /**
+     * Load all profile state, migrating legacy single-profile data on first use
+     * @param {Function} callback - Receives {profiles, activeProfileId, siteProfiles}
+     */
+    static load(callback) {
+        chrome.storage.local.get([...this.STORAGE_KEYS, this.LEGACY_KEY], data => {
+            const state = {
+                profiles: data.profiles || {},
+                activeProfileId: data.activeProfileId || null,
+                siteProfiles: data.siteProfiles || []
+            };
+
+            if (!data.profiles && data[this.LEGACY_KEY]) {
+                const profile = { ...this.buildProfile('Default', data[this.LEGACY_KEY]), id: this.LEGACY_PROFILE_ID };
+                state.profiles[profile.id] = profile;
+                state.activeProfileId = profile.id;
+
+                chrome.storage.local.set(state, () => {
+                    chrome.storage.local.remove(this.LEGACY_KEY, () => callback(state));
+                });
+                return;
+            }
+
+            callback(state);
+        });
+    }
+
+    /**
+     * Load state, apply a change and save it back
+     * @param {Function} mutator - Changes the state in place, may return a result
+     * @param {Function} callback - Receives (result, state)
+     */
+    static update(mutator, callback) {
+        this.load(state => {
+            const result = mutator(state);
+
+            chrome.storage.local.set(state, () => {
+                if (callback) callback(result, state);
+            });
+        });
+    }
+
+    /**
+     * Get the profile to use on a page: the best matching site binding, else the active profile
+     * @param {string} url - Page URL
+     * @param {Function} callback - Receives the profile or null
+     */
+    static getProfileForUrl(url, callback) {
+        this.load(state => {
+            const binding = this.findSiteBinding(state, url);
+            const profileId = binding ? binding.profileId : state.activeProfileId;
+
+            callback(state.profiles[profileId] || null);
+        });
+    }
+
+    /**
+     * Find the site binding for a URL. When several match, the longest pattern wins
+     * @param {Object} state - Profile state
+     * @param {string} url - Page URL
+     * @returns {Object|null} - Matching {pattern, profileId}
+     */
+    static findSiteBinding(state, url) {
+        return state.siteProfiles
+            .filter(binding => state.profiles[binding.profileId] && this.matchesPattern(binding.pattern, url))
+            .sort((a, b) => b.pattern.length - a.pattern.length)[0] || null;
+    }
+
+    /**
+     * Check if a URL matches a site pattern
+     * Patterns are a hostname ("boards.greenhouse.io"), optionally with a leading wildcard
+     * ("*.greenhouse.io") and a path prefix ("*.greenhouse.io/acme")
+     * @param {string} pattern - Site pattern
+     * @param {string} url - Page URL
+     * @returns {boolean} - Whether the URL matches
+     */
+    static matchesPattern(pattern, url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        const normalized = pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+        if (!normalized) return false;
+
+        const slashIndex = normalized.indexOf('/');
+        const hostPattern = slashIndex >= 0 ? normalized.slice(0, slashIndex) : normalized;
+        const pathPattern = slashIndex >= 0 ? normalized.slice(slashIndex) : '';
+
+        // "*.example.com" matches example.com and any of its subdomains
+        const hostRegex = new RegExp('^' + hostPattern
+            .split('*.').map(part => this.escapeRegex(part).replace(/\\\*/g, '[^.]*')).join('(?:[^/]*\\.)?') + '$');
+        if (!hostRegex.test(parsed.hostname.toLowerCase())) return false;
+
+        if (!pathPattern || pathPattern === '/') return true;
+
+        // Path patterns match whole segments: "/acme" covers "/acme/jobs/1" but not "/acmecorp"
+        const pathRegex = new RegExp('^' + this.escapeRegex(pathPattern.replace(/\/+$/, '')).replace(/\\\*/g, '.*') + '(?:[/?#]|$)');
+        return pathRegex.test(parsed.pathname.toLowerCase());
+    }
+
+    /**
+     * Create a profile and make it active
+     * @param {string} name - Profile name
+     * @param {Object|null} resumeData - Resume data
+     * @param {Function} callback - Receives the new profile
+     */
+    static createProfile(name, resumeData, callback) {
+        this.update(state => {
+            const profile = this.buildProfile(name, resumeData);
+            state.profiles[profile.id] = profile;
+            state.activeProfileId = profile.id;
+            return profile;
+        }, callback);
+    }
+
+    /**
+     * Copy a profile under a new name and make the copy active
+     * @param {string} profileId - Profile to copy
+     * @param {string} name - Name of the copy
+     * @param {Function} callback - Receives the new profile, or null if the source is missing
+     */
+    static cloneProfile(profileId, name, callback) {
+        this.update(state => {
+            const source = state.profiles[profileId];
+            if (!source) return null;
+
+            const profile = this.buildProfile(name, JSON.parse(JSON.stringify(source.resumeData || null)));
+            state.profiles[profile.id] = profile;
+            state.activeProfileId = profile.id;
+            return profile;
+        }, callback);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile id
+     * @param {string} name - New name
+     * @param {Function} callback - Receives the profile, or null if missing
+     */
+    static renameProfile(profileId, name, callback) {
+        this.update(state => {
+            const profile = state.profiles[profileId];
+            if (profile) profile.name = name;
+            return profile || null;
+        }, callback);
+    }
+
+    /**
+     * Delete a profile and its site bindings
+     * @param {string} profileId - Profile id
+     * @param {Function} callback - Receives the new active profile, or null if none are left
+     */
+    static deleteProfile(profileId, callback) {
+        this.update(state => {
+            delete state.profiles[profileId];
+            state.siteProfiles = state.siteProfiles.filter(binding => binding.profileId !== profileId);
+
+            if (state.activeProfileId === profileId) {
+                state.activeProfileId = Object.keys(state.profiles)[0] || null;
+            }
+            return state.profiles[state.activeProfileId] || null;
+        }, callback);
+    }
+
+    /**
+     * Choose the active profile
+     * @param {string} profileId - Profile id
+     * @param {Function} callback - Receives the profile, or null if missing
+     */
+    static setActiveProfile(profileId, callback) {
+        this.update(state => {
+            if (!state.profiles[profileId]) return null;
+            state.activeProfileId = profileId;
+            return state.profiles[profileId];
+        }, callback);
+    }
+
+    /**
+     * Save resume data into a profile
+     * @param {string} profileId - Profile id
+     * @param {Object} resumeData - Resume data
+     * @param {Function} callback - Receives the profile, or null if missing
+     */
+    static saveResumeData(profileId, resumeData, callback) {
+        this.update(state => {
+            const profile = state.profiles[profileId];
+            if (profile) profile.resumeData = resumeData;
+            return profile || null;
+        }, callback);
+    }
+
+    /**
+     * Bind a profile to a site pattern, replacing an existing binding for the same pattern
+     * @param {string} pattern - Site pattern
+     * @param {string} profileId - Profile id
+     * @param {Function} callback - Receives the binding
+     */
+    static setSiteProfile(pattern, profileId, callback) {
+        this.update(state => {
+            const binding = { pattern: pattern.trim().toLowerCase(), profileId };
+            state.siteProfiles = state.siteProfiles.filter(existing => existing.pattern !== binding.pattern);
+            state.siteProfiles.push(binding);
+            return binding;
+        }, callback);
+    }
+
+    /**
+     * Remove a site binding
+     * @param {string} pattern - Site pattern
+     * @param {Function} callback - Called when done
+     */
+    static removeSiteProfile(pattern, callback) {
+        this.update(state => {
+            state.siteProfiles = state.siteProfiles.filter(binding => binding.pattern !== pattern);
+        }, callback);
+    }
+
+    /**
+     * Remove every profile and site binding
+     * @param {Function} callback - Called when done
+     */
+    static clear(callback) {
+        chrome.storage.local.remove([...this.STORAGE_KEYS, this.LEGACY_KEY], callback);
+    }
+
+    /**
+     * Build a new profile object
+     * @param {string} name - Profile name
+     * @param {Object|null} resumeData - Resume data
+     * @returns {Object} - Profile
+     */
+    static buildProfile(name, resumeData) {
+        return {
+            id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            resumeData: resumeData || null
+        };
+    }
+
+    /**
+     * Escape text for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} - Escaped text
+     */
+    static escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileStore;
+}
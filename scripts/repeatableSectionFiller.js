@@ -0,0 +1,189 @@
+/**
+ * Repeatable Section Filler Module
+ *
+ * Work experience and education are lists in the resume data, while application forms show
+ * one sub-form per entry with an "Add Another" button. This module ties each detected field
+ * to the entry index of the sub-form it sits in and adds sub-forms until every entry has one.
+ *
+ * Site adapters describe their sub-forms through getRepeatableGroups(), which returns
+ * {experience, education}, each either null or {section, containers, addButton}. Sites that
+ * add entries through a dialog also supply addEntry(index, resumeData), which opens, fills
+ * and saves the dialog for one entry; the saved entries are the containers.
+ */
+
+class RepeatableSectionFiller {
+    static SECTIONS = ['experience', 'education'];
+
+    // How long to wait for a new sub-form to render after clicking "Add"
+    static ADD_TIMEOUT_MS = 3000;
+    static POLL_INTERVAL_MS = 100;
+
+    /**
+     * Get the adapter's repeatable groups
+     * @param {Object} adapter - Site adapter
+     * @returns {Object} - Section name => group (or null)
+     */
+    static getGroups(adapter) {
+        if (!adapter || typeof adapter.getRepeatableGroups !== 'function') {
+            return {};
+        }
+
+        try {
+            return adapter.getRepeatableGroups() || {};
+        } catch (error) {
+            console.warn('Could not find repeatable groups:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Tag fields that sit inside a repeatable sub-form with the index of that sub-form
+     * @param {Array} fields - Field objects
+     * @param {Object} adapter - Site adapter
+     * @returns {Array} - The same fields, with entryIndex set where applicable
+     */
+    static assignEntryIndexes(fields, adapter) {
+        const groups = this.getGroups(adapter);
+
+        this.SECTIONS.forEach(section => {
+            const group = groups[section];
+            if (!group) return;
+
+            group.containers.forEach((container, index) => {
+                fields.forEach(field => {
+                    if (container.contains(field.element)) {
+                        field.entryIndex = index;
+                        field.entrySection = section;
+
+                        // Inside an experience block, "title" means job title even if the
+                        // generic patterns guessed otherwise
+                        if (field.category !== section && field.category !== 'unknown' && this.isSectionSubcategory(section, field.subcategory)) {
+                            field.category = section;
+                        }
+                    }
+                });
+            });
+        });
+
+        return fields;
+    }
+
+    /**
+     * Check if a subcategory exists within a section
+     * @param {string} section - 'experience' or 'education'
+     * @param {string} subcategory - Field subcategory
+     * @returns {boolean} - Whether the subcategory belongs to the section
+     */
+    static isSectionSubcategory(section, subcategory) {
+        const subcategories = {
+            experience: ['company', 'title', 'startDate', 'endDate', 'description', 'currentJob', 'location'],
+            education: ['school', 'degree', 'fieldOfStudy', 'graduationDate', 'gpa', 'startDate', 'endDate']
+        };
+
+        return subcategories[section].includes(subcategory);
+    }
+
+    /**
+     * Click "Add" until every resume entry has a sub-form
+     * @param {Object} adapter - Site adapter
+     * @param {Object} resumeData - Stored resume data
+     * @param {Object} options - {dryRun} to only report entries without a sub-form, without clicking
+     * @returns {Promise<Object>} - {added, unplaced} where unplaced lists entries without a sub-form
+     */
+    static async addMissingGroups(adapter, resumeData, options = {}) {
+        const added = {};
+        const unplaced = [];
+
+        for (const section of this.SECTIONS) {
+            const entries = (resumeData && resumeData[section]) || [];
+            added[section] = 0;
+
+            let group = this.getGroups(adapter)[section];
+            if (!group || entries.length === 0) continue;
+
+            while (!options.dryRun && group.containers.length < entries.length && group.addButton) {
+                const before = group.containers.length;
+                if (group.addEntry) {
+                    if (!(await group.addEntry(before, resumeData))) break;
+                } else {
+                    group.addButton.click();
+                }
+
+                group = await this.waitForContainerCount(adapter, section, before + 1);
+                if (!group || group.containers.length <= before) {
+                    console.warn(`JobFill: "Add" did not create a new ${section} entry`);
+                    break;
+                }
+                added[section]++;
+            }
+
+            const placed = group ? group.containers.length : 0;
+            entries.slice(placed).forEach((entry, offset) => {
+                unplaced.push({
+                    section,
+                    index: placed + offset,
+                    label: this.describeEntry(section, entry)
+                });
+            });
+        }
+
+        return { added, unplaced };
+    }
+
+    /**
+     * Wait until a section has at least a number of sub-forms
+     * @param {Object} adapter - Site adapter
+     * @param {string} section - Section name
+     * @param {number} count - Minimum number of sub-forms
+     * @returns {Promise<Object|null>} - The group once it has enough sub-forms, or the last seen group
+     */
+    static waitForContainerCount(adapter, section, count) {
+        return new Promise(resolve => {
+            const startedAt = Date.now();
+
+            const check = () => {
+                const group = this.getGroups(adapter)[section] || null;
+
+                if ((group && group.containers.length >= count) || Date.now() - startedAt > this.ADD_TIMEOUT_MS) {
+                    resolve(group);
+                } else {
+                    setTimeout(check, this.POLL_INTERVAL_MS);
+                }
+            };
+
+            check();
+        });
+    }
+
+    /**
+     * Describe a resume entry for the fill report
+     * @param {string} section - Section name
+     * @param {Object} entry - Resume entry
+     * @returns {string} - Short description
+     */
+    static describeEntry(section, entry) {
+        if (section === 'experience') {
+            return [entry.title, entry.company].filter(Boolean).join(' at ');
+        }
+        return [entry.degree, entry.school].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Find the "Add" button of a repeatable section by its text
+     * @param {Element} section - Section element
+     * @returns {Element|null} - Add button
+     */
+    static findAddButton(section) {
+        if (!section) return null;
+
+        return Array.from(section.querySelectorAll('button, a, [role="button"]')).find(button => {
+            const text = button.textContent.toLowerCase().replace(/\s+/g, ' ').trim();
+            return /^\+?\s*add( another| more| new)?\b/.test(text) && !button.disabled;
+        }) || null;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RepeatableSectionFiller;
+}
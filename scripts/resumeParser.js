@@ -147,7 +147,7 @@ class ResumeParser {
         // Common patterns for personal information
         const patterns = {
             email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/,
-            phone: /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
+            phone: /(?:\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
             linkedin: /linkedin\.com\/in\/[a-zA-Z0-9-]+/,
             website: /https?:\/\/(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z0-9-.]+(\/[a-zA-Z0-9-._~:/?#[\]@!$&'()*+,;=]*)?/,
             address: /\d+\s+[A-Za-z\s,]+\d{5}/
@@ -312,6 +312,14 @@ class ResumeParser {
                 }
             }
 
+            // Field of study usually follows the degree ("B.S. in Computer Science")
+            const fieldMatch = degree.match(/\s+in\s+([A-Za-z&,\s]+)$/i);
+            const fieldOfStudy = fieldMatch ? fieldMatch[1].trim() : '';
+
+            // GPA may appear anywhere in the entry ("GPA: 3.8/4.0")
+            const gpaMatch = allText.match(/\bGPA:?\s*(\d(?:\.\d{1,2})?)(?:\s*\/\s*\d(?:\.\d{1,2})?)?/i);
+            const gpa = gpaMatch ? gpaMatch[1] : '';
+
             // Any remaining lines are description
             const descriptionLines = lines.slice(1);
             description = descriptionLines.join('\n').trim();
@@ -319,6 +327,8 @@ class ResumeParser {
             education.push({
                 degree,
                 school,
+                fieldOfStudy,
+                gpa,
                 startDate,
                 endDate,
                 description
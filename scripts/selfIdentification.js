@@ -0,0 +1,259 @@
+/**
+ * Self-Identification Module
+ *
+ * Answers voluntary self-identification questions (gender, race/ethnicity, veteran status,
+ * disability, pronouns) from the user's own preferences. Each question can be filled with the
+ * chosen answer, skipped, or left for manual entry, in which case it is listed in the fill
+ * report. One matcher maps a preference onto the option wording of any site.
+ *
+ * Storage key:
+ *   selfIdentification - {alwaysDecline, fields: {field: {mode, answer}}}
+ *   where mode is 'fill', 'skip' or 'manual' and answer is 'decline' or a key of FIELDS[field].answers
+ */
+
+class SelfIdentification {
+    static STORAGE_KEY = 'selfIdentification';
+
+    // Options that decline to answer
+    static DECLINE_PATTERN = /decline|prefer not|rather not|do not wish|don't wish|not wish to|choose not|do not want to|don't want to|not to (answer|disclose|say|self)/;
+
+    // Options that answer in the negative ("No", "I am not a protected veteran")
+    static NEGATION_PATTERN = /\b(no|not|don't|do not|never|none)\b/;
+
+    // Questions, checked in this order, and the answers offered for each. An answer matches an
+    // option when one of its patterns does and, if `negated` is set, the option's wording agrees
+    static FIELDS = {
+        pronouns: {
+            label: 'Pronouns',
+            question: /pronoun/,
+            answers: {
+                sheHer: { label: 'she/her', patterns: [/\bshe\b/] },
+                heHim: { label: 'he/him', patterns: [/\bhe\b/] },
+                theyThem: { label: 'they/them', patterns: [/\bthey\b/] }
+            }
+        },
+        veteranStatus: {
+            label: 'Veteran status',
+            question: /veteran|military|armed forces/,
+            answers: {
+                notVeteran: { label: 'Not a protected veteran', patterns: [/veteran/, /^no\b/], negated: true },
+                protectedVeteran: { label: 'Protected veteran', patterns: [/veteran/, /identify as one or more/, /^yes\b/], negated: false }
+            }
+        },
+        disability: {
+            label: 'Disability',
+            question: /disabilit|disabled/,
+            answers: {
+                no: { label: 'No disability', patterns: [/disabilit/, /^no\b/], negated: true },
+                yes: { label: 'Has a disability', patterns: [/disabilit/, /^yes\b/], negated: false }
+            }
+        },
+        raceEthnicity: {
+            label: 'Race / ethnicity',
+            question: /\brace\b|ethnic|hispanic|latin[oax]/,
+            // "^no" answers the separate "Are you Hispanic or Latino?" question
+            answers: {
+                americanIndian: { label: 'American Indian or Alaska Native', patterns: [/american indian|alaska(n)? native/, /^no\b/] },
+                asian: { label: 'Asian', patterns: [/\basian\b/, /^no\b/] },
+                black: { label: 'Black or African American', patterns: [/\bblack\b|african american/, /^no\b/] },
+                hispanic: { label: 'Hispanic or Latino', patterns: [/hispanic|latin[oax]/, /^yes\b/], negated: false },
+                pacificIslander: { label: 'Native Hawaiian or Other Pacific Islander', patterns: [/hawaiian|pacific islander/, /^no\b/] },
+                white: { label: 'White', patterns: [/\bwhite\b/, /^no\b/] },
+                twoOrMore: { label: 'Two or more races', patterns: [/two or more|multiracial|multiple races/, /^no\b/] }
+            }
+        },
+        gender: {
+            label: 'Gender',
+            question: /\bgender\b|\bsex\b/,
+            answers: {
+                female: { label: 'Female', patterns: [/\bfemale\b/, /\bwoman\b/] },
+                male: { label: 'Male', patterns: [/\bmale\b/, /\bman\b/] },
+                nonBinary: { label: 'Non-binary', patterns: [/non[- ]?binary/, /genderqueer/] }
+            }
+        }
+    };
+
+    // Until the user sets preferences, every question is declined
+    static DEFAULT_PREFERENCE = { mode: 'fill', answer: 'decline' };
+
+    static preferences = { alwaysDecline: false, fields: {} };
+
+    /**
+     * Load the preferences
+     * @param {Function} callback - Receives the preferences
+     */
+    static load(callback) {
+        chrome.storage.local.get(this.STORAGE_KEY, data => {
+            this.preferences = { alwaysDecline: false, fields: {}, ...data[this.STORAGE_KEY] };
+            if (callback) callback(this.preferences);
+        });
+    }
+
+    /**
+     * Save the preferences
+     * @param {Object} preferences - {alwaysDecline, fields}
+     * @param {Function} [callback] - Called when saved
+     * @throws {Error} - If the preferences are invalid
+     */
+    static save(preferences, callback) {
+        const error = this.validatePreferences(preferences);
+        if (error) throw new Error(error);
+
+        this.preferences = preferences;
+        chrome.storage.local.set({ [this.STORAGE_KEY]: preferences }, callback);
+    }
+
+    /**
+     * Check preferences for problems, such as preferences read from a backup file
+     * @param {Object} preferences - {alwaysDecline, fields}
+     * @returns {string|null} - Problem description, or null if the preferences are valid
+     */
+    static validatePreferences(preferences) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(preferences)) return 'the self-identification preferences must be an object';
+
+        if (preferences.alwaysDecline !== undefined && typeof preferences.alwaysDecline !== 'boolean') {
+            return 'alwaysDecline must be true or false';
+        }
+        if (!isObject(preferences.fields)) return 'fields must be an object';
+
+        for (const [field, preference] of Object.entries(preferences.fields)) {
+            if (!this.FIELDS[field]) return `fields.${field} is not a known question`;
+            if (!isObject(preference)) return `fields.${field} must be an object`;
+            if (preference.mode !== undefined && !['fill', 'skip', 'manual'].includes(preference.mode)) {
+                return `fields.${field}.mode must be 'fill', 'skip' or 'manual'`;
+            }
+            if (preference.answer !== undefined && preference.answer !== 'decline' &&
+                !Object.prototype.hasOwnProperty.call(this.FIELDS[field].answers, preference.answer)) {
+                return `fields.${field}.answer is not an answer to the question`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the preference for a question
+     * @param {string} field - Key of FIELDS
+     * @returns {Object} - {mode, answer}
+     */
+    static getPreference(field) {
+        if (this.preferences.alwaysDecline) return this.DEFAULT_PREFERENCE;
+        return { ...this.DEFAULT_PREFERENCE, ...this.preferences.fields[field] };
+    }
+
+    /**
+     * Work out which self-identification question a text asks
+     * @param {string} questionText - Question text
+     * @returns {string|null} - Key of FIELDS, or null if it is not such a question
+     */
+    static classifyQuestion(questionText) {
+        const text = this.normalize(questionText);
+        if (!text) return null;
+
+        return Object.keys(this.FIELDS).find(field => this.FIELDS[field].question.test(text)) || null;
+    }
+
+    /**
+     * Find the option that expresses an answer
+     * @param {string} field - Key of FIELDS
+     * @param {string} answer - 'decline' or a key of the field's answers
+     * @param {Array} options - Options with a `text` property (select options or radio descriptors)
+     * @returns {Object|null} - Matching option
+     */
+    static matchOption(field, answer, options) {
+        const candidates = options
+            .filter(option => option.value !== '' && !option.disabled)
+            .map(option => ({ option, text: this.normalize(option.text) }));
+
+        if (answer === 'decline') {
+            const match = candidates.find(({ text }) => this.DECLINE_PATTERN.test(text));
+            return match ? match.option : null;
+        }
+
+        const definition = this.FIELDS[field] && this.FIELDS[field].answers[answer];
+        if (!definition) return null;
+
+        // Try the patterns in order, so a specific wording beats a plain "Yes"/"No"
+        for (const pattern of definition.patterns) {
+            const match = candidates.find(({ text }) =>
+                !this.DECLINE_PATTERN.test(text) &&
+                pattern.test(text) &&
+                (definition.negated === undefined || this.NEGATION_PATTERN.test(text) === definition.negated)
+            );
+            if (match) return match.option;
+        }
+
+        return null;
+    }
+
+    /**
+     * Answer the self-identification selects and radio groups on the page according to the
+     * preferences. Questions left for manual entry, or without a matching option, are reported
+     * @param {Element|Document} [root] - Where to look for questions
+     */
+    static answerQuestions(root = document) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const handledGroups = new Set();
+
+        root.querySelectorAll('select, input[type="radio"]').forEach(element => {
+            if (element.disabled || answerBank.isAnswered(element)) return;
+
+            if (element.type === 'radio') {
+                const groupKey = autoFiller.getRadioGroupKey(element);
+                if (handledGroups.has(groupKey)) return;
+                handledGroups.add(groupKey);
+            }
+
+            // Never replace what is already there
+            if (autoFiller.hasValue(element)) return;
+
+            const field = this.classifyQuestion(autoFiller.getQuestionText(element));
+            if (!field) return;
+
+            const preference = this.getPreference(field);
+            if (preference.mode === 'skip') return;
+
+            if (preference.mode === 'manual') {
+                autoFiller.reportQuestion(element, field, 'manualEntry');
+                return;
+            }
+
+            if (element.tagName === 'SELECT') {
+                const option = this.matchOption(field, preference.answer, Array.from(element.options));
+                if (option) {
+                    autoFiller.writeValue(element, option.value, field);
+                    return;
+                }
+            } else {
+                const options = autoFiller.getRadioGroup(element).map(input => ({
+                    input,
+                    text: autoFiller.getOptionLabel(input),
+                    value: input.value
+                }));
+                const option = this.matchOption(field, preference.answer, options);
+                if (option) {
+                    autoFiller.writeValue(option.input, true, field);
+                    return;
+                }
+            }
+
+            autoFiller.reportQuestion(element, field, 'noMatchingOption');
+        });
+    }
+
+    /**
+     * Normalize question or option text for matching
+     * @param {string} text - Raw text
+     * @returns {string} - Lowercased text with collapsed whitespace
+     */
+    static normalize(text) {
+        return String(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelfIdentification;
+}
@@ -0,0 +1,98 @@
+/**
+ * Site Adapter Registry
+ *
+ * Site adapters register themselves here when their script loads. For each page the registry
+ * asks every adapter how well it matches and uses the highest score; when two adapters score
+ * the same, the one registered with the higher priority wins. Pages no adapter matches use the
+ * GenericAdapter. The adapter is asked for on every fill, preview and observer pass, so a choice
+ * made on the site's host is kept for the URL, and a choice is only logged when it changes. A
+ * choice made on markup alone is checked again, as a single-page app may render a site's
+ * markup later on the same URL.
+ */
+
+class AdapterRegistry {
+    // [{adapter, priority}] in registration order
+    static adapters = [];
+
+    // {url, adapter, score} of the site adapter chosen for the current URL
+    static choice = null;
+
+    // URL the generic adapter was last reported for
+    static genericUrl = null;
+
+    /**
+     * Register a site adapter
+     * @param {Function} adapter - Adapter class extending BaseAdapter
+     * @param {number} [priority] - Breaks ties between equal scores, higher wins
+     */
+    static register(adapter, priority = 0) {
+        this.adapters.push({ adapter, priority });
+        // A new adapter may rank higher than the one already chosen
+        this.choice = null;
+    }
+
+    /**
+     * Score every registered adapter against the current page
+     * @returns {Array} - [{adapter, priority, score}] for adapters that match, best first
+     */
+    static rankAdapters() {
+        return this.adapters
+            .map(({ adapter, priority }) => {
+                let score = 0;
+                try {
+                    score = adapter.matches();
+                } catch (error) {
+                    console.warn(`Could not check ${adapter.name}:`, error);
+                }
+                return { adapter, priority, score };
+            })
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score || b.priority - a.priority);
+    }
+
+    /**
+     * Get the adapter for the current page. The adapters are ranked and the ones that matched
+     * are logged whenever the choice changes; a choice made on the site's host is reused for
+     * the rest of the URL's life
+     * @returns {Function} - Adapter class
+     */
+    static getAdapter() {
+        const url = window.location.href;
+        const baseAdapter = window.BaseAdapter || BaseAdapter;
+        const current = this.choice && this.choice.url === url ? this.choice : null;
+        if (current && current.score >= baseAdapter.SCORE_HOST) return current.adapter;
+
+        const [best, ...others] = this.rankAdapters();
+
+        if (!best) {
+            // Not kept, as the site's form may still be rendered on this page
+            if (this.genericUrl !== url) {
+                this.genericUrl = url;
+                console.log('Using generic form adapter: no site adapter matched this page');
+            }
+            return window.GenericAdapter || GenericAdapter;
+        }
+
+        if (current && current.adapter === best.adapter) return best.adapter;
+
+        const describe = ({ adapter, score, priority }) => `${adapter.name} (score ${score}, priority ${priority})`;
+        console.log(`Using ${describe(best)}` +
+            (others.length > 0 ? `; also matched: ${others.map(describe).join(', ')}` : ''));
+
+        this.choice = { url, adapter: best.adapter, score: best.score };
+        return best.adapter;
+    }
+
+    /**
+     * Name the applicant tracking system of the current page, for the application tracker
+     * @returns {string} - The matching adapter's ATS_TYPE, e.g. 'workday', or 'generic'
+     */
+    static getAtsType() {
+        return this.getAdapter().ATS_TYPE;
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdapterRegistry;
+}
@@ -0,0 +1,104 @@
+/**
+ * Ashby Site Adapter
+ *
+ * Handles Ashby job applications. Ashby's built-in fields are named "_systemfield_<name>";
+ * questions a company adds are named by a generated id and recognized by their label.
+ */
+
+class AshbyAdapter extends BaseAdapter {
+    static ATS_TYPE = 'ashby';
+
+    // Built-in fields by name
+    static SYSTEM_FIELDS = {
+        _systemfield_name: { category: 'personal', subcategory: 'name' },
+        _systemfield_email: { category: 'personal', subcategory: 'email' },
+        _systemfield_phone: { category: 'personal', subcategory: 'phone' },
+        _systemfield_location: { category: 'personal', subcategory: 'city' },
+        _systemfield_linkedin: { category: 'other', subcategory: 'linkedin' },
+        _systemfield_github: { category: 'other', subcategory: 'github' },
+        _systemfield_website: { category: 'other', subcategory: 'website' },
+        _systemfield_resume: { category: 'other', subcategory: 'resume' },
+        _systemfield_cover_letter: { category: 'other', subcategory: 'coverLetter' }
+    };
+
+    /**
+     * Score how likely the current page is a Ashby application form
+     * @returns {number} - Score (0-1), 0 if the page is not Ashby
+     */
+    static matches() {
+        if (this.isOnHost('ashbyhq.com')) return this.SCORE_HOST;
+        if (document.querySelector('[name^="_systemfield_"]')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields in Ashby's form structure
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return formDetector.detectFields().map(field => this.enhanceAshbyField(field));
+    }
+
+    /**
+     * Enhance field info with Ashby-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceAshbyField(field) {
+        const { metadata } = field;
+
+        field.metadata = {
+            ...metadata,
+            ashbySystemField: this.SYSTEM_FIELDS[metadata.name] ? metadata.name : null
+        };
+
+        const { category, subcategory } = this.categorizeAshbyField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateAshbyConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Categorize an Ashby field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeAshbyField(metadata) {
+        if (metadata.ashbySystemField) {
+            return this.SYSTEM_FIELDS[metadata.ashbySystemField];
+        }
+
+        // Company questions, which often ask for LinkedIn or a portfolio, go by their label
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for Ashby field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateAshbyConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        if (metadata.ashbySystemField) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+}
+
+AdapterRegistry.register(AshbyAdapter, 10);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AshbyAdapter;
+}
@@ -0,0 +1,333 @@
+/**
+ * BambooHR Site Adapter
+ *
+ * Handles the specific form structure of BambooHR job applications. Standard fields are
+ * recognized by their names; custom questions are named customQuestions[<id>] and left to
+ * the generic categorization and the question handlers. BambooHR draws its dropdowns as
+ * fancy-selects (a toggle button and a pop-up menu) without a native select, so each one is
+ * mirrored by a native select kept off the page: filling the mirror picks the same option in
+ * the menu. The menu is only opened when a value is written, never to detect or preview.
+ */
+
+class BambooHRAdapter extends BaseAdapter {
+    static ATS_TYPE = 'bamboohr';
+
+    // Standard application fields by (lowercased) name or id
+    static FIELD_NAMES = {
+        firstname: { category: 'personal', subcategory: 'firstName' },
+        lastname: { category: 'personal', subcategory: 'lastName' },
+        email: { category: 'personal', subcategory: 'email' },
+        phone: { category: 'personal', subcategory: 'phone' },
+        streetaddress: { category: 'personal', subcategory: 'address' },
+        address: { category: 'personal', subcategory: 'address' },
+        city: { category: 'personal', subcategory: 'city' },
+        state: { category: 'personal', subcategory: 'state' },
+        zip: { category: 'personal', subcategory: 'zipCode' },
+        countryid: { category: 'personal', subcategory: 'country' },
+        country: { category: 'personal', subcategory: 'country' },
+        desiredpay: { category: 'other', subcategory: 'salary' },
+        dateavailable: { category: 'other', subcategory: 'startDate' },
+        websiteurl: { category: 'other', subcategory: 'website' },
+        linkedinurl: { category: 'other', subcategory: 'linkedin' },
+        resumefileid: { category: 'other', subcategory: 'resume' },
+        resume: { category: 'other', subcategory: 'resume' },
+        coverletterfileid: { category: 'other', subcategory: 'coverLetter' },
+        coverletter: { category: 'other', subcategory: 'coverLetter' },
+        referredby: { category: 'other', subcategory: 'reference' }
+    };
+
+    static CUSTOM_QUESTION_PATTERN = /^customquestions?[[.]?(\d+)/;
+
+    static FANCY_SELECT_SELECTOR = '.fab-SelectToggle, .fancy-select, [data-fabric-component="SelectToggle"]';
+    static MENU_OPTION_SELECTOR = '[role="option"], .fab-MenuOption';
+    static MENU_SELECTOR = '[role="listbox"], [role="menu"], .fab-Menu';
+
+    // Text a fancy-select shows while nothing is picked
+    static PLACEHOLDER_PATTERN = /^[\s–—-]*select( one| an option)?[\s.…–—-]*$/i;
+
+    // Fancy-select toggle => its mirror select
+    static mirrors = new WeakMap();
+    static mirrorCount = 0;
+
+    /**
+     * Score how likely the current page is a BambooHR application form
+     * @returns {number} - Score (0-1), 0 if the page is not BambooHR
+     */
+    static matches() {
+        if (this.isOnHost('bamboohr.com')) return this.SCORE_HOST;
+        if (document.querySelector('div.BambooHR-ATS-Jobs-ViewController')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields in BambooHR's form structure, fancy-selects included
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+        const mirrorFields = this.mirrorFancySelects().map(mirror => formDetector.analyzeField(mirror));
+
+        return [...formDetector.detectFields(), ...mirrorFields].map(field => this.enhanceBambooHRField(field));
+    }
+
+    /**
+     * Enhance field info with BambooHR-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceBambooHRField(field) {
+        const { metadata } = field;
+        const questionMatch = metadata.name.match(this.CUSTOM_QUESTION_PATTERN);
+
+        field.metadata = {
+            ...metadata,
+            bambooHRFieldName: this.FIELD_NAMES[metadata.name] ? metadata.name : (this.FIELD_NAMES[metadata.id] ? metadata.id : null),
+            bambooHRQuestionId: questionMatch ? questionMatch[1] : null
+        };
+
+        const { category, subcategory } = this.categorizeBambooHRField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateBambooHRConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Categorize a BambooHR field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeBambooHRField(metadata) {
+        if (metadata.bambooHRFieldName) {
+            return this.FIELD_NAMES[metadata.bambooHRFieldName];
+        }
+
+        // Custom questions and anything else are recognized by their label
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for BambooHR field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateBambooHRConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        // BambooHR's standard fields always carry the same names
+        if (metadata.bambooHRFieldName) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Fancy-select questions are answered through their mirrors. A real fill first reads the
+     * menus of unanswered fancy-selects so the handlers can pick an option; a preview, which
+     * only records writes, leaves every menu shut
+     * @param {Object} resumeData - Stored resume data
+     */
+    static handleCommonQuestions(resumeData) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        if (!autoFiller.recordedWrites) {
+            this.mirrorFancySelects()
+                .filter(mirror => !autoFiller.hasValue(mirror))
+                .forEach(mirror => autoFiller.loadOptions(mirror));
+        }
+
+        super.handleCommonQuestions(resumeData);
+    }
+
+    /**
+     * Questions sit on the page and in the mirrors of its fancy-selects
+     * @returns {Array} - Roots to search
+     */
+    static getQuestionRoots() {
+        return [document, ...this.mirrorFancySelects().map(mirror => mirror.parentElement)];
+    }
+
+    /**
+     * Give every fancy-select a native select, so filling, the answer bank and the question
+     * handlers can treat it like any dropdown. Nothing is clicked or added to the page: a new
+     * mirror only holds the option the toggle shows, and its menu is read when it is filled
+     * @returns {Array} - Mirror selects of the fancy-selects on the page
+     */
+    static mirrorFancySelects() {
+        const mirrors = [];
+
+        document.querySelectorAll(this.FANCY_SELECT_SELECTOR).forEach(toggle => {
+            // Fancy-selects backed by a native select need no mirror
+            const wrapper = toggle.parentElement;
+            if (wrapper && wrapper.querySelector('select')) return;
+
+            let mirror = this.mirrors.get(toggle);
+            if (!mirror) {
+                mirror = this.createMirror(toggle);
+                this.mirrors.set(toggle, mirror);
+            }
+
+            // Keep a choice the user made in the menu
+            const chosen = this.getToggleText(toggle);
+            let option = Array.from(mirror.options).find(candidate => candidate.text === chosen);
+            if (chosen && !option) {
+                option = new Option(chosen, chosen);
+                mirror.appendChild(option);
+            }
+            mirror.value = option ? option.value : '';
+
+            mirrors.push(mirror);
+        });
+
+        return mirrors;
+    }
+
+    /**
+     * Build the mirror select of a fancy-select. Its options are read from the menu the first
+     * time a value is written to it
+     * @param {Element} toggle - Fancy-select toggle button
+     * @returns {Element} - Mirror select
+     */
+    static createMirror(toggle) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const field = toggle.closest('.fab-FormField, .form-field, .field, fieldset') || toggle.parentElement;
+        const hiddenInput = field && field.querySelector('input[type="hidden"][name]');
+        const label = this.getToggleLabel(toggle, field);
+
+        // A label of its own, found through the container since the mirror is never on the page
+        const container = document.createElement('div');
+        container.setAttribute('data-jobfill-mirror', '');
+
+        const mirror = document.createElement('select');
+        mirror.id = `jobfill-mirror-${++this.mirrorCount}`;
+        mirror.name = hiddenInput ? hiddenInput.name : (toggle.getAttribute('name') || '');
+
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = mirror.id;
+        labelElement.textContent = label;
+        container.append(labelElement, mirror);
+
+        mirror.appendChild(new Option('', ''));
+
+        autoFiller.optionLoaders.set(mirror, () => {
+            const known = Array.from(mirror.options).map(option => option.text);
+            this.readMenuOptions(toggle)
+                .filter(text => !known.includes(text))
+                .forEach(text => mirror.appendChild(new Option(text, text)));
+        });
+
+        mirror.addEventListener('change', () => {
+            if (mirror.value) this.pickMenuOption(toggle, mirror.value);
+        });
+
+        return mirror;
+    }
+
+    /**
+     * Open a fancy-select's menu and read its option texts
+     * @param {Element} toggle - Fancy-select toggle button
+     * @returns {Array} - Option texts
+     */
+    static readMenuOptions(toggle) {
+        const options = this.openMenu(toggle)
+            .map(option => option.textContent.replace(/\s+/g, ' ').trim())
+            .filter(text => text && !this.PLACEHOLDER_PATTERN.test(text));
+
+        this.closeMenu(toggle);
+        return options;
+    }
+
+    /**
+     * Pick an option in a fancy-select's menu
+     * @param {Element} toggle - Fancy-select toggle button
+     * @param {string} text - Option text
+     * @returns {boolean} - Whether the option was picked
+     */
+    static pickMenuOption(toggle, text) {
+        const option = this.openMenu(toggle)
+            .find(candidate => candidate.textContent.replace(/\s+/g, ' ').trim() === text);
+
+        if (!option) {
+            this.closeMenu(toggle);
+            return false;
+        }
+
+        option.click();
+        return true;
+    }
+
+    /**
+     * Open a fancy-select's menu
+     * @param {Element} toggle - Fancy-select toggle button
+     * @returns {Array} - Option elements of the menu
+     */
+    static openMenu(toggle) {
+        // The menu is rendered at the end of the page, linked by aria-controls when present
+        const menuId = toggle.getAttribute('aria-controls') || toggle.getAttribute('aria-owns');
+        if (menuId) {
+            if (toggle.getAttribute('aria-expanded') !== 'true') toggle.click();
+            const menu = document.getElementById(menuId);
+            return menu ? Array.from(menu.querySelectorAll(this.MENU_OPTION_SELECTOR)) : [];
+        }
+
+        // Otherwise it is the menu that renders on the click, so an open menu is reopened and
+        // the menus already on the page are left out
+        this.closeMenu(toggle);
+        const before = new Set(document.querySelectorAll(this.MENU_SELECTOR));
+        toggle.click();
+
+        const menu = Array.from(document.querySelectorAll(this.MENU_SELECTOR))
+            .filter(candidate => !before.has(candidate))
+            .pop();
+        return menu ? Array.from(menu.querySelectorAll(this.MENU_OPTION_SELECTOR)) : [];
+    }
+
+    /**
+     * Close a fancy-select's menu if it is open
+     * @param {Element} toggle - Fancy-select toggle button
+     */
+    static closeMenu(toggle) {
+        if (toggle.getAttribute('aria-expanded') === 'true') {
+            toggle.click();
+        }
+    }
+
+    /**
+     * Get the option a fancy-select shows as chosen
+     * @param {Element} toggle - Fancy-select toggle button
+     * @returns {string} - Option text, or empty while nothing is picked
+     */
+    static getToggleText(toggle) {
+        const text = toggle.textContent.replace(/\s+/g, ' ').trim();
+        return this.PLACEHOLDER_PATTERN.test(text) ? '' : text;
+    }
+
+    /**
+     * Get the question a fancy-select answers
+     * @param {Element} toggle - Fancy-select toggle button
+     * @param {Element} field - Element wrapping the label and the toggle
+     * @returns {string} - Label text
+     */
+    static getToggleLabel(toggle, field) {
+        const labelledBy = toggle.getAttribute('aria-labelledby');
+        const labelElement =
+            (labelledBy && document.getElementById(labelledBy.split(/\s+/)[0])) ||
+            (toggle.id && document.querySelector(`label[for="${CSS.escape(toggle.id)}"]`)) ||
+            (field && field.querySelector('label, legend'));
+
+        return labelElement ? labelElement.textContent.replace(/\s+/g, ' ').replace(/\*\s*$/, '').trim() : '';
+    }
+}
+
+AdapterRegistry.register(BambooHRAdapter, 60);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BambooHRAdapter;
+}
@@ -0,0 +1,123 @@
+/**
+ * Base Site Adapter
+ *
+ * Defines the interface every site adapter implements, with defaults that work on any page.
+ * Adapters are static-only classes that extend BaseAdapter and register themselves with the
+ * AdapterRegistry, overriding only what their site does differently:
+ *
+ *   matches()                     - How sure the adapter is that the page belongs to its site (0-1)
+ *   detectFields()                - Fields on the page, categorized
+ *   getObservedRoots()            - Shadow roots and frame documents to watch for new fields
+ *   handleCommonQuestions(resume) - Answer consent, answer bank, work authorization and EEO questions
+ *   navigateToNextPage()          - Move to the next step without submitting, true if it did
+ *   getJobPosting()               - The job posting on the page
+ *   getRepeatableGroups()         - {experience, education} sub-forms, see RepeatableSectionFiller
+ */
+
+class BaseAdapter {
+    // Value recorded as the application's "ats" in the tracker
+    static ATS_TYPE = 'generic';
+
+    // Scores for matches(): the site's own host is certain, markup only the site produces is
+    // strong evidence, and markup other sites may share as well is weak evidence
+    static SCORE_HOST = 1;
+    static SCORE_MARKUP = 0.6;
+    static SCORE_WEAK_MARKUP = 0.3;
+
+    // Whether the site renders fields inside web components, so elements added to the page
+    // are searched for shadow roots
+    static USES_SHADOW_DOM = false;
+
+    /**
+     * Score how likely the current page belongs to this adapter's site
+     * @returns {number} - Score (0-1), 0 if the page is not the adapter's site
+     */
+    static matches() {
+        return 0;
+    }
+
+    /**
+     * Check whether the page is served from one of the given hosts
+     * @param {...string} hosts - Host names, matched as part of the page's host
+     * @returns {boolean} - Whether the page is on one of the hosts
+     */
+    static isOnHost(...hosts) {
+        return hosts.some(host => window.location.hostname.includes(host));
+    }
+
+    /**
+     * Detect form fields on the page
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.detectFields();
+    }
+
+    /**
+     * Get the shadow roots and frame documents to watch for newly rendered fields, besides
+     * the document
+     * @returns {Array} - Shadow roots and documents
+     */
+    static getObservedRoots() {
+        return [];
+    }
+
+    /**
+     * Get the documents and shadow roots to look for questions in
+     * @returns {Array} - Roots to search
+     */
+    static getQuestionRoots() {
+        return [document];
+    }
+
+    /**
+     * Handle common questions. Consent checkboxes are only checked with the user's opt-in,
+     * answers from the answer bank come first, and EEO questions follow the user's
+     * self-identification preferences
+     * @param {Object} resumeData - Stored resume data
+     */
+    static handleCommonQuestions(resumeData) {
+        const consentPolicy = window.ConsentPolicy || ConsentPolicy;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const workAuthorization = window.WorkAuthorization || WorkAuthorization;
+        const selfIdentification = window.SelfIdentification || SelfIdentification;
+
+        this.getQuestionRoots().forEach(root => {
+            consentPolicy.reviewCheckboxes(root);
+            answerBank.answerQuestions(root);
+            workAuthorization.answerQuestions(resumeData, root);
+            selfIdentification.answerQuestions(root);
+        });
+    }
+
+    /**
+     * Move to the next step of a multi-page application. The submit button is never clicked
+     * @returns {boolean} - Whether navigation was successful
+     */
+    static navigateToNextPage() {
+        return false;
+    }
+
+    /**
+     * Read the job posting on the current page
+     * @returns {Object} - Posting, see JobPostingExtractor
+     */
+    static getJobPosting() {
+        const jobPostingExtractor = window.JobPostingExtractor || JobPostingExtractor;
+        return jobPostingExtractor.extract();
+    }
+
+    /**
+     * Describe the page's experience and education sub-forms
+     * @returns {Object} - {experience, education}, empty if the site has none
+     */
+    static getRepeatableGroups() {
+        return {};
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseAdapter;
+}
@@ -0,0 +1,15 @@
+/**
+ * Generic Site Adapter
+ *
+ * Fallback for pages no site adapter matches. Fields are detected and categorized by the
+ * FormDetector alone, and common questions are answered on the page.
+ */
+
+class GenericAdapter extends BaseAdapter {
+    static ATS_TYPE = 'generic';
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenericAdapter;
+}
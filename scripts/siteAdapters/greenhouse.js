@@ -4,17 +4,17 @@
  * Handles the specific form structure of Greenhouse job applications.
  */
 
-class GreenhouseAdapter {
+class GreenhouseAdapter extends BaseAdapter {
+    static ATS_TYPE = 'greenhouse';
+
     /**
-     * Detect if the current page is a Greenhouse application form
-     * @returns {boolean} - Whether the current page is a Greenhouse form
+     * Score how likely the current page is a Greenhouse application form
+     * @returns {number} - Score (0-1), 0 if the page is not Greenhouse
      */
-    static isGreenhouseForm() {
-        return (
-            window.location.hostname.includes('greenhouse.io') ||
-            document.querySelector('form#application_form') !== null ||
-            document.querySelector('div[data-source="greenhouse"]') !== null
-        );
+    static matches() {
+        if (this.isOnHost('greenhouse.io')) return this.SCORE_HOST;
+        if (document.querySelector('form#application_form, div[data-source="greenhouse"]')) return this.SCORE_MARKUP;
+        return 0;
     }
 
     /**
@@ -55,11 +55,15 @@ class GreenhouseAdapter {
                 fieldWrapper.querySelector('.field-label.required') !== null ||
                 fieldWrapper.querySelector('.asterisk') !== null;
 
+            // Dates of education and employment entries are split into month and year boxes
+            const datePartMatch = metadata.name.match(/\[(month|year)\]$/);
+
             // Update metadata
             field.metadata = {
                 ...metadata,
                 greenhouseFieldId,
                 greenhouseFieldType,
+                datePart: datePartMatch ? datePartMatch[1] : null,
                 isRequired: isRequired || metadata.required
             };
 
@@ -108,6 +112,30 @@ class GreenhouseAdapter {
 
         // Greenhouse uses standard field IDs for common fields
 
+        // Repeatable entries, e.g. job_application[educations][][degree_id]
+        const entryMatch = name.match(/\[(educations|employments)\]\[\d*\]\[(\w+)\]/);
+        if (entryMatch) {
+            const entryFields = {
+                school_name_id: 'school',
+                school_name: 'school',
+                degree_id: 'degree',
+                discipline_id: 'fieldOfStudy',
+                company_name: 'company',
+                title: 'title',
+                current: 'currentJob',
+                start_date: 'startDate',
+                end_date: 'endDate'
+            };
+            const subcategory = entryFields[entryMatch[2]];
+
+            if (subcategory) {
+                return {
+                    category: entryMatch[1] === 'educations' ? 'education' : 'experience',
+                    subcategory
+                };
+            }
+        }
+
         // Name fields
         if (
             id === 'first_name' ||
@@ -277,30 +305,51 @@ class GreenhouseAdapter {
     }
 
     /**
-     * Handle the multi-page application flow in Greenhouse
+     * Find the repeatable employment and education blocks
+     * @returns {Object} - {experience, education}, each {section, containers, addButton} or null
+     */
+    static getRepeatableGroups() {
+        return {
+            experience: this.findRepeatableGroup(
+                '#employment_section, .employment--container, [data-section="employment"]',
+                '.employment, .employment--form'
+            ),
+            education: this.findRepeatableGroup(
+                '#education_section, .education--container, [data-section="education"]',
+                '.education, .education--form'
+            )
+        };
+    }
+
+    /**
+     * Find a repeatable section and its entry blocks
+     * @param {string} sectionSelector - Selector of the section
+     * @param {string} entrySelector - Selector of the entry blocks within the section
+     * @returns {Object|null} - {section, containers, addButton}
      */
-    static handleApplicationFlow() {
-        // First handle any common questions
-        this.handleCommonQuestions();
+    static findRepeatableGroup(sectionSelector, entrySelector) {
+        const section = document.querySelector(sectionSelector);
+        if (!section) return null;
+
+        const containers = Array.from(section.querySelectorAll(entrySelector));
 
-        // Then try to navigate to the next page if needed
-        this.navigateToNextPage();
+        const repeatableFiller = window.RepeatableSectionFiller || RepeatableSectionFiller;
+        const addButton =
+            section.querySelector('a.add_education, a.add_employment, button.add-another-button') ||
+            repeatableFiller.findAddButton(section);
+
+        return { section, containers, addButton };
     }
 
     /**
-     * Navigate to the next page of the application
+     * Navigate to the next page of the application. The submit button is never clicked
      * @returns {boolean} - Whether navigation was successful
      */
     static navigateToNextPage() {
-        // Find "Next" or "Submit" buttons
+        // Find "Next" or "Continue" buttons
         const nextButtons = Array.from(document.querySelectorAll('button, input[type="submit"]')).filter(button => {
             const text = button.textContent.toLowerCase().trim() || button.value.toLowerCase().trim();
-            return (
-                text === 'next' ||
-                text === 'continue' ||
-                text === 'submit application' ||
-                text === 'submit'
-            );
+            return text === 'next' || text === 'continue';
         });
 
         if (nextButtons.length > 0) {
@@ -311,188 +360,10 @@ class GreenhouseAdapter {
 
         return false;
     }
-
-    /**
-     * Handle common Greenhouse questions
-     */
-    static handleCommonQuestions() {
-        // Handle EEO and demographic questions
-        this.handleEEOQuestions();
-
-        // Handle other common questions
-        this.handleCommonSelectQuestions();
-        this.handleCommonTextQuestions();
-    }
-
-    /**
-     * Handle EEO (Equal Employment Opportunity) questions
-     */
-    static handleEEOQuestions() {
-        // Look for EEO sections
-        const eeoSections = Array.from(document.querySelectorAll('fieldset, div.field-group, section')).filter(section => {
-            const text = section.textContent.toLowerCase();
-            return (
-                text.includes('equal employment opportunity') ||
-                text.includes('eeo') ||
-                text.includes('gender') ||
-                text.includes('race') ||
-                text.includes('ethnicity') ||
-                text.includes('veteran status') ||
-                text.includes('disability')
-            );
-        });
-
-        eeoSections.forEach(section => {
-            // Find select elements in the section
-            const selects = section.querySelectorAll('select');
-
-            selects.forEach(select => {
-                // Look for "Decline to answer" or similar options
-                const options = Array.from(select.options);
-                const declineOption = options.find(option => {
-                    const text = option.text.toLowerCase();
-                    return (
-                        text.includes('decline') ||
-                        text.includes('prefer not') ||
-                        text.includes('do not wish') ||
-                        text.includes('choose not')
-                    );
-                });
-
-                if (declineOption) {
-                    select.value = declineOption.value;
-                    select.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            });
-
-            // Find radio buttons or checkboxes for "No" answers
-            const radioButtons = section.querySelectorAll('input[type="radio"]');
-
-            radioButtons.forEach(radio => {
-                const labelElement = document.querySelector(`label[for="${radio.id}"]`);
-                if (labelElement) {
-                    const labelText = labelElement.textContent.toLowerCase();
-
-                    if (
-                        labelText.includes('no') ||
-                        labelText.includes('not') ||
-                        labelText.includes('decline') ||
-                        labelText.includes('prefer not')
-                    ) {
-                        radio.checked = true;
-                        radio.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                }
-            });
-        });
-    }
-
-    /**
-     * Handle common select dropdown questions
-     */
-    static handleCommonSelectQuestions() {
-        // Find select elements
-        const selects = document.querySelectorAll('select');
-
-        selects.forEach(select => {
-            // Skip if already selected
-            if (select.value) return;
-
-            const wrapper = this.findFieldWrapper(select);
-            if (!wrapper) return;
-
-            const labelText = wrapper.textContent.toLowerCase();
-
-            // Handle reference source questions
-            if (
-                labelText.includes('how did you hear') ||
-                labelText.includes('how you found') ||
-                labelText.includes('what source')
-            ) {
-                const options = Array.from(select.options);
-
-                // Try to find a job board option
-                const sourceOption = options.find(option => {
-                    const text = option.text.toLowerCase();
-                    return (
-                        text.includes('job board') ||
-                        text.includes('indeed') ||
-                        text.includes('linkedin') ||
-                        text.includes('internet search')
-                    );
-                });
-
-                if (sourceOption) {
-                    select.value = sourceOption.value;
-                    select.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }
-
-            // Handle salary/compensation expectation questions
-            if (
-                labelText.includes('salary') ||
-                labelText.includes('compensation')
-            ) {
-                const options = Array.from(select.options);
-
-                // Try to find a middle option
-                if (options.length > 2) {
-                    const middleOption = options[Math.floor(options.length / 2)];
-                    select.value = middleOption.value;
-                    select.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }
-        });
-    }
-
-    /**
-     * Handle common text input questions
-     */
-    static handleCommonTextQuestions() {
-        // Find text inputs and textareas
-        const textInputs = document.querySelectorAll('input[type="text"], textarea');
-
-        textInputs.forEach(input => {
-            // Skip if already filled
-            if (input.value.trim()) return;
-
-            const wrapper = this.findFieldWrapper(input);
-            if (!wrapper) return;
-
-            // Skip required fields
-            if (
-                input.required ||
-                wrapper.classList.contains('required') ||
-                wrapper.querySelector('.required')
-            ) {
-                return;
-            }
-
-            const labelText = wrapper.textContent.toLowerCase();
-
-            // Handle salary expectation questions
-            if (
-                labelText.includes('salary') ||
-                labelText.includes('compensation')
-            ) {
-                input.value = 'Negotiable based on total compensation package';
-                input.dispatchEvent(new Event('input', { bubbles: true }));
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-
-            // Handle referral questions
-            if (
-                labelText.includes('referral') ||
-                labelText.includes('referred by')
-            ) {
-                input.value = 'N/A';
-                input.dispatchEvent(new Event('input', { bubbles: true }));
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
-    }
 }
 
+AdapterRegistry.register(GreenhouseAdapter, 80);
+
 // Export the class if using modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GreenhouseAdapter;
@@ -0,0 +1,209 @@
+/**
+ * iCIMS Site Adapter
+ *
+ * Handles iCIMS job applications. iCIMS career portals load the application into an iframe
+ * (#icims_content_iframe) on the same host, so fields are read from that frame's document as
+ * well as the page. Career sites on a company's own domain embed the frame from icims.com;
+ * there the content script runs inside the frame instead (all_frames in manifest.json).
+ * Field names are dotted paths like "PersonProfileFields.FirstName" or
+ * "PersonProfileFields.Addresses[0].AddressCity"; the last part identifies the field.
+ */
+
+class ICIMSAdapter extends BaseAdapter {
+    static ATS_TYPE = 'icims';
+
+    // Standard fields by the last part of their name, lowercased
+    static FIELD_NAMES = {
+        firstname: { category: 'personal', subcategory: 'firstName' },
+        middlename: { category: 'personal', subcategory: 'middleName' },
+        lastname: { category: 'personal', subcategory: 'lastName' },
+        email: { category: 'personal', subcategory: 'email' },
+        phonenumber: { category: 'personal', subcategory: 'phone' },
+        phone: { category: 'personal', subcategory: 'phone' },
+        addressstreet1: { category: 'personal', subcategory: 'address' },
+        addresscity: { category: 'personal', subcategory: 'city' },
+        addressstate: { category: 'personal', subcategory: 'state' },
+        addresszip: { category: 'personal', subcategory: 'zipCode' },
+        addresscountry: { category: 'personal', subcategory: 'country' },
+        linkedinprofile: { category: 'other', subcategory: 'linkedin' },
+        website: { category: 'other', subcategory: 'website' },
+        school: { category: 'education', subcategory: 'school' },
+        degree: { category: 'education', subcategory: 'degree' },
+        major: { category: 'education', subcategory: 'fieldOfStudy' },
+        graduationdate: { category: 'education', subcategory: 'graduationDate' },
+        employer: { category: 'experience', subcategory: 'company' },
+        jobtitle: { category: 'experience', subcategory: 'title' },
+        resume: { category: 'other', subcategory: 'resume' },
+        coverletter: { category: 'other', subcategory: 'coverLetter' }
+    };
+
+    static IFRAME_SELECTOR = '#icims_content_iframe, iframe[src*="icims.com"]';
+
+    // Markup of the application form itself, as found inside the frame
+    static FORM_SELECTOR = '[name^="PersonProfileFields."], .iCIMS_MainWrapper';
+
+    // Frames already asked to report their loads to the form observer
+    static watchedFrames = new WeakSet();
+
+    /**
+     * Score how likely the current page is a an iCIMS application form
+     * @returns {number} - Score (0-1), 0 if the page is not an iCIMS
+     */
+    static matches() {
+        if (this.isOnHost('icims.com')) return this.SCORE_HOST;
+        if (document.querySelector(`${this.IFRAME_SELECTOR}, ${this.FORM_SELECTOR}`)) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Get the page and the documents of the iCIMS iframes that can be read
+     * @returns {Array} - Documents to search for fields
+     */
+    static getFormDocuments() {
+        const documents = [document];
+
+        document.querySelectorAll(this.IFRAME_SELECTOR).forEach(iframe => {
+            try {
+                // Embedded on another host, the frame cannot be read from here
+                const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+                if (iframeDoc) documents.push(iframeDoc);
+            } catch (e) {
+                console.warn('Could not access iframe content:', e);
+            }
+        });
+
+        return documents;
+    }
+
+    /**
+     * Detect form fields on the page and in the application iframe
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+        const fields = [];
+
+        this.getFormDocuments().forEach(doc => {
+            Array.from(doc.querySelectorAll('input, select, textarea'))
+                .filter(element => formDetector.isRelevantField(element))
+                .forEach(element => fields.push(this.enhanceICIMSField(formDetector.analyzeField(element))));
+        });
+
+        return fields;
+    }
+
+    /**
+     * Enhance field info with iCIMS-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceICIMSField(field) {
+        const { element, metadata } = field;
+
+        field.metadata = {
+            ...metadata,
+            icimsFieldName: this.getFieldName(element)
+        };
+
+        const { category, subcategory } = this.categorizeICIMSField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateICIMSConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Get the last part of a field's dotted name, e.g. "addresscity"
+     * @param {Element} element - Field element
+     * @returns {string} - Lowercased field name
+     */
+    static getFieldName(element) {
+        const parts = (element.name || element.id || '').split(/[.[\]_-]+/).filter(part => part && !/^\d+$/.test(part));
+        return (parts.length > 0 ? parts[parts.length - 1] : '').toLowerCase();
+    }
+
+    /**
+     * Categorize an iCIMS field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeICIMSField(metadata) {
+        if (this.FIELD_NAMES[metadata.icimsFieldName]) {
+            return this.FIELD_NAMES[metadata.icimsFieldName];
+        }
+
+        // If no specific match, use general categorization
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for iCIMS field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateICIMSConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        if (this.FIELD_NAMES[metadata.icimsFieldName]) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Move to the next step of the application. The submit button is never clicked
+     * @returns {boolean} - Whether navigation was successful
+     */
+    static navigateToNextPage() {
+        for (const doc of this.getFormDocuments()) {
+            const nextButton = Array.from(doc.querySelectorAll('button, input[type="submit"], input[type="button"], a.iCIMS_Button'))
+                .find(button => /^(next|continue)$/i.test((button.textContent || button.value || '').trim()));
+
+            if (nextButton) {
+                nextButton.click();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Later steps render inside the application iframe, out of the document observer's sight.
+     * Each step may load as a new frame document, so a frame load asks for a new pass, which
+     * observes the new document
+     * @returns {Array} - The documents of the iCIMS iframes
+     */
+    static getObservedRoots() {
+        const formObserver = window.FormObserver || FormObserver;
+
+        document.querySelectorAll(this.IFRAME_SELECTOR).forEach(iframe => {
+            if (this.watchedFrames.has(iframe)) return;
+            this.watchedFrames.add(iframe);
+            iframe.addEventListener('load', () => formObserver.scheduleCheck());
+        });
+
+        return this.getFormDocuments().slice(1);
+    }
+
+    /**
+     * Questions sit on the page and in the application iframe
+     * @returns {Array} - Documents to search
+     */
+    static getQuestionRoots() {
+        return this.getFormDocuments();
+    }
+}
+
+AdapterRegistry.register(ICIMSAdapter, 40);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICIMSAdapter;
+}
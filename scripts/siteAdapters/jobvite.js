@@ -0,0 +1,118 @@
+/**
+ * Jobvite Site Adapter
+ *
+ * Handles Jobvite job applications. Jobvite generates its field ids, so standard fields are
+ * recognized by their label instead.
+ */
+
+class JobviteAdapter extends BaseAdapter {
+    static ATS_TYPE = 'jobvite';
+
+    // Standard fields by their (lowercased) label, without the required marker
+    static FIELD_LABELS = {
+        'first name': { category: 'personal', subcategory: 'firstName' },
+        'last name': { category: 'personal', subcategory: 'lastName' },
+        'email': { category: 'personal', subcategory: 'email' },
+        'email address': { category: 'personal', subcategory: 'email' },
+        'phone': { category: 'personal', subcategory: 'phone' },
+        'phone number': { category: 'personal', subcategory: 'phone' },
+        'mobile phone': { category: 'personal', subcategory: 'phone' },
+        'address': { category: 'personal', subcategory: 'address' },
+        'address line 1': { category: 'personal', subcategory: 'address' },
+        'city': { category: 'personal', subcategory: 'city' },
+        'state': { category: 'personal', subcategory: 'state' },
+        'state/province': { category: 'personal', subcategory: 'state' },
+        'postal code': { category: 'personal', subcategory: 'zipCode' },
+        'zip code': { category: 'personal', subcategory: 'zipCode' },
+        'zip/postal code': { category: 'personal', subcategory: 'zipCode' },
+        'country': { category: 'personal', subcategory: 'country' },
+        'linkedin': { category: 'other', subcategory: 'linkedin' },
+        'linkedin profile': { category: 'other', subcategory: 'linkedin' },
+        'linkedin profile url': { category: 'other', subcategory: 'linkedin' },
+        'website': { category: 'other', subcategory: 'website' },
+        'personal website': { category: 'other', subcategory: 'website' },
+        'resume': { category: 'other', subcategory: 'resume' },
+        'cover letter': { category: 'other', subcategory: 'coverLetter' }
+    };
+
+    /**
+     * Score how likely the current page is a Jobvite application form
+     * @returns {number} - Score (0-1), 0 if the page is not Jobvite
+     */
+    static matches() {
+        if (this.isOnHost('jobvite.com')) return this.SCORE_HOST;
+        if (document.querySelector('form[name="jvForm"], .jv-page-body .jv-form')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields in Jobvite's form structure
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return formDetector.detectFields().map(field => this.enhanceJobviteField(field));
+    }
+
+    /**
+     * Enhance field info with Jobvite-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceJobviteField(field) {
+        const { metadata } = field;
+
+        field.metadata = {
+            ...metadata,
+            jobviteLabel: metadata.labelText.replace(/\*/g, '').replace(/\s+/g, ' ').trim()
+        };
+
+        const { category, subcategory } = this.categorizeJobviteField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateJobviteConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Categorize a Jobvite field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeJobviteField(metadata) {
+        if (this.FIELD_LABELS[metadata.jobviteLabel]) {
+            return this.FIELD_LABELS[metadata.jobviteLabel];
+        }
+
+        // If no specific match, use general categorization
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for Jobvite field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateJobviteConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        if (this.FIELD_LABELS[metadata.jobviteLabel]) {
+            confidence = Math.min(confidence + 0.2, 1.0);
+        }
+
+        return confidence;
+    }
+}
+
+AdapterRegistry.register(JobviteAdapter, 20);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobviteAdapter;
+}
@@ -4,17 +4,18 @@
  * Handles the specific form structure of Lever job applications.
  */
 
-class LeverAdapter {
+class LeverAdapter extends BaseAdapter {
+    static ATS_TYPE = 'lever';
+
     /**
-     * Detect if the current page is a Lever application form
-     * @returns {boolean} - Whether the current page is a Lever form
+     * Score how likely the current page is a Lever application form
+     * @returns {number} - Score (0-1), 0 if the page is not Lever
      */
-    static isLeverForm() {
-        return (
-            window.location.hostname.includes('lever.co') ||
-            document.querySelector('form[data-form-type="application"]') !== null ||
-            document.querySelector('.application-form') !== null
-        );
+    static matches() {
+        if (this.isOnHost('lever.co')) return this.SCORE_HOST;
+        if (document.querySelector('form[data-form-type="application"]')) return this.SCORE_MARKUP;
+        if (document.querySelector('.application-form')) return this.SCORE_WEAK_MARKUP;
+        return 0;
     }
 
     /**
@@ -208,152 +209,10 @@ class LeverAdapter {
 
         return confidence;
     }
-
-    /**
-     * Handle common Lever form questions
-     */
-    static handleCommonQuestions() {
-        this.handleTextareaQuestions();
-        this.handleCheckboxQuestions();
-        this.handleSelectQuestions();
-    }
-
-    /**
-     * Handle common textarea questions
-     */
-    static handleTextareaQuestions() {
-        // Find all textareas with potential questions
-        const textareas = document.querySelectorAll('textarea');
-
-        textareas.forEach(textarea => {
-            const wrapper = this.findFieldWrapper(textarea);
-            if (!wrapper) return;
-
-            const labelText = wrapper.textContent.toLowerCase();
-
-            // Skip required fields
-            if (wrapper.classList.contains('required')) return;
-
-            // Don't fill fields that are already filled
-            if (textarea.value.trim()) return;
-
-            // Look for common questions and provide reasonable defaults
-
-            // Salary expectations
-            if (
-                labelText.includes('salary') ||
-                labelText.includes('compensation') ||
-                labelText.includes('expected') ||
-                labelText.includes('desired')
-            ) {
-                textarea.value = 'My salary expectations are flexible and negotiable based on the total compensation package.';
-                textarea.dispatchEvent(new Event('input', { bubbles: true }));
-                textarea.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-
-            // Additional information
-            else if (
-                labelText.includes('additional') ||
-                labelText.includes('anything else') ||
-                labelText.includes('other comments')
-            ) {
-                textarea.value = 'I am excited about this opportunity and look forward to discussing how my skills align with your needs.';
-                textarea.dispatchEvent(new Event('input', { bubbles: true }));
-                textarea.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
-    }
-
-    /**
-     * Handle common checkbox questions
-     */
-    static handleCheckboxQuestions() {
-        // Find all checkboxes
-        const checkboxes = document.querySelectorAll('input[type="checkbox"]');
-
-        checkboxes.forEach(checkbox => {
-            const wrapper = this.findFieldWrapper(checkbox);
-            if (!wrapper) return;
-
-            const labelText = wrapper.textContent.toLowerCase();
-
-            // Check authorization or agreement boxes
-            if (
-                labelText.includes('authorized to work') ||
-                labelText.includes('legally authorized') ||
-                labelText.includes('work authorization')
-            ) {
-                checkbox.checked = true;
-                checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-
-            // Check consent for processing data
-            if (
-                labelText.includes('consent') ||
-                labelText.includes('agree') ||
-                labelText.includes('terms') ||
-                labelText.includes('privacy')
-            ) {
-                checkbox.checked = true;
-                checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
-    }
-
-    /**
-     * Handle common select dropdown questions
-     */
-    static handleSelectQuestions() {
-        // Find all select elements
-        const selects = document.querySelectorAll('select');
-
-        selects.forEach(select => {
-            const wrapper = this.findFieldWrapper(select);
-            if (!wrapper) return;
-
-            const labelText = wrapper.textContent.toLowerCase();
-
-            // Don't fill fields that are already filled
-            if (select.value) return;
-
-            // Handle pronoun selection
-            if (
-                labelText.includes('pronoun') ||
-                labelText.includes('gender')
-            ) {
-                const preferNotOption = Array.from(select.options).find(option =>
-                    option.text.toLowerCase().includes('prefer not') ||
-                    option.text.toLowerCase().includes('decline')
-                );
-
-                if (preferNotOption) {
-                    select.value = preferNotOption.value;
-                    select.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }
-
-            // Handle how did you hear about us
-            if (
-                labelText.includes('how did you hear') ||
-                labelText.includes('how you found') ||
-                labelText.includes('referral source')
-            ) {
-                // Try to find "Job board" or similar option
-                const jobBoardOption = Array.from(select.options).find(option =>
-                    option.text.toLowerCase().includes('job board') ||
-                    option.text.toLowerCase().includes('indeed') ||
-                    option.text.toLowerCase().includes('linkedin')
-                );
-
-                if (jobBoardOption) {
-                    select.value = jobBoardOption.value;
-                    select.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }
-        });
-    }
 }
 
+AdapterRegistry.register(LeverAdapter, 90);
+
 // Export the class if using modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LeverAdapter;
@@ -0,0 +1,435 @@
+/**
+ * SmartRecruiters Site Adapter
+ *
+ * Handles the SmartRecruiters application form. The form is built from web components
+ * (spl-input, spl-select, spl-checkbox, ...) that render their inputs inside open shadow
+ * roots, so fields are collected from those roots as well as the page. Experience and
+ * education entries are not edited inline: each one is added through a dialog that opens
+ * from the section's "Add" button and is saved as a list item.
+ */
+
+class SmartRecruitersAdapter extends BaseAdapter {
+    static ATS_TYPE = 'smartrecruiters';
+
+    static USES_SHADOW_DOM = true;
+
+    // Stable field identifiers, without their "-input" / "-field" suffix
+    static FIELD_IDS = {
+        'first-name': { category: 'personal', subcategory: 'firstName' },
+        'last-name': { category: 'personal', subcategory: 'lastName' },
+        'email': { category: 'personal', subcategory: 'email' },
+        'confirm-email': { category: 'personal', subcategory: 'email' },
+        'phone-number': { category: 'personal', subcategory: 'phone' },
+        'phone': { category: 'personal', subcategory: 'phone' },
+        'location': { category: 'personal', subcategory: 'city' },
+        'city': { category: 'personal', subcategory: 'city' },
+        'linkedin': { category: 'other', subcategory: 'linkedin' },
+        'website': { category: 'other', subcategory: 'website' },
+        'twitter': { category: 'other', subcategory: 'twitter' },
+        'hiring-manager-message': { category: 'other', subcategory: 'coverLetter' },
+        'message': { category: 'other', subcategory: 'coverLetter' },
+        'resume': { category: 'other', subcategory: 'resume' }
+    };
+
+    // Fields of the experience and education dialogs, by identifier
+    static ENTRY_FIELD_IDS = {
+        experience: {
+            'title': 'title',
+            'job-title': 'title',
+            'company': 'company',
+            'description': 'description',
+            'location': 'location',
+            'current': 'currentJob',
+            'currently-work-here': 'currentJob',
+            'start-date': 'startDate',
+            'from': 'startDate',
+            'end-date': 'endDate',
+            'to': 'endDate'
+        },
+        education: {
+            'institution': 'school',
+            'school': 'school',
+            'major': 'fieldOfStudy',
+            'field-of-study': 'fieldOfStudy',
+            'degree': 'degree',
+            'description': 'description',
+            // The school's location is not kept in a resume entry
+            'location': null,
+            'start-date': 'startDate',
+            'from': 'startDate',
+            'end-date': 'endDate',
+            'to': 'endDate'
+        }
+    };
+
+    static DIALOG_SELECTOR = 'spl-dialog, [role="dialog"], .modal-dialog';
+
+    // How long to wait for an "Add" dialog to open
+    static DIALOG_TIMEOUT_MS = 3000;
+    static POLL_INTERVAL_MS = 100;
+
+    /**
+     * Score how likely the current page is a SmartRecruiters application form
+     * @returns {number} - Score (0-1), 0 if the page is not SmartRecruiters
+     */
+    static matches() {
+        if (this.isOnHost('smartrecruiters.com')) return this.SCORE_HOST;
+        if (document.querySelector('div.careers-application-container, form[data-automation-id="application-form"]')) {
+            return this.SCORE_MARKUP;
+        }
+        return 0;
+    }
+
+    /**
+     * Detect form fields, including those inside the components' shadow roots. Fields of an
+     * open "Add" dialog are left to addEntry()
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return this.collectInputs(document)
+            .filter(element => !this.findDialog(element))
+            .filter(element => formDetector.isRelevantField(element))
+            .map(element => this.enhanceSmartRecruitersField(formDetector.analyzeField(element)));
+    }
+
+    /**
+     * Collect the inputs of a root and of every open shadow root below it
+     * @param {Document|Element|ShadowRoot} root - Where to look
+     * @returns {Array} - Input, select and textarea elements
+     */
+    static collectInputs(root) {
+        const inputs = Array.from(root.querySelectorAll('input, select, textarea'));
+
+        this.getShadowRoots(root).forEach(shadowRoot => {
+            inputs.push(...shadowRoot.querySelectorAll('input, select, textarea'));
+        });
+
+        return inputs;
+    }
+
+    /**
+     * Find every open shadow root below a root, nested ones included
+     * @param {Document|Element|ShadowRoot} root - Where to look
+     * @returns {Array} - Shadow roots
+     */
+    static getShadowRoots(root) {
+        const shadowRoots = [];
+
+        root.querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) {
+                shadowRoots.push(element.shadowRoot, ...this.getShadowRoots(element.shadowRoot));
+            }
+        });
+
+        return shadowRoots;
+    }
+
+    /**
+     * Get the component an element belongs to, or the element itself outside a shadow root
+     * @param {Element} element - Field element
+     * @returns {Element} - Host component or the element
+     */
+    static getHost(element) {
+        const root = element.getRootNode();
+        return root instanceof ShadowRoot ? root.host : element;
+    }
+
+    /**
+     * Enhance field info with SmartRecruiters-specific metadata
+     * @param {Object} field - Field object
+     * @param {string} [section] - 'experience' or 'education' for fields of an "Add" dialog
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceSmartRecruitersField(field, section = null) {
+        const { element, metadata } = field;
+        const host = this.getHost(element);
+
+        field.metadata = {
+            ...metadata,
+            // The component carries the label when the input inside it has none
+            labelText: metadata.labelText || (host.getAttribute('label') || '').trim().toLowerCase(),
+            smartRecruitersFieldId: this.getFieldId(element)
+        };
+
+        const { category, subcategory } = this.categorizeSmartRecruitersField(field.metadata, section);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateSmartRecruitersConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Get the stable identifier of a field: the id or data-test attribute of the input or its
+     * component, without the "-input" / "-field" suffix
+     * @param {Element} element - Field element
+     * @returns {string} - Identifier, or empty if none
+     */
+    static getFieldId(element) {
+        const host = this.getHost(element);
+        const identifier =
+            host.getAttribute('data-test') ||
+            (host !== element ? host.id : '') ||
+            element.getAttribute('data-test') ||
+            element.id ||
+            element.name ||
+            '';
+
+        return identifier.toLowerCase().replace(/[_\s]+/g, '-').replace(/-(input|field|checkbox|select)$/, '');
+    }
+
+    /**
+     * Categorize a SmartRecruiters field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @param {string} [section] - 'experience' or 'education' for fields of an "Add" dialog
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeSmartRecruitersField(metadata, section = null) {
+        const fieldId = metadata.smartRecruitersFieldId;
+
+        if (section) {
+            // Dialog fields may carry a section prefix, e.g. "experience-title"
+            const entryId = fieldId.replace(/^(experience|education)-/, '');
+            const entryFields = this.ENTRY_FIELD_IDS[section];
+            if (entryId in entryFields) {
+                return entryFields[entryId]
+                    ? { category: section, subcategory: entryFields[entryId] }
+                    : { category: 'unknown', subcategory: 'unknown' };
+            }
+        } else if (this.FIELD_IDS[fieldId]) {
+            return this.FIELD_IDS[fieldId];
+        }
+
+        // If no specific match, use general categorization
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for SmartRecruiters field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateSmartRecruitersConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        // Known identifiers say what the field is regardless of its label
+        const fieldId = metadata.smartRecruitersFieldId.replace(/^(experience|education)-/, '');
+        const isKnown =
+            this.FIELD_IDS[metadata.smartRecruitersFieldId] ||
+            Object.values(this.ENTRY_FIELD_IDS).some(fields => fields[fieldId] === subcategory);
+        if (isKnown) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Find the experience and education lists. Entries are added through a dialog, so each
+     * group supplies addEntry() instead of inline sub-forms
+     * @returns {Object} - {experience, education}, each {section, containers, addButton, addEntry} or null
+     */
+    static getRepeatableGroups() {
+        return {
+            experience: this.findRepeatableGroup('experience', /^(work )?experience$/i),
+            education: this.findRepeatableGroup('education', /^education$/i)
+        };
+    }
+
+    /**
+     * Find a repeatable section by its heading, with its saved entries and "Add" button
+     * @param {string} sectionName - 'experience' or 'education'
+     * @param {RegExp} headingPattern - Pattern matching the section heading
+     * @returns {Object|null} - {section, containers, addButton, addEntry}
+     */
+    static findRepeatableGroup(sectionName, headingPattern) {
+        const section = Array.from(document.querySelectorAll(`[data-test="${sectionName}-section"], section, fieldset`))
+            .find(candidate => {
+                if (candidate.getAttribute('data-test') === `${sectionName}-section`) return true;
+                const heading = candidate.querySelector('h2, h3, h4, legend');
+                return heading && headingPattern.test(heading.textContent.replace(/\s+/g, ' ').trim());
+            });
+        if (!section) return null;
+
+        const containers = this.getEntryItems(section);
+        const addButton = this.findButton(section, /^\+?\s*add\b/i);
+        if (!addButton) return { section, containers, addButton: null };
+
+        return {
+            section,
+            containers,
+            addButton,
+            addEntry: (index, resumeData) => this.addEntry(addButton, sectionName, index, resumeData)
+        };
+    }
+
+    /**
+     * Get the saved entries of a section: the items of its entry list, without the lists an
+     * entry may hold itself
+     * @param {Element} section - Experience or education section
+     * @returns {Array} - Entry elements
+     */
+    static getEntryItems(section) {
+        const list = section.querySelector('ul, ol, [role="list"]') || section;
+        return Array.from(list.children).filter(child => child.matches('li, [role="listitem"]'));
+    }
+
+    /**
+     * Add one resume entry through the section's dialog: open it, fill it and save it
+     * @param {Element} addButton - The section's "Add" button
+     * @param {string} section - 'experience' or 'education'
+     * @param {number} index - Index of the resume entry
+     * @param {Object} resumeData - Stored resume data
+     * @returns {Promise<boolean>} - Whether the dialog was filled and saved
+     */
+    static async addEntry(addButton, section, index, resumeData) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const formDetector = window.FormDetector || FormDetector;
+        const formObserver = window.FormObserver || FormObserver;
+
+        addButton.click();
+        const dialog = await this.waitForDialog();
+        if (!dialog) {
+            console.warn(`JobFill: the SmartRecruiters ${section} dialog did not open`);
+            return false;
+        }
+
+        const fields = this.collectInputs(dialog)
+            .filter(element => formDetector.isRelevantField(element))
+            .map(element => this.enhanceSmartRecruitersField(formDetector.analyzeField(element), section));
+        fields.forEach(field => {
+            field.entryIndex = index;
+            field.entrySection = section;
+
+            // The date inputs take month and year as "MM/YYYY"
+            if (field.subcategory === 'startDate' || field.subcategory === 'endDate') {
+                field.metadata.dateFormat = 'MM/YYYY';
+            }
+        });
+
+        formObserver.ignoreEdits(() => autoFiller.fillFields(fields, resumeData));
+
+        const saveButton = this.findButton(dialog, /^(save|add|done)$/i);
+        if (!saveButton) {
+            console.warn(`JobFill: no save button in the SmartRecruiters ${section} dialog`);
+            this.closeDialog(dialog);
+            return false;
+        }
+
+        saveButton.click();
+        return true;
+    }
+
+    /**
+     * Wait for an "Add" dialog with fields to open
+     * @returns {Promise<Element|null>} - The dialog, or null if none opened in time
+     */
+    static waitForDialog() {
+        return new Promise(resolve => {
+            const startedAt = Date.now();
+
+            const check = () => {
+                const dialog = Array.from(document.querySelectorAll(this.DIALOG_SELECTOR))
+                    .find(candidate => this.collectInputs(candidate).length > 0);
+
+                if (dialog || Date.now() - startedAt > this.DIALOG_TIMEOUT_MS) {
+                    resolve(dialog || null);
+                } else {
+                    setTimeout(check, this.POLL_INTERVAL_MS);
+                }
+            };
+
+            check();
+        });
+    }
+
+    /**
+     * Close a dialog without saving it, through its Cancel or Close button or else Escape
+     * @param {Element} dialog - Dialog element
+     */
+    static closeDialog(dialog) {
+        const closeButton = this.findButton(dialog, /^(cancel|close|discard)$/i) ||
+            Array.from(dialog.querySelectorAll('button, spl-button, [role="button"]'))
+                .find(button => /^(cancel|close)\b/i.test(button.getAttribute('aria-label') || ''));
+
+        if (closeButton) {
+            closeButton.click();
+        } else {
+            dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        }
+    }
+
+    /**
+     * Find the dialog an element sits in, looking through shadow roots
+     * @param {Element} element - Element
+     * @returns {Element|null} - Dialog element
+     */
+    static findDialog(element) {
+        let current = element;
+        while (current) {
+            const dialog = current.closest(this.DIALOG_SELECTOR);
+            if (dialog) return dialog;
+
+            const root = current.getRootNode();
+            current = root instanceof ShadowRoot ? root.host : null;
+        }
+        return null;
+    }
+
+    /**
+     * Find an enabled button by its text, including spl-button components
+     * @param {Element|Document} root - Where to look
+     * @param {RegExp} textPattern - Pattern matching the button text
+     * @returns {Element|null} - Button
+     */
+    static findButton(root, textPattern) {
+        return Array.from(root.querySelectorAll('button, spl-button, [role="button"]')).find(button => {
+            const text = button.textContent.replace(/\s+/g, ' ').trim();
+            return textPattern.test(text) && !button.disabled && !button.hasAttribute('disabled');
+        }) || null;
+    }
+
+    /**
+     * Move to the next step of the application. The submit button is never clicked
+     * @returns {boolean} - Whether navigation was successful
+     */
+    static navigateToNextPage() {
+        const nextButton = this.findButton(document, /^(next|continue)$/i);
+
+        if (nextButton) {
+            nextButton.click();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Later steps render their fields inside the components, out of the document observer's sight
+     * @returns {Array} - The components' shadow roots
+     */
+    static getObservedRoots() {
+        return this.getShadowRoots(document);
+    }
+
+    /**
+     * Screening questions sit on the page and inside the components
+     * @returns {Array} - The document and the components' shadow roots
+     */
+    static getQuestionRoots() {
+        return [document, ...this.getShadowRoots(document)];
+    }
+}
+
+AdapterRegistry.register(SmartRecruitersAdapter, 70);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartRecruitersAdapter;
+}
@@ -0,0 +1,345 @@
+/**
+ * SAP SuccessFactors Site Adapter
+ *
+ * Handles SuccessFactors applications, where the candidate profile is built across several
+ * pages. Background sections (work experience, education, languages) are tables with one
+ * row per entry and an "Add" link; their fields are told apart by the row's column header
+ * and the background element's field id. The profile keeps no languages, so language rows
+ * are left for the user. Date pickers expect the date in the format shown next to them,
+ * e.g. MM/DD/YYYY or DD.MM.YYYY.
+ */
+
+class SuccessFactorsAdapter extends BaseAdapter {
+    static ATS_TYPE = 'successfactors';
+
+    // Background sections by field id and by heading. Languages are recognized only so their
+    // rows are not taken for fields of a page wrapper that matches another section
+    static SECTIONS = {
+        experience: {
+            idPattern: /workexperience|employment/i,
+            headingPattern: /work (experience|history)|employment|previous employ/i
+        },
+        education: {
+            idPattern: /education/i,
+            headingPattern: /^education/i
+        },
+        languages: {
+            idPattern: /language/i,
+            headingPattern: /^languages?\b/i
+        }
+    };
+
+    // Fields of a background row, tried in order against the field id and column header
+    static ENTRY_FIELDS = {
+        experience: [
+            [/current|present/, 'currentJob'],
+            [/description|responsibilit|duties/, 'description'],
+            [/employer|company|organi[sz]ation/, 'company'],
+            [/title|position|role/, 'title'],
+            [/start|from/, 'startDate'],
+            [/\bend(?:date)?\b|\bto\b/, 'endDate']
+        ],
+        education: [
+            [/school|institution|university|college/, 'school'],
+            [/degree/, 'degree'],
+            [/major|field|discipline|subject/, 'fieldOfStudy'],
+            [/gpa|grade/, 'gpa'],
+            [/start|from/, 'startDate'],
+            [/\bend(?:date)?\b|\bto\b|graduat/, 'endDate']
+        ]
+    };
+
+    // Standard candidate profile fields by (lowercased) field id
+    static FIELD_IDS = {
+        fname: { category: 'personal', subcategory: 'firstName' },
+        firstname: { category: 'personal', subcategory: 'firstName' },
+        mname: { category: 'personal', subcategory: 'middleName' },
+        middlename: { category: 'personal', subcategory: 'middleName' },
+        lname: { category: 'personal', subcategory: 'lastName' },
+        lastname: { category: 'personal', subcategory: 'lastName' },
+        contactemail: { category: 'personal', subcategory: 'email' },
+        email: { category: 'personal', subcategory: 'email' },
+        cellphone: { category: 'personal', subcategory: 'phone' },
+        homephone: { category: 'personal', subcategory: 'phone' },
+        phone: { category: 'personal', subcategory: 'phone' },
+        address: { category: 'personal', subcategory: 'address' },
+        address1: { category: 'personal', subcategory: 'address' },
+        city: { category: 'personal', subcategory: 'city' },
+        state: { category: 'personal', subcategory: 'state' },
+        zip: { category: 'personal', subcategory: 'zipCode' },
+        country: { category: 'personal', subcategory: 'country' }
+    };
+
+    // Date formats written next to date pickers, e.g. "(MM/DD/YYYY)" or "TT.MM.JJJJ"
+    static DATE_FORMAT_PATTERN = /\b(d{1,2}|m{1,3}|y{2,4})([./-])(d{1,2}|m{1,3}|y{2,4})(?:\2(d{1,2}|m{1,3}|y{2,4}))?\b/i;
+    static DEFAULT_DATE_FORMAT = 'MM/DD/YYYY';
+
+    // Buttons that move to the next page, not the ones that submit the application
+    static NEXT_BUTTON_PATTERN = /^(next|continue|next step|save and continue|save & continue)$/i;
+
+    /**
+     * Score how likely the current page is a SuccessFactors application form
+     * @returns {number} - Score (0-1), 0 if the page is not SuccessFactors
+     */
+    static matches() {
+        if (this.isOnHost('successfactors.com', 'successfactors.eu')) return this.SCORE_HOST;
+        if (document.querySelector('div.recruiting-application')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields, telling background row fields apart by their column
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return formDetector.detectFields().map(field => this.enhanceSuccessFactorsField(field));
+    }
+
+    /**
+     * Enhance field info with SuccessFactors-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceSuccessFactorsField(field) {
+        const { element, metadata } = field;
+        const section = this.findSectionName(element);
+        const columnHeader = this.getColumnHeader(element);
+
+        field.metadata = {
+            ...metadata,
+            // Row fields have no label of their own; the column header names them
+            labelText: metadata.labelText || columnHeader,
+            successFactorsFieldId: this.getFieldId(element),
+            successFactorsSection: section,
+            columnHeader
+        };
+
+        const { category, subcategory } = this.categorizeSuccessFactorsField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateSuccessFactorsConfidence(field.metadata, category, subcategory);
+
+        if ((subcategory === 'startDate' || subcategory === 'endDate') && element.type === 'text') {
+            field.metadata.dateFormat = this.getDateFormat(element);
+        }
+
+        return field;
+    }
+
+    /**
+     * Get a field's SuccessFactors field id. Ids look like "fbclc_fName_0" or
+     * "outsideWorkExperience_0_startDate"; the part without prefixes and row numbers is kept
+     * @param {Element} element - Field element
+     * @returns {string} - Lowercased field id
+     */
+    static getFieldId(element) {
+        const identifier = element.getAttribute('data-field-id') || element.name || element.id || '';
+        const parts = identifier.split(/[_:.[\]]+/).filter(part => part && !/^\d+$/.test(part) && !/^fbclc$|^cbl$/i.test(part));
+        return (parts.length > 0 ? parts[parts.length - 1] : '').toLowerCase();
+    }
+
+    /**
+     * Find the background section a field sits in. Background entries are table rows, so
+     * fields outside a table belong to no section, even inside a page wrapper that matches one
+     * @param {Element} element - Field element
+     * @returns {string|null} - 'experience', 'education', 'languages' or null
+     */
+    static findSectionName(element) {
+        const table = element.closest('table');
+        let container = table ? table.parentElement : null;
+
+        while (container && container.tagName !== 'BODY') {
+            const heading = this.getSectionHeading(container);
+
+            for (const [name, { idPattern, headingPattern }] of Object.entries(this.SECTIONS)) {
+                if (idPattern.test(container.id || '') || (heading && headingPattern.test(heading))) {
+                    return name;
+                }
+            }
+            container = container.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the heading of a possible section container
+     * @param {Element} container - Element
+     * @returns {string} - Heading text, or empty if the element has no heading of its own
+     */
+    static getSectionHeading(container) {
+        const heading = Array.from(container.children).find(child => /^(H[1-6]|LEGEND)$/.test(child.tagName));
+        return heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Get the header of the table column a field sits in
+     * @param {Element} element - Field element
+     * @returns {string} - Lowercased header text, or empty outside a table
+     */
+    static getColumnHeader(element) {
+        const cell = element.closest('td');
+        const table = cell && cell.closest('table');
+        if (!table) return '';
+
+        const headerRow = table.querySelector('thead tr') || table.querySelector('tr');
+        const headers = headerRow ? Array.from(headerRow.querySelectorAll('th')) : [];
+        const header = headers[cell.cellIndex];
+
+        return header ? header.textContent.replace(/\s+/g, ' ').replace(/\*/g, '').trim().toLowerCase() : '';
+    }
+
+    /**
+     * Categorize a SuccessFactors field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeSuccessFactorsField(metadata) {
+        const { successFactorsFieldId, successFactorsSection, columnHeader, labelText } = metadata;
+
+        if (successFactorsSection === 'languages') {
+            return { category: 'unknown', subcategory: 'unknown' };
+        }
+
+        if (successFactorsSection) {
+            const text = [successFactorsFieldId, columnHeader || labelText].join(' ').toLowerCase();
+            const match = this.ENTRY_FIELDS[successFactorsSection].find(([pattern]) => pattern.test(text));
+
+            if (match) {
+                return { category: successFactorsSection, subcategory: match[1] };
+            }
+        } else if (this.FIELD_IDS[successFactorsFieldId]) {
+            return this.FIELD_IDS[successFactorsFieldId];
+        }
+
+        // If no specific match, use general categorization
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for SuccessFactors field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateSuccessFactorsConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        // Standard field ids and background columns say what the field is
+        if (this.FIELD_IDS[metadata.successFactorsFieldId] || (metadata.successFactorsSection && category !== 'unknown')) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Find the date format a date picker expects, from its placeholder, title or hint
+     * @param {Element} element - Date input
+     * @returns {string} - Format like 'MM/DD/YYYY'
+     */
+    static getDateFormat(element) {
+        const describedBy = (element.getAttribute('aria-describedby') || '')
+            .split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(hint => hint.textContent);
+        const nextSibling = element.nextElementSibling;
+
+        const sources = [
+            element.getAttribute('data-date-format'),
+            element.placeholder,
+            element.title,
+            ...describedBy,
+            nextSibling ? nextSibling.textContent : ''
+        ];
+
+        for (const source of sources) {
+            // German pickers say TT.MM.JJJJ
+            const match = (source || '').replace(/T/g, 'D').replace(/J/g, 'Y').match(this.DATE_FORMAT_PATTERN);
+            if (match) return match[0].toUpperCase();
+        }
+
+        return this.DEFAULT_DATE_FORMAT;
+    }
+
+    /**
+     * Find the work experience and education tables
+     * @returns {Object} - {experience, education}, each {section, containers, addButton} or null
+     */
+    static getRepeatableGroups() {
+        return {
+            experience: this.findRepeatableGroup('experience'),
+            education: this.findRepeatableGroup('education')
+        };
+    }
+
+    /**
+     * Find a background section, its rows and its "Add" link
+     * @param {string} sectionName - 'experience' or 'education'
+     * @returns {Object|null} - {section, containers, addButton}
+     */
+    static findRepeatableGroup(sectionName) {
+        const { idPattern, headingPattern } = this.SECTIONS[sectionName];
+        const matches = Array.from(document.querySelectorAll('[id], section, fieldset, div'))
+            .filter(candidate =>
+                candidate.querySelector('table') &&
+                (idPattern.test(candidate.id || '') || headingPattern.test(this.getSectionHeading(candidate))));
+
+        // A page wrapper like id="employmentApplication" matches too; as in findSectionName(),
+        // the innermost match is the section
+        const section = matches.find(candidate => !matches.some(other => other !== candidate && candidate.contains(other)));
+        if (!section) return null;
+
+        // Rows holding fields; the header row has none
+        const containers = Array.from(section.querySelectorAll('tr'))
+            .filter(row => row.querySelector('input:not([type="hidden"]), select, textarea'));
+
+        const repeatableFiller = window.RepeatableSectionFiller || RepeatableSectionFiller;
+        return { section, containers, addButton: repeatableFiller.findAddButton(section) };
+    }
+
+    /**
+     * Move to the next page of the candidate profile or application. Does nothing while
+     * required fields on this page are empty, and never clicks the submit button
+     * @returns {boolean} - Whether navigation was successful
+     */
+    static navigateToNextPage() {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        const missing = Array.from(document.querySelectorAll('input, select, textarea')).filter(element =>
+            (element.required || element.getAttribute('aria-required') === 'true') &&
+            !element.disabled &&
+            element.type !== 'hidden' &&
+            !autoFiller.hasValue(element));
+        if (missing.length > 0) {
+            console.warn(`JobFill: ${missing.length} required field(s) are still empty, staying on this page`, missing);
+            return false;
+        }
+
+        const nextButton = Array.from(document.querySelectorAll('button, input[type="button"], input[type="submit"], a[role="button"]'))
+            .find(button => {
+                const text = (button.textContent || button.value || '').replace(/\s+/g, ' ').trim();
+                return this.NEXT_BUTTON_PATTERN.test(text) && !button.disabled;
+            });
+
+        if (nextButton) {
+            nextButton.click();
+            return true;
+        }
+
+        return false;
+    }
+}
+
+AdapterRegistry.register(SuccessFactorsAdapter, 50);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SuccessFactorsAdapter;
+}
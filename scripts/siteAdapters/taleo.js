@@ -0,0 +1,171 @@
+/**
+ * Oracle Taleo Site Adapter
+ *
+ * Handles Taleo job applications. Taleo field ids are long generated paths that end in the
+ * field's name, e.g. "...-dv_cs_candidate_personal_info_FirstName" or
+ * "...-dv_cs_experience_Employer"; the part after "dv_cs_" says which block the field is
+ * in and which field it is. Applications span several pages with "Save and Continue".
+ */
+
+class TaleoAdapter extends BaseAdapter {
+    static ATS_TYPE = 'taleo';
+
+    // Fields by block and (lowercased) field name
+    static FIELD_NAMES = {
+        personal: {
+            firstname: 'firstName',
+            middlename: 'middleName',
+            lastname: 'lastName',
+            emailaddress: 'email',
+            email: 'email',
+            homephone: 'phone',
+            cellularphone: 'phone',
+            mobilephone: 'phone',
+            address: 'address',
+            city: 'city',
+            zipcode: 'zipCode',
+            postalcode: 'zipCode'
+        },
+        experience: {
+            employer: 'company',
+            jobfunction: 'title',
+            jobtitle: 'title',
+            begindate: 'startDate',
+            enddate: 'endDate',
+            currentjob: 'currentJob',
+            currentemployer: 'currentJob',
+            achievements: 'description'
+        },
+        education: {
+            institution: 'school',
+            program: 'fieldOfStudy',
+            educationlevel: 'degree',
+            graduationdate: 'graduationDate',
+            begindate: 'startDate',
+            enddate: 'endDate',
+            gpa: 'gpa'
+        }
+    };
+
+    /**
+     * Score how likely the current page is a Taleo application form
+     * @returns {number} - Score (0-1), 0 if the page is not Taleo
+     */
+    static matches() {
+        if (this.isOnHost('taleo.net')) return this.SCORE_HOST;
+        if (document.querySelector('[id*="dv_cs_candidate"], form[name="ftlform"]')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields in Taleo's form structure
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return formDetector.detectFields().map(field => this.enhanceTaleoField(field));
+    }
+
+    /**
+     * Enhance field info with Taleo-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceTaleoField(field) {
+        const { element, metadata } = field;
+        const { block, fieldName } = this.parseFieldId(element.id || element.name || '');
+
+        field.metadata = {
+            ...metadata,
+            taleoBlock: block,
+            taleoFieldName: fieldName
+        };
+
+        const { category, subcategory } = this.categorizeTaleoField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateTaleoConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Split a Taleo field id into its block and field name
+     * @param {string} id - Field id
+     * @returns {Object} - {block, fieldName}: block is 'personal', 'experience', 'education' or null
+     */
+    static parseFieldId(id) {
+        const match = id.match(/dv_cs_([a-z_]+?)_([A-Za-z0-9]+)$/);
+        if (!match) return { block: null, fieldName: '' };
+
+        const blockName = match[1].toLowerCase();
+        const block = blockName.includes('experience') ? 'experience'
+            : blockName.includes('education') ? 'education'
+                : blockName.includes('candidate') ? 'personal'
+                    : null;
+
+        return { block, fieldName: match[2].toLowerCase() };
+    }
+
+    /**
+     * Categorize a Taleo field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeTaleoField(metadata) {
+        const { taleoBlock, taleoFieldName } = metadata;
+        const subcategory = taleoBlock && this.FIELD_NAMES[taleoBlock][taleoFieldName];
+
+        if (subcategory) {
+            return { category: taleoBlock, subcategory };
+        }
+
+        // Prescreening questions and anything else are recognized by their label
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for Taleo field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateTaleoConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        if (metadata.taleoBlock && this.FIELD_NAMES[metadata.taleoBlock][metadata.taleoFieldName]) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Move to the next page of the application. The submit button is never clicked
+     * @returns {boolean} - Whether navigation was successful
+     */
+    static navigateToNextPage() {
+        const nextButton =
+            document.querySelector('[id$="saveContinueCmdBottom"]') ||
+            Array.from(document.querySelectorAll('button, input[type="button"], input[type="submit"], a[role="button"]'))
+                .find(button => /^(save and continue|next|continue)$/i.test((button.textContent || button.value || '').trim()));
+
+        if (nextButton) {
+            nextButton.click();
+            return true;
+        }
+
+        return false;
+    }
+}
+
+AdapterRegistry.register(TaleoAdapter, 30);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaleoAdapter;
+}
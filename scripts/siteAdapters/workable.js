@@ -0,0 +1,105 @@
+/**
+ * Workable Site Adapter
+ *
+ * Handles Workable job applications (apply.workable.com). Standard fields carry fixed names
+ * or data-ui attributes such as "firstname" and "cover_letter"; questions a company adds are
+ * named "QA_<id>" and recognized by their label.
+ */
+
+class WorkableAdapter extends BaseAdapter {
+    static ATS_TYPE = 'workable';
+
+    // Standard fields by (lowercased) name or data-ui attribute
+    static FIELD_NAMES = {
+        firstname: { category: 'personal', subcategory: 'firstName' },
+        lastname: { category: 'personal', subcategory: 'lastName' },
+        email: { category: 'personal', subcategory: 'email' },
+        phone: { category: 'personal', subcategory: 'phone' },
+        address: { category: 'personal', subcategory: 'address' },
+        headline: { category: 'experience', subcategory: 'title' },
+        cover_letter: { category: 'other', subcategory: 'coverLetter' },
+        resume: { category: 'other', subcategory: 'resume' }
+    };
+
+    /**
+     * Score how likely the current page is a Workable application form
+     * @returns {number} - Score (0-1), 0 if the page is not Workable
+     */
+    static matches() {
+        if (this.isOnHost('workable.com')) return this.SCORE_HOST;
+        if (document.querySelector('form[data-ui="application-form"]')) return this.SCORE_MARKUP;
+        return 0;
+    }
+
+    /**
+     * Detect form fields in Workable's form structure
+     * @returns {Array} - Array of field objects
+     */
+    static detectFields() {
+        const formDetector = window.FormDetector || FormDetector;
+
+        return formDetector.detectFields().map(field => this.enhanceWorkableField(field));
+    }
+
+    /**
+     * Enhance field info with Workable-specific metadata
+     * @param {Object} field - Field object
+     * @returns {Object} - Enhanced field object
+     */
+    static enhanceWorkableField(field) {
+        const { metadata } = field;
+        const dataUi = metadata.dataAttributes['data-ui'] || '';
+
+        field.metadata = {
+            ...metadata,
+            workableFieldName: [metadata.name, dataUi, metadata.id].find(key => this.FIELD_NAMES[key]) || null
+        };
+
+        const { category, subcategory } = this.categorizeWorkableField(field.metadata);
+        field.category = category;
+        field.subcategory = subcategory;
+        field.confidence = this.calculateWorkableConfidence(field.metadata, category, subcategory);
+
+        return field;
+    }
+
+    /**
+     * Categorize a Workable field based on metadata
+     * @param {Object} metadata - Field metadata
+     * @returns {Object} - Category and subcategory
+     */
+    static categorizeWorkableField(metadata) {
+        if (metadata.workableFieldName) {
+            return this.FIELD_NAMES[metadata.workableFieldName];
+        }
+
+        // If no specific match, use general categorization
+        const formDetector = window.FormDetector || FormDetector;
+        return formDetector.categorizeField(metadata);
+    }
+
+    /**
+     * Calculate confidence score for Workable field categorization
+     * @param {Object} metadata - Field metadata
+     * @param {string} category - Field category
+     * @param {string} subcategory - Field subcategory
+     * @returns {number} - Confidence score (0-1)
+     */
+    static calculateWorkableConfidence(metadata, category, subcategory) {
+        const formDetector = window.FormDetector || FormDetector;
+        let confidence = formDetector.calculateConfidence(metadata, category, subcategory);
+
+        if (metadata.workableFieldName) {
+            confidence = Math.min(confidence + 0.3, 1.0);
+        }
+
+        return confidence;
+    }
+}
+
+AdapterRegistry.register(WorkableAdapter, 0);
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkableAdapter;
+}
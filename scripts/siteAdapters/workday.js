@@ -4,17 +4,18 @@
  * Handles the specific form structure of Workday job applications.
  */
 
-class WorkdayAdapter {
+class WorkdayAdapter extends BaseAdapter {
+    static ATS_TYPE = 'workday';
+
     /**
-     * Detect if the current page is a Workday application form
-     * @returns {boolean} - Whether the current page is a Workday form
+     * Score how likely the current page is a Workday application form
+     * @returns {number} - Score (0-1), 0 if the page is not Workday
      */
-    static isWorkdayForm() {
-        return (
-            window.location.hostname.includes('workday.com') ||
-            window.location.hostname.includes('myworkdayjobs.com') ||
-            document.querySelector('div[data-automation-id]') !== null
-        );
+    static matches() {
+        if (this.isOnHost('workday.com', 'myworkdayjobs.com')) return this.SCORE_HOST;
+        // Other sites use data-automation-id attributes too
+        if (document.querySelector('div[data-automation-id]')) return this.SCORE_WEAK_MARKUP;
+        return 0;
     }
 
     /**
@@ -149,12 +150,36 @@ class WorkdayAdapter {
             }
         }
 
+        // Workday splits dates into month and year boxes inside a start/end date wrapper
+        const dateWrapper = field.closest(
+            '[data-automation-id*="startDate"], [data-automation-id*="endDate"], ' +
+            '[data-automation-id*="firstYearAttended"], [data-automation-id*="lastYearAttended"]'
+        );
+        let datePart = null;
+        let workdayDateRole = null;
+        let workdayDateSection = null;
+
+        if (automationId && automationId.includes('dateSection')) {
+            if (automationId.includes('Month')) datePart = 'month';
+            if (automationId.includes('Year')) datePart = 'year';
+        }
+
+        if (datePart && dateWrapper) {
+            const wrapperId = dateWrapper.getAttribute('data-automation-id');
+            workdayDateRole = /startDate|firstYearAttended/.test(wrapperId) ? 'startDate' : 'endDate';
+            // Years attended belong to an education entry, start and end dates to a job
+            workdayDateSection = /YearAttended/.test(wrapperId) ? 'education' : 'experience';
+        }
+
         // Combine and return enhanced field info
         const enhancedInfo = {
             ...baseInfo,
             labelText: enhancedLabelText || baseInfo.labelText,
             workdayAutomationId: automationId,
-            workdayFieldType
+            workdayFieldType,
+            workdayDateRole,
+            workdayDateSection,
+            datePart
         };
 
         // Categorize field based on enhanced info
@@ -205,6 +230,28 @@ class WorkdayAdapter {
         // Workday-specific categorization logic
         const { id, name, labelText, workdayAutomationId, workdayFieldType } = metadata;
 
+        // Month/year boxes of a start or end date
+        if (metadata.workdayDateRole) {
+            return { category: metadata.workdayDateSection, subcategory: metadata.workdayDateRole };
+        }
+
+        // Fields of the "My Experience" sub-forms
+        const experienceIds = {
+            jobTitle: { category: 'experience', subcategory: 'title' },
+            company: { category: 'experience', subcategory: 'company' },
+            currentlyWorkHere: { category: 'experience', subcategory: 'currentJob' },
+            roleDescription: { category: 'experience', subcategory: 'description' },
+            school: { category: 'education', subcategory: 'school' },
+            degree: { category: 'education', subcategory: 'degree' },
+            fieldOfStudy: { category: 'education', subcategory: 'fieldOfStudy' },
+            gradeAverage: { category: 'education', subcategory: 'gpa' },
+            gpa: { category: 'education', subcategory: 'gpa' }
+        };
+
+        if (workdayAutomationId && experienceIds[workdayAutomationId]) {
+            return experienceIds[workdayAutomationId];
+        }
+
         // Look for specific Workday patterns
         if (workdayAutomationId) {
             // Common Workday field patterns
@@ -327,6 +374,38 @@ class WorkdayAdapter {
         return uniqueFields;
     }
 
+    /**
+     * Find the repeatable work experience and education sub-forms
+     * @returns {Object} - {experience, education}, each {section, containers, addButton} or null
+     */
+    static getRepeatableGroups() {
+        return {
+            experience: this.findRepeatableGroup('workExperienceSection', /^workExperience-\d+$/),
+            education: this.findRepeatableGroup('educationSection', /^education-\d+$/)
+        };
+    }
+
+    /**
+     * Find a repeatable section and its entries by automation ID
+     * @param {string} sectionId - Automation ID of the section
+     * @param {RegExp} entryPattern - Pattern matching the automation IDs of the entries
+     * @returns {Object|null} - {section, containers, addButton}
+     */
+    static findRepeatableGroup(sectionId, entryPattern) {
+        const section = document.querySelector(`[data-automation-id="${sectionId}"]`);
+        if (!section) return null;
+
+        const containers = Array.from(section.querySelectorAll('[data-automation-id]'))
+            .filter(element => entryPattern.test(element.getAttribute('data-automation-id')));
+
+        const repeatableFiller = window.RepeatableSectionFiller || RepeatableSectionFiller;
+        const addButton =
+            section.querySelector('[data-automation-id="Add"], [data-automation-id="add-button"]') ||
+            repeatableFiller.findAddButton(section);
+
+        return { section, containers, addButton };
+    }
+
     /**
      * Navigate through multi-page Workday forms
      * @returns {boolean} - Whether navigation was successful
@@ -353,136 +432,10 @@ class WorkdayAdapter {
 
         return false;
     }
-
-    /**
-     * Handle common Workday questions like veteran status
-     */
-    static handleCommonQuestions() {
-        // Handle veteran status questions
-        this.handleVeteranStatusQuestions();
-
-        // Handle diversity questions (usually want to select "Decline to answer")
-        this.handleDiversityQuestions();
-
-        // Handle disability questions
-        this.handleDisabilityQuestions();
-    }
-
-    /**
-     * Handle veteran status questions on Workday forms
-     */
-    static handleVeteranStatusQuestions() {
-        // Look for veteran status sections
-        const veteranSections = Array.from(document.querySelectorAll('div, section, fieldset')).filter(section => {
-            const text = section.textContent.toLowerCase();
-            return (
-                text.includes('veteran') ||
-                text.includes('military') ||
-                text.includes('armed forces')
-            );
-        });
-
-        veteranSections.forEach(section => {
-            // Look for "No" or "I am not a veteran" options
-            const radioButtons = section.querySelectorAll('input[type="radio"]');
-
-            radioButtons.forEach(radio => {
-                const labelElement = document.querySelector(`label[for="${radio.id}"]`);
-                if (labelElement) {
-                    const labelText = labelElement.textContent.toLowerCase();
-
-                    if (
-                        labelText.includes('no') ||
-                        labelText.includes('not a veteran') ||
-                        labelText.includes('never served') ||
-                        labelText.includes('do not identify')
-                    ) {
-                        radio.checked = true;
-                        radio.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                }
-            });
-        });
-    }
-
-    /**
-     * Handle diversity questions on Workday forms
-     */
-    static handleDiversityQuestions() {
-        // Look for diversity/EEO sections
-        const diversitySections = Array.from(document.querySelectorAll('div, section, fieldset')).filter(section => {
-            const text = section.textContent.toLowerCase();
-            return (
-                text.includes('equal employment opportunity') ||
-                text.includes('eeo') ||
-                text.includes('diversity') ||
-                text.includes('gender') ||
-                text.includes('ethnicity') ||
-                text.includes('race')
-            );
-        });
-
-        diversitySections.forEach(section => {
-            // Look for "Decline to answer" options
-            const radioButtons = section.querySelectorAll('input[type="radio"]');
-
-            radioButtons.forEach(radio => {
-                const labelElement = document.querySelector(`label[for="${radio.id}"]`);
-                if (labelElement) {
-                    const labelText = labelElement.textContent.toLowerCase();
-
-                    if (
-                        labelText.includes('decline') ||
-                        labelText.includes('prefer not') ||
-                        labelText.includes('do not wish') ||
-                        labelText.includes('choose not')
-                    ) {
-                        radio.checked = true;
-                        radio.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                }
-            });
-        });
-    }
-
-    /**
-     * Handle disability questions on Workday forms
-     */
-    static handleDisabilityQuestions() {
-        // Look for disability sections
-        const disabilitySections = Array.from(document.querySelectorAll('div, section, fieldset')).filter(section => {
-            const text = section.textContent.toLowerCase();
-            return (
-                text.includes('disability') ||
-                text.includes('disabilities') ||
-                text.includes('disabled')
-            );
-        });
-
-        disabilitySections.forEach(section => {
-            // Look for "No" or "Decline to answer" options
-            const radioButtons = section.querySelectorAll('input[type="radio"]');
-
-            radioButtons.forEach(radio => {
-                const labelElement = document.querySelector(`label[for="${radio.id}"]`);
-                if (labelElement) {
-                    const labelText = labelElement.textContent.toLowerCase();
-
-                    if (
-                        labelText.includes('no') ||
-                        labelText.includes('do not') ||
-                        labelText.includes('decline') ||
-                        labelText.includes('prefer not')
-                    ) {
-                        radio.checked = true;
-                        radio.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                }
-            });
-        });
-    }
 }
 
+AdapterRegistry.register(WorkdayAdapter, 100);
+
 // Export the class if using modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WorkdayAdapter;
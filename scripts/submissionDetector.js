@@ -0,0 +1,193 @@
+/**
+ * Submission Detector Module
+ *
+ * Notices when an application is submitted. A click on the form's submit button starts a
+ * pending submission, which counts once a confirmation page shows up or, on single-page
+ * applications like Workday, the URL changes. Greenhouse and Lever load a new page after
+ * submitting, so the pending submission is kept in sessionStorage and checked again when
+ * the content script starts on the next page.
+ */
+
+class SubmissionDetector {
+    static PENDING_KEY = 'jobfill.pendingApplication';
+
+    // A confirmation page loaded later than this after the click is not taken as one
+    static PENDING_TTL_MS = 10 * 60 * 1000;
+
+    // How long to watch the current page after a click, and how often to look
+    static WATCH_MS = 30 * 1000;
+    static POLL_MS = 1000;
+
+    // Buttons that send the application, not "Next", "Save" or the posting's "Apply" button
+    static SUBMIT_TEXT_PATTERN = /^(submit|submit (my |your )?application|send application|finish)$/i;
+    static SUBMIT_SELECTORS = [
+        '#submit_app',
+        '#btn-submit',
+        '.template-btn-submit',
+        'button[data-automation-id="bottom-navigation-next-button"]',
+        'button[data-automation-id="pageFooterNextButton"]'
+    ];
+
+    // Greenhouse .../confirmation, Lever .../thanks, Workday .../applyComplete
+    static CONFIRMATION_URL_PATTERN = /\/(confirmation|thanks|thank-you|applycomplete|application-submitted)(\/|\?|#|$)/i;
+    static CONFIRMATION_SELECTORS = [
+        '#application_confirmation',
+        '.application-confirmation',
+        '[data-automation-id="congratulationsPopup"]'
+    ];
+    static CONFIRMATION_TEXT_PATTERN = /thank you for (applying|your application|your interest)|application (has been |was )?(submitted|received)|we('ve| have) received your application/i;
+
+    static watchTimer = null;
+    static onSubmitted = null;
+
+    /**
+     * Start watching for submissions
+     * @param {Function} getApplication - Returns the application details to record, called at the submit click
+     * @param {Function} onSubmitted - Called with those details once the submission went through
+     */
+    static start(getApplication, onSubmitted) {
+        this.onSubmitted = onSubmitted;
+
+        // A submission started on the previous page
+        const pending = this.readPending();
+        if (pending && this.isConfirmationPage()) {
+            this.complete(pending);
+        }
+
+        const startPending = submitter => {
+            if (!this.isSubmitControl(submitter)) return;
+
+            this.writePending({
+                url: window.location.href,
+                startedAt: Date.now(),
+                application: getApplication()
+            });
+            this.watch();
+        };
+
+        document.addEventListener('click', event => {
+            const control = event.target instanceof Element
+                ? event.target.closest('button, input[type="submit"], [role="button"]')
+                : null;
+            if (control) startPending(control);
+        }, true);
+
+        // Pressing Enter in a field submits without a click
+        document.addEventListener('submit', event => {
+            if (!event.submitter) startPending(null);
+        }, true);
+    }
+
+    /**
+     * Check whether a control submits the application. A form submitted without a button counts
+     * @param {Element|null} control - Clicked control
+     * @returns {boolean} - Whether it is a submit control
+     */
+    static isSubmitControl(control) {
+        if (!control) return true;
+
+        const text = (control.textContent || control.value || '').replace(/\s+/g, ' ').trim();
+        if (this.SUBMIT_SELECTORS.some(selector => control.matches(selector))) {
+            // Workday's footer button reads "Next" until the review step
+            return !/^(next|continue|save( and continue)?)$/i.test(text);
+        }
+
+        return this.SUBMIT_TEXT_PATTERN.test(text);
+    }
+
+    /**
+     * Watch the current page for a confirmation or a URL change after a submit click
+     */
+    static watch() {
+        clearInterval(this.watchTimer);
+        const startedAt = Date.now();
+
+        this.watchTimer = setInterval(() => {
+            const pending = this.readPending();
+            if (!pending) {
+                clearInterval(this.watchTimer);
+                return;
+            }
+
+            // Jumping to an anchor on the same page is not a new page
+            if (this.isConfirmationPage() || window.location.href.split('#')[0] !== pending.url.split('#')[0]) {
+                clearInterval(this.watchTimer);
+                this.complete(pending);
+            } else if (Date.now() - startedAt > this.WATCH_MS) {
+                // Probably a validation error; a later confirmation page still counts
+                clearInterval(this.watchTimer);
+            }
+        }, this.POLL_MS);
+    }
+
+    /**
+     * Check whether the page confirms a submitted application
+     * @returns {boolean} - Whether it is a confirmation page
+     */
+    static isConfirmationPage() {
+        if (this.CONFIRMATION_URL_PATTERN.test(window.location.pathname)) return true;
+        if (this.CONFIRMATION_SELECTORS.some(selector => document.querySelector(selector))) return true;
+
+        // Only headings and messages, so the posting's own text does not count
+        const messages = Array.from(document.querySelectorAll('h1, h2, h3, [role="alert"], [role="dialog"], [class*="confirm"], [class*="success"]'));
+        return messages.some(element => this.CONFIRMATION_TEXT_PATTERN.test(element.textContent));
+    }
+
+    /**
+     * Report a submission and forget it
+     * @param {Object} pending - {url, startedAt, application}
+     */
+    static complete(pending) {
+        this.clearPending();
+        if (this.onSubmitted) {
+            this.onSubmitted(pending.application);
+        }
+    }
+
+    /**
+     * Read the pending submission, dropping it once it is too old
+     * @returns {Object|null} - {url, startedAt, application}
+     */
+    static readPending() {
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem(this.PENDING_KEY));
+        } catch (error) {
+            pending = null;
+        }
+
+        if (pending && Date.now() - pending.startedAt > this.PENDING_TTL_MS) {
+            this.clearPending();
+            return null;
+        }
+        return pending;
+    }
+
+    /**
+     * Remember a submission until it is confirmed
+     * @param {Object} pending - {url, startedAt, application}
+     */
+    static writePending(pending) {
+        try {
+            sessionStorage.setItem(this.PENDING_KEY, JSON.stringify(pending));
+        } catch (error) {
+            console.warn('JobFill: could not remember the submission', error);
+        }
+    }
+
+    /**
+     * Forget the pending submission
+     */
+    static clearPending() {
+        try {
+            sessionStorage.removeItem(this.PENDING_KEY);
+        } catch (error) {
+            // Storage blocked by the page; nothing to clear
+        }
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionDetector;
+}
@@ -0,0 +1,324 @@
+/**
+ * Work Authorization Module
+ *
+ * Answers work authorization and visa sponsorship questions from structured data in the
+ * profile instead of assuming the user may work anywhere. Questions are matched to the country
+ * they name (or, when they name none, the first country listed) and answered in whatever form
+ * the site asks them: a yes/no select or radio group, a statement checkbox, or a text field.
+ *
+ * Profile data (resumeData.workAuthorization), one entry per country:
+ *   [{country, authorized, sponsorshipNow, sponsorshipFuture, visaType, visaExpiry}]
+ *   where the yes/no fields hold 'yes', 'no' or '' (not set)
+ */
+
+class WorkAuthorization {
+    // Question kinds, checked in this order
+    static QUESTIONS = [
+        { kind: 'authorizedWithoutSponsorship', pattern: /without (the need for |needing |requiring |requirement of )?(any |visa |employer |company )?sponsor/ },
+        { kind: 'sponsorship', pattern: /sponsor/ },
+        { kind: 'visaExpiry', pattern: /(visa|permit|authori[sz]ation)\b.*\b(expir|valid until|end date)|expir\w* date of (your )?(visa|permit)/ },
+        { kind: 'visaType', pattern: /visa (type|status|category)|type of (visa|work permit)|immigration status|current visa/ },
+        { kind: 'authorized', pattern: /authori[sz]ed to work|authori[sz]ation to work|legally (authori[sz]ed|eligible|permitted|able) to work|eligible to work|right to work|work authori[sz]ation|permitted to work|work permit/ }
+    ];
+
+    // Countries recognized in questions, with the other ways questions name them. A question
+    // naming one of these that the profile does not list is left for the user
+    static COUNTRIES = {
+        'united states': ['united states', 'u.s.', 'usa', 'america'],
+        'united kingdom': ['united kingdom', 'u.k.', 'uk', 'britain'],
+        'united arab emirates': ['united arab emirates', 'uae'],
+        'netherlands': ['netherlands', 'holland'],
+        'germany': ['germany', 'deutschland'],
+        'canada': ['canada'],
+        'australia': ['australia'],
+        'new zealand': ['new zealand'],
+        'ireland': ['ireland'],
+        'france': ['france'],
+        'spain': ['spain'],
+        'switzerland': ['switzerland'],
+        'sweden': ['sweden'],
+        'poland': ['poland'],
+        'india': ['india'],
+        'singapore': ['singapore'],
+        'japan': ['japan'],
+        'israel': ['israel'],
+        'mexico': ['mexico'],
+        'brazil': ['brazil']
+    };
+
+    static NEGATION_PATTERN = /\b(no|not|don't|do not|never|none|won't|will not)\b/;
+
+    static DECLINE_PATTERN = /decline|prefer not|rather not|do not wish|don't wish/;
+
+    /**
+     * Answer the work authorization questions on the page. Questions the profile has no answer
+     * for are reported for manual entry
+     * @param {Object} resumeData - Stored resume data
+     * @param {Element|Document} [root] - Where to look for questions
+     */
+    static answerQuestions(resumeData, root = document) {
+        if (!resumeData) return;
+
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const answerBank = window.AnswerBank || AnswerBank;
+        const handledGroups = new Set();
+
+        root.querySelectorAll('input, select, textarea').forEach(element => {
+            if (element.disabled || ['hidden', 'submit', 'button', 'reset', 'file', 'image', 'password'].includes(element.type)) return;
+            if (answerBank.isAnswered(element)) return;
+
+            if (element.type === 'radio') {
+                const groupKey = autoFiller.getRadioGroupKey(element);
+                if (handledGroups.has(groupKey)) return;
+                handledGroups.add(groupKey);
+            }
+
+            // Never replace what is already there
+            if (autoFiller.hasValue(element)) return;
+
+            const questionText = autoFiller.getQuestionText(element);
+            if (!this.classifyQuestion(questionText)) return;
+
+            const answer = this.getAnswer(questionText, resumeData);
+            if (!answer) {
+                autoFiller.reportQuestion(element, 'workAuthorization', 'manualEntry');
+                return;
+            }
+
+            if (!this.writeAnswer(element, answer.value)) {
+                autoFiller.reportQuestion(element, 'workAuthorization', 'noMatchingOption');
+            }
+        });
+    }
+
+    /**
+     * Resolve the value to fill into a detected work authorization field (other.citizenship)
+     * @param {Element} element - Form element
+     * @param {Object} resumeData - Stored resume data
+     * @returns {string|boolean|null} - Option text, checkbox state or text, or null if unknown
+     */
+    static resolveAnswer(element, resumeData) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const answer = this.getAnswer(autoFiller.getQuestionText(element), resumeData);
+        if (!answer) return null;
+
+        const { value } = answer;
+        if (element.type === 'checkbox') {
+            return this.getCheckboxState(element, value);
+        }
+
+        if (element.tagName === 'SELECT' || element.type === 'radio') {
+            const option = this.findOption(this.getOptions(element), value);
+            return option ? option.text : null;
+        }
+
+        return this.formatText(value);
+    }
+
+    /**
+     * Work out which work authorization question a text asks
+     * @param {string} questionText - Question text
+     * @returns {string|null} - Question kind, or null if it is not such a question
+     */
+    static classifyQuestion(questionText) {
+        const text = this.normalize(questionText);
+        if (!text) return null;
+
+        const question = this.QUESTIONS.find(candidate => candidate.pattern.test(text));
+        return question ? question.kind : null;
+    }
+
+    /**
+     * Answer a question from the profile
+     * @param {string} questionText - Question text
+     * @param {Object} resumeData - Stored resume data
+     * @returns {Object|null} - {kind, value} where value is a boolean for yes/no questions and
+     *   text for visa questions, or null if the question is not recognized or not answered
+     */
+    static getAnswer(questionText, resumeData) {
+        const kind = this.classifyQuestion(questionText);
+        const entry = kind && this.findEntry(questionText, resumeData && resumeData.workAuthorization);
+        if (!entry) return null;
+
+        const text = this.normalize(questionText);
+        const authorized = this.toBoolean(entry.authorized);
+        const sponsorshipNow = this.toBoolean(entry.sponsorshipNow);
+        const sponsorshipFuture = this.toBoolean(entry.sponsorshipFuture);
+        let value = null;
+
+        switch (kind) {
+            case 'authorizedWithoutSponsorship':
+                if (authorized === false || sponsorshipNow === true || sponsorshipFuture === true) {
+                    value = false;
+                } else if (authorized === true && sponsorshipNow === false && sponsorshipFuture !== null) {
+                    value = true;
+                }
+                break;
+
+            case 'sponsorship': {
+                // "Will you now or in the future require sponsorship?" asks about both
+                const asksFuture = /future|will you (ever )?(need|require)|at any (point|time)/.test(text);
+                const asksNow = /\bnow\b|current|at this time|today|immediate/.test(text) || !asksFuture;
+                const answers = [asksNow ? sponsorshipNow : false, asksFuture ? sponsorshipFuture : false];
+
+                if (answers.includes(true)) value = true;
+                else if (!answers.includes(null)) value = false;
+                break;
+            }
+
+            case 'visaType':
+                value = entry.visaType || null;
+                break;
+
+            case 'visaExpiry':
+                value = entry.visaExpiry || null;
+                break;
+
+            default:
+                value = authorized;
+        }
+
+        return value === null ? null : { kind, value };
+    }
+
+    /**
+     * Pick the entry for the country a question names, or the first entry if it names none
+     * @param {string} questionText - Question text
+     * @param {Array} entries - Work authorization entries
+     * @returns {Object|null} - Entry, or null if the question is about a country not listed
+     */
+    static findEntry(questionText, entries) {
+        if (!Array.isArray(entries) || entries.length === 0) return null;
+
+        const text = ` ${this.normalize(questionText)} `;
+        const names = country => {
+            const key = this.normalize(country);
+            return !!key && (this.COUNTRIES[key] || [key]).some(name =>
+                new RegExp(`[^a-z]${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^a-z]`).test(text));
+        };
+
+        const entry = entries.find(candidate => names(candidate.country));
+        if (entry) return entry;
+
+        return Object.keys(this.COUNTRIES).some(names) ? null : entries[0];
+    }
+
+    /**
+     * Write an answer into an element
+     * @param {Element} element - Form element
+     * @param {string|boolean} value - Answer
+     * @returns {boolean} - Whether the answer was written
+     */
+    static writeAnswer(element, value) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        if (element.type === 'checkbox') {
+            // Leaving an unchecked statement unchecked is the answer
+            return !this.getCheckboxState(element, value) || autoFiller.writeValue(element, true, 'workAuthorization');
+        }
+
+        if (element.tagName === 'SELECT' || element.type === 'radio') {
+            const option = this.findOption(this.getOptions(element), value);
+            if (!option) return false;
+
+            return element.tagName === 'SELECT'
+                ? autoFiller.writeValue(element, option.value, 'workAuthorization')
+                : autoFiller.writeValue(option.input, true, 'workAuthorization');
+        }
+
+        return autoFiller.writeValue(element, this.formatText(value), 'workAuthorization');
+    }
+
+    /**
+     * Get the options of a select or radio group
+     * @param {Element} element - Select or radio button
+     * @returns {Array} - Options with `text` and `value` (and `input` for radio buttons)
+     */
+    static getOptions(element) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        if (element.tagName === 'SELECT') return Array.from(element.options);
+
+        return autoFiller.getRadioGroup(element).map(input => ({
+            input,
+            text: autoFiller.getOptionLabel(input),
+            value: input.value
+        }));
+    }
+
+    /**
+     * Find the option that gives an answer
+     * @param {Array} options - Options with a `text` property
+     * @param {string|boolean} value - Yes/no answer or text such as a visa type
+     * @returns {Object|null} - Matching option
+     */
+    static findOption(options, value) {
+        const autoFiller = window.AutoFiller || AutoFiller;
+
+        if (typeof value !== 'boolean') {
+            return autoFiller.matchOption(options, String(value));
+        }
+
+        const candidates = options.filter(option =>
+            option.value !== '' && !option.disabled && !this.DECLINE_PATTERN.test(this.normalize(option.text)));
+
+        // "Yes" / "No", possibly followed by an explanation
+        const prefix = value ? /^(yes|y)\b/ : /^(no|n)\b/;
+        const direct = candidates.find(option => prefix.test(this.normalize(option.text)));
+        if (direct) return direct;
+
+        // Statements like "I am authorized to work" / "I am not authorized to work"
+        return candidates.find(option => this.NEGATION_PATTERN.test(this.normalize(option.text)) !== value) || null;
+    }
+
+    /**
+     * Decide whether a statement checkbox should be checked
+     * @param {Element} checkbox - Checkbox
+     * @param {string|boolean} value - Answer to the question the checkbox states
+     * @returns {boolean} - Whether to check it
+     */
+    static getCheckboxState(checkbox, value) {
+        if (typeof value !== 'boolean') return false;
+
+        // "I do not require sponsorship" is checked when the answer is no
+        const autoFiller = window.AutoFiller || AutoFiller;
+        const negated = this.NEGATION_PATTERN.test(this.normalize(autoFiller.getQuestionLabel(checkbox)));
+        return negated ? !value : value;
+    }
+
+    /**
+     * Format an answer for a text field
+     * @param {string|boolean} value - Answer
+     * @returns {string} - Text
+     */
+    static formatText(value) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        return String(value);
+    }
+
+    /**
+     * Read a stored yes/no value
+     * @param {string|boolean} value - 'yes', 'no', '' or a boolean
+     * @returns {boolean|null} - The answer, or null if not set
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (/^(yes|true)$/i.test(String(value || '').trim())) return true;
+        if (/^(no|false)$/i.test(String(value || '').trim())) return false;
+        return null;
+    }
+
+    /**
+     * Normalize question or option text for matching
+     * @param {string} text - Raw text
+     * @returns {string} - Lowercased text with collapsed whitespace
+     */
+    static normalize(text) {
+        return String(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export the class if using modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkAuthorization;
+}
@@ -0,0 +1,208 @@
+document.addEventListener('DOMContentLoaded', function(){
+
+    //Elements
+    const searchInput = document.getElementById('search');
+    const statusFilter = document.getElementById('status-filter');
+    const applicationList = document.getElementById('application-list');
+    const applicationCount = document.getElementById('application-count');
+    const emptyMessage = document.getElementById('empty-message');
+
+    // Every stored application, newest first
+    let applications = [];
+
+    statusFilter.appendChild(createOption('', 'All statuses'));
+    Object.entries(ApplicationTracker.STATUSES).forEach(([value, text]) => {
+        statusFilter.appendChild(createOption(value, text));
+    });
+
+    // Export and import the application log
+    const importFileInput = document.getElementById('import-file');
+    const importSummary = document.getElementById('import-summary');
+
+    document.getElementById('export-csv').addEventListener('click', function() {
+        ApplicationTracker.load(function(stored) {
+            downloadFile(ApplicationTracker.toCsv(stored), 'text/csv', 'jobfill-applications.csv');
+        });
+    });
+
+    document.getElementById('export-json').addEventListener('click', function() {
+        ApplicationTracker.exportJson(function(data) {
+            downloadFile(JSON.stringify(data, null, 2), 'application/json', 'jobfill-applications.json');
+        });
+    });
+
+    document.getElementById('import-applications').addEventListener('click', function() {
+        importFileInput.click();
+    });
+
+    importFileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if(!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                const data = /\.json$/i.test(file.name)
+                    ? JSON.parse(reader.result)
+                    : ApplicationTracker.fromCsv(reader.result);
+                ApplicationTracker.importApplications(data, function(summary) {
+                    importSummary.textContent = `Imported ${summary.added} new and merged ${summary.updated} existing application(s).`;
+                    loadApplications();
+                });
+            } catch (error) {
+                alert('Could not import applications: ' + error.message);
+            }
+            importFileInput.value = '';
+        };
+        reader.readAsText(file);
+    });
+
+    searchInput.addEventListener('input', renderApplications);
+    statusFilter.addEventListener('change', renderApplications);
+
+    // Show applications recorded while the page is open, unless the user is typing a note
+    chrome.storage.onChanged.addListener(function(changes, areaName) {
+        if(areaName !== 'local' || !changes[ApplicationTracker.STORAGE_KEY]) return;
+        if(document.activeElement && document.activeElement.classList.contains('notes')) return;
+        loadApplications();
+    });
+
+    loadApplications();
+
+    // Helper functions
+    function loadApplications() {
+        ApplicationTracker.load(function(stored) {
+            applications = stored;
+            renderApplications();
+        });
+    }
+
+    function renderApplications() {
+        const shown = ApplicationTracker.filterApplications(applications, {
+            query : searchInput.value,
+            status : statusFilter.value
+        });
+
+        applicationList.innerHTML = '';
+        shown.forEach(record => applicationList.appendChild(createApplicationItem(record)));
+
+        applicationCount.textContent = shown.length === applications.length
+            ? `${applications.length} application(s)`
+            : `${shown.length} of ${applications.length} application(s)`;
+        emptyMessage.classList.toggle('hidden', applications.length > 0);
+    }
+
+    function createApplicationItem(record) {
+        const item = document.createElement('div');
+        item.className = 'section application';
+
+        const header = document.createElement('div');
+        header.className = 'application-header';
+
+        const heading = document.createElement('div');
+        const title = document.createElement('h2');
+        title.textContent = [record.title || 'Untitled position', record.company].filter(Boolean).join(' - ');
+        heading.appendChild(title);
+
+        const meta = document.createElement('p');
+        meta.className = 'meta';
+        meta.textContent = [
+            `Applied ${new Date(record.appliedAt).toLocaleDateString()}`,
+            record.location,
+            record.profileName ? `Profile: ${record.profileName}` : '',
+            record.ats ? `via ${record.ats}` : ''
+        ].filter(Boolean).join(' · ');
+        heading.appendChild(meta);
+
+        if(ApplicationTracker.isWebUrl(record.url)) {
+            const link = document.createElement('a');
+            link.href = record.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = 'Open posting';
+            heading.appendChild(link);
+        }
+        header.appendChild(heading);
+
+        const statusSelect = document.createElement('select');
+        statusSelect.setAttribute('aria-label', 'Status');
+        Object.entries(ApplicationTracker.STATUSES).forEach(([value, text]) => {
+            statusSelect.appendChild(createOption(value, text));
+        });
+        statusSelect.value = record.status;
+        statusSelect.addEventListener('change', function() {
+            saveChanges(record, { status : statusSelect.value });
+        });
+        header.appendChild(statusSelect);
+        item.appendChild(header);
+
+        const notes = document.createElement('textarea');
+        notes.className = 'notes';
+        notes.rows = 2;
+        notes.placeholder = 'Notes (recruiter, interview dates, ...)';
+        notes.value = record.notes || '';
+        notes.addEventListener('change', function() {
+            saveChanges(record, { notes : notes.value });
+        });
+        item.appendChild(notes);
+
+        if(record.answers && record.answers.length > 0) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `Answers filled (${record.answers.length})`;
+            details.appendChild(summary);
+
+            const answerList = document.createElement('ul');
+            answerList.className = 'answers';
+            record.answers.forEach(answer => {
+                const answerItem = document.createElement('li');
+                const label = document.createElement('span');
+                label.className = 'answer-label';
+                label.textContent = `${answer.label}: `;
+                answerItem.appendChild(label);
+                answerItem.appendChild(document.createTextNode(answer.value));
+                answerList.appendChild(answerItem);
+            });
+            details.appendChild(answerList);
+            item.appendChild(details);
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'text-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', function() {
+            if(!confirm(`Remove the application for "${title.textContent}"?`)) return;
+
+            ApplicationTracker.removeApplication(record.id, function() {
+                applications = applications.filter(candidate => candidate.id !== record.id);
+                renderApplications();
+            });
+        });
+        item.appendChild(removeButton);
+
+        return item;
+    }
+
+    function saveChanges(record, changes) {
+        ApplicationTracker.updateApplication(record.id, changes, function(updated) {
+            if(updated) Object.assign(record, updated);
+        });
+    }
+
+    function downloadFile(contents, type, fileName) {
+        const blob = new Blob([contents], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function createOption(value, text) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }
+});